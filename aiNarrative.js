@@ -0,0 +1,346 @@
+import path from 'path';
+import { getUnsafeCallSites, getBrokenRules, findEnclosingImpact } from './reportFormats.js';
+
+// The JSON Schema of the AI analysis: the ten fields the prompt asks for. Effects may come as lists and the
+// probabilities as an object, which the reports render as well.
+export const AI_ANALYSIS_SCHEMA = {
+    type: 'object',
+    required: [
+        'summary', 'behavioral_delta_interpretation', 'technical_reasoning', 'caller_safety_analysis_summary',
+        'estimated_failure_probabilities', 'deployment_projection', 'scary_insight', 'simulated_failure_trace',
+        'recommendation', 'visual_narrative_suggestion'
+    ],
+    properties: {
+        summary: { type: 'string', minLength: 1 },
+        behavioral_delta_interpretation: { type: 'string', minLength: 1 },
+        technical_reasoning: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        caller_safety_analysis_summary: { type: 'string', minLength: 1 },
+        estimated_failure_probabilities: { type: ['string', 'object'] },
+        deployment_projection: {
+            type: 'object',
+            required: ['immediate_effects', 'long_term_effects'],
+            properties: {
+                immediate_effects: { type: ['string', 'array'], items: { type: 'string' } },
+                long_term_effects: { type: ['string', 'array'], items: { type: 'string' } }
+            }
+        },
+        scary_insight: { type: 'string', minLength: 1 },
+        simulated_failure_trace: { type: 'string', minLength: 1 },
+        recommendation: { type: 'string', minLength: 1 },
+        visual_narrative_suggestion: { type: 'string', minLength: 1 }
+    }
+};
+
+// The caller safety rules (see reportFormats.js) that stand for a missing guard of each kind
+const GUARD_RULES = {
+    error: ['missing-try-catch', 'async-without-catch'],
+    null: ['missing-null-check', 'unguarded-destructuring']
+};
+
+// How each fix reads in the recommendation
+const RULE_FIXES = {
+    'missing-try-catch': 'wrap the call in a try/catch',
+    'async-without-catch': 'add a try/catch or .catch()',
+    'missing-null-check': 'check the result for null',
+    'unguarded-destructuring': 'guard the result before destructuring it'
+};
+
+// What each kind of failure looks like once deployed
+const FAILURE_EFFECTS = {
+    unhandled_exception: {
+        name: 'unhandled exception',
+        immediate: 'unhandled exceptions, answered with 500 errors or crashing the jobs running them',
+        longTerm: 'Every request taking an unguarded path keeps failing until its callers handle the new error, burning the error budget of the endpoints involved.'
+    },
+    null_dereference: {
+        name: 'null dereference',
+        immediate: 'TypeErrors from reading properties of a null or undefined result',
+        longTerm: 'Crashes recur wherever the missing value is read, often far from this change, which makes them slow to trace back to it.'
+    },
+    error_spike: {
+        name: 'error spike',
+        immediate: 'a rise in error responses, 4xx for rejected input and 5xx for failures',
+        longTerm: 'Clients retry or give up on the failing requests, and alerting gets noisier until the callers adapt.'
+    },
+    data_inconsistency: {
+        name: 'data inconsistency',
+        immediate: 'reads and writes that disagree about the shape of the data',
+        longTerm: 'Inconsistent records accumulate in storage and downstream consumers, and may need a backfill once found.'
+    }
+};
+
+/**
+ * Returns the JSON type of a value, as JSON Schema names it.
+ * @param {*} value
+ * @returns {string}
+ */
+function getJsonType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Validates a value against the subset of JSON Schema AI_ANALYSIS_SCHEMA uses: `type`, `required`, `properties`,
+ * `items`, `minLength` and `minItems`.
+ * @param {*} value The value.
+ * @param {object} schema The schema.
+ * @param {string} at The path of the value, for error messages (empty for the root).
+ * @param {Array<string>} errors Receives the problems found.
+ */
+function validateAgainstSchema(value, schema, at, errors) {
+    const name = at ? `"${at}"` : 'The response';
+    const types = [].concat(schema.type);
+    const type = getJsonType(value);
+    if (!types.includes(type)) {
+        errors.push(`${name} must be ${types.join(' or ')}, got ${type}.`);
+        return;
+    }
+    if (type === 'string' && schema.minLength && value.trim().length < schema.minLength) errors.push(`${name} must not be empty.`);
+    if (type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) errors.push(`${name} must have at least ${schema.minItems} item(s).`);
+        if (schema.items) value.forEach((item, index) => validateAgainstSchema(item, schema.items, `${at}[${index}]`, errors));
+    }
+    if (type === 'object') {
+        const childPath = key => at ? `${at}.${key}` : key;
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`"${childPath(key)}" is missing.`);
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) validateAgainstSchema(value[key], propertySchema, childPath(key), errors);
+        }
+    }
+}
+
+/**
+ * Parses a model's response and checks it against AI_ANALYSIS_SCHEMA.
+ * @param {string} content The response text.
+ * @returns {{analysis: object|null, errors: Array<string>}} The analysis, and what is wrong with it (empty if valid).
+ */
+export function parseAiAnalysis(content) {
+    let analysis;
+    try {
+        analysis = JSON.parse(content);
+    } catch (error) {
+        return { analysis: null, errors: [`The response is not valid JSON: ${error.message}`] };
+    }
+    const errors = [];
+    validateAgainstSchema(analysis, AI_ANALYSIS_SCHEMA, '', errors);
+    return { analysis, errors };
+}
+
+/**
+ * Builds the prompt asking the model to fix a response that did not match the schema.
+ * @param {string} prompt The original prompt.
+ * @param {string} content The invalid response.
+ * @param {Array<string>} errors What is wrong with it (see parseAiAnalysis).
+ * @returns {string}
+ */
+export function getRepairPrompt(prompt, content, errors) {
+    return `${prompt}
+
+Your previous response did not match the required format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${content}
+
+Reply with the corrected JSON object only. It must match this JSON Schema:
+${JSON.stringify(AI_ANALYSIS_SCHEMA, null, 2)}`;
+}
+
+/**
+ * Formats a count with its noun, pluralized.
+ * @param {number} count
+ * @param {string} noun
+ * @returns {string}
+ */
+function pluralize(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Formats a probability as a percentage.
+ * @param {number} probability
+ * @returns {string}
+ */
+function toPercent(probability) {
+    return `${Math.round(probability * 100)}%`;
+}
+
+/**
+ * Lists the call sites missing the guard their change needs (see the `required_guard` of change profiles), the
+ * most likely to fail first. Changes without a required guard count every unsafe call site.
+ * @param {object} report The impact report.
+ * @param {Array<object>} targets The resolved targets.
+ * @returns {Array<{finding: object, target: object|undefined, rule: object}>} Each call site, with its worst broken rule.
+ */
+function getUnguardedCallSites(report, targets) {
+    const unguarded = [];
+    for (const finding of getUnsafeCallSites(report)) {
+        const target = targets.find(t => finding.targets.includes(t.id));
+        const guardRules = GUARD_RULES[target?.profile.required_guard];
+        const rules = getBrokenRules(finding).filter(rule => !guardRules || guardRules.includes(rule.id));
+        if (rules.length === 0) continue;
+        unguarded.push({ finding, target, rule: rules.reduce((worst, rule) => rule.probability > worst.probability ? rule : worst) });
+    }
+    return unguarded.sort((a, b) => b.rule.probability - a.rule.probability);
+}
+
+/**
+ * Writes the analysis the AI layer asks for from the deterministic data of a report: the risk model, the ranked
+ * APIs and the worst unsafe call site. Used when no model is available or its answer is unusable, so reports
+ * always carry every field.
+ * @param {object} report The impact report, without its `ai_analysis`.
+ * @param {Array<object>} targets The targets resolved by resolveTargetChanges.
+ * @param {object} graph The dependency graph.
+ * @param {string} projectPath Absolute path to the project directory.
+ * @returns {object} The analysis, with the fields of AI_ANALYSIS_SCHEMA.
+ */
+export function generateRuleBasedNarrative(report, targets, graph, projectPath) {
+    const { impact_summary: impactSummary, risk_model: riskModel } = report;
+    const apis = report.ranked_api_impacts;
+    const topApi = apis[0];
+    const allImpacts = [...report.impact_tree.direct_dependents, ...report.impact_tree.indirect_dependents];
+    const impactsById = new Map(allImpacts.map(impact => [impact.id, impact]));
+    const callSites = report.caller_safety_analysis_results.filter(f => f.line && typeof f.unhandledErrorProbability === 'number' && !f.type?.endsWith('_component'));
+    const unguarded = getUnguardedCallSites(report, targets);
+    const worst = unguarded[0];
+    const toRelPath = finding => path.relative(projectPath, finding.file).replace(/\\/g, '/');
+    const toLocation = finding => `${toRelPath(finding)}:${finding.line}:${finding.column + 1}`;
+    const atLeast = impactSummary.truncated ? 'at least ' : '';
+
+    // The failure the change is most likely to cause, among those its profiles predict (caller safety alone raises
+    // the null dereference estimate of any change)
+    const probabilities = Object.keys(FAILURE_EFFECTS).map(key => {
+        const reportKey = key === 'data_inconsistency' ? 'dataInconsistency_probability' : `${key}_probability`;
+        return [key, parseFloat(riskModel.estimated_failure_probabilities[reportKey]) / 100];
+    });
+    const predicted = new Set(targets.flatMap(target => Object.keys(target.profile.probabilities)));
+    const candidates = probabilities.some(([key]) => predicted.has(key)) ? probabilities.filter(([key]) => predicted.has(key)) : probabilities;
+    const [dominantFailure, dominantProbability] = candidates.reduce((max, entry) => entry[1] > max[1] ? entry : max);
+    const effect = FAILURE_EFFECTS[dominantFailure];
+
+    const changeText = targets.length === 1
+        ? `${targets[0].id} (${targets[0].raw_change_type})`
+        : `${targets.length} changes (${targets.map(target => `${target.id}: ${target.raw_change_type}`).join(', ')})`;
+    let summary = `${changeText} reaches ${atLeast}${pluralize(impactSummary.total_impacted_nodes, 'dependent')} and ${pluralize(impactSummary.api_surface_impact, 'API endpoint')}, up to ${pluralize(impactSummary.max_propagation_depth, 'hop')} away. Risk is ${riskModel.risk_level} (${riskModel.final_clamped_score}/10).`;
+    if (callSites.length > 0) summary += ` ${unguarded.length} of ${pluralize(callSites.length, 'call site')} lack the guard the change needs.`;
+
+    const behavioralDeltaInterpretation = targets.map(target => {
+        const delta = /^from:(.*?),to:(.*)$/.exec(target.behavioral_delta);
+        return `${target.id}: ${target.profile.description}${delta ? ` Before: ${delta[1]}. After: ${delta[2]}.` : ''}`;
+    }).join(' ');
+
+    const profile = riskModel.change_type_profile;
+    const technicalReasoning = [
+        `The ${profile.raw_type} profile starts at a base risk of ${profile.base_risk} and adds ${profile.impact_weight} per impacted API endpoint (${impactSummary.api_surface_impact} here).`,
+        `Failures propagate up to ${pluralize(impactSummary.max_propagation_depth, 'hop')} from the change, through ${report.impact_tree.direct_dependents.length} direct and ${report.impact_tree.indirect_dependents.length} indirect dependents.`
+    ];
+    if (riskModel.per_target_scores.length > 1) {
+        technicalReasoning.push(`On their own, ${riskModel.per_target_scores.map(score => `${score.target} scores ${score.score}/10`).join(', ')}; ${riskModel.overlap.overlapping_dependents} dependents are hit by several changes at once.`);
+    }
+    if (riskModel.architectural_zone_weights_applied.length > 0) {
+        technicalReasoning.push(`The blast radius spans ${riskModel.architectural_zone_weights_applied.map(({ zone, weight }) => `${zone} (weight ${weight})`).join(', ')}.`);
+    }
+    if (riskModel.target_criticality_multiplier_applied !== 1) {
+        technicalReasoning.push(`The criticality flags multiply the score by ${riskModel.target_criticality_multiplier_applied}.`);
+    }
+    if (topApi) {
+        technicalReasoning.push(`The most critical endpoint reached is ${topApi.id} (${topApi.criticality.level})${topApi.criticality.reasons.length > 0 ? `: ${topApi.criticality.reasons[0]}` : '.'}`);
+    }
+    if (impactSummary.impacted_packages.length > 0) {
+        technicalReasoning.push(`The change crosses package boundaries into ${impactSummary.impacted_packages.join(', ')}.`);
+    }
+    for (const usage of report.field_usage) {
+        const fields = [...new Set(usage.consumers.flatMap(consumer => consumer.fields || []))];
+        technicalReasoning.push(`${pluralize(usage.consumers.length, 'consumer')} of ${usage.target} read its return value${fields.length > 0 ? `, using ${fields.join(', ')}` : ''}.`);
+    }
+    if (impactSummary.truncated) {
+        technicalReasoning.push(`The traversal stopped early (${impactSummary.truncation_reasons.join(', ')}), so these figures are a lower bound.`);
+    }
+    if (impactSummary.confidence.reason) technicalReasoning.push(impactSummary.confidence.reason);
+
+    let callerSafetySummary = 'No call sites of the changed code were found in the scanned dependents.';
+    if (callSites.length > 0) {
+        const count = predicate => callSites.filter(predicate).length;
+        const average = key => callSites.reduce((sum, finding) => sum + finding[key], 0) / callSites.length;
+        callerSafetySummary = `${count(f => !f.hasTryCatch)} of ${pluralize(callSites.length, 'call site')} lack a try/catch, ` +
+            `${count(f => !f.hasNullCheck && !f.isOptionalChaining)} lack a null check or optional chaining, and ` +
+            `${count(f => f.isDestructuredImmediately && !f.hasNullCheck && !f.isOptionalChaining)} destructure the result without a guard. ` +
+            `On average, the unhandled error probability is ${toPercent(average('unhandledErrorProbability'))} and the unsafe dereference likelihood ${toPercent(average('unsafeDereferenceLikelihood'))}.`;
+        if (worst) {
+            const breakdown = [...(worst.finding.unhandledErrorBreakdown || []), ...(worst.finding.unsafeDereferenceBreakdown || [])];
+            if (breakdown.length > 0) callerSafetySummary += ` At ${toLocation(worst.finding)}: ${breakdown.join('; ')}.`;
+        }
+    }
+
+    const failureRates = riskModel.estimated_failure_probabilities;
+    const estimatedFailureProbabilities = `Error spike ${failureRates.error_spike_probability}, null dereference ${failureRates.null_dereference_probability}, ` +
+        `unhandled exception ${failureRates.unhandled_exception_probability}, data inconsistency ${failureRates.dataInconsistency_probability}. ` +
+        `They start from the probabilities of the ${[...new Set(targets.map(target => target.raw_change_type))].join(', ')} change profile(s), ` +
+        `grow with how unguarded each change's call sites are, and rise further when high-criticality endpoints are reached.`;
+
+    const entryPoints = apis.length > 0
+        ? apis.slice(0, 3).map(api => api.id).join(', ') + (apis.length > 3 ? ` and ${apis.length - 3} more endpoints` : '')
+        : `the callers of ${targets.map(target => target.id).join(', ')}`;
+    const deploymentProjection = dominantProbability > 0
+        ? {
+            immediate_effects: `Requests through ${entryPoints} would see ${effect.immediate} (estimated ${effect.name} probability ${toPercent(dominantProbability)}).`,
+            long_term_effects: `${effect.longTerm}${impactSummary.impacted_packages.length > 0 ? ` The failures reach the ${impactSummary.impacted_packages.join(', ')} package(s) too.` : ''}`
+        }
+        : {
+            immediate_effects: 'No immediate failures are expected: the change contributes no failure probability and no unguarded call site was found.',
+            long_term_effects: 'Behavior drifts silently if callers relied on the previous behavior; watch the dependents listed above.'
+        };
+
+    const unsafeApis = apis.filter(api => unguarded.some(({ finding }) => toRelPath(finding) === api.file));
+    let scaryInsight;
+    if (unsafeApis.length > 0) {
+        scaryInsight = `${unsafeApis.length} of the ${pluralize(apis.length, 'impacted endpoint')} (${unsafeApis.slice(0, 3).map(api => api.id).join(', ')}${unsafeApis.length > 3 ? ', ...' : ''}) ${unsafeApis.length === 1 ? 'calls' : 'call'} the changed code without the guard it now needs.`;
+    } else if (worst) {
+        scaryInsight = `${toLocation(worst.finding)} calls ${worst.finding.callee}() unguarded: ${worst.rule.message} (estimated probability ${toPercent(worst.rule.probability)}).`;
+    } else if (topApi) {
+        scaryInsight = `The change reaches ${pluralize(apis.length, 'API endpoint')}, the most critical being ${topApi.id} (${topApi.criticality.level}).`;
+    } else {
+        scaryInsight = `The change reaches ${atLeast}${pluralize(impactSummary.total_impacted_nodes, 'dependent')}, none of them an API endpoint.`;
+    }
+
+    let failureTrace = 'No unguarded call site was found, so no concrete failure path can be traced.';
+    if (worst) {
+        const relPath = toRelPath(worst.finding);
+        const impact = findEnclosingImpact(graph, impactsById, relPath, worst.finding.line);
+        const api = impact && (impact.type === 'api' ? impact : apis.find(candidate => candidate.chain.split(' ➔ ').includes(impact.id)));
+        const chain = (api || impact)?.chain;
+        failureTrace = `After the change to ${worst.target?.id || worst.finding.callee} (${worst.target?.raw_change_type || 'change'}), ${worst.rule.message} at ${toLocation(worst.finding)}${impact ? `, in ${impact.id}` : ''}. ` +
+            `The failure (estimated probability ${toPercent(worst.rule.probability)}) propagates along ${chain || 'its callers'}` +
+            `${api ? ` and ${api.id} answers with a 500 error.` : '.'}`;
+    }
+
+    let recommendation;
+    if (unguarded.length > 0) {
+        const fixes = unguarded.slice(0, 3).map(({ finding, rule }) => `${toLocation(finding)} (${RULE_FIXES[rule.id]})`);
+        recommendation = `Guard the ${pluralize(unguarded.length, 'unguarded call site')} before deploying: ${fixes.join(', ')}${unguarded.length > 3 ? `, and ${unguarded.length - 3} more` : ''}. ` +
+            'Alternatively, keep the previous behavior for existing callers and roll the change out behind a new function or flag.';
+    } else if (/^(HIGH|CRITICAL)/.test(riskModel.risk_level)) {
+        recommendation = `No unguarded call site was found, but the risk is ${riskModel.risk_level}: review ${topApi ? `the path to ${topApi.id}` : 'the dependents'} and deploy while monitoring for ${effect.name}s.`;
+    } else {
+        recommendation = `The change looks safe to deploy; monitor ${topApi ? topApi.id : 'its dependents'} for ${effect.name}s after release.`;
+    }
+
+    const visualNarrativeSuggestion = `Center the graph on ${targets.map(target => target.id).join(', ')} and highlight in red the path to ${topApi ? topApi.id : 'the deepest dependent'}` +
+        `${unguarded.length > 0 ? `, marking the ${pluralize(unguarded.length, 'unguarded call site')}` : ''}; color dependents by architectural zone weight and fade those whose calls are guarded.`;
+
+    return {
+        summary,
+        behavioral_delta_interpretation: behavioralDeltaInterpretation,
+        technical_reasoning: technicalReasoning,
+        caller_safety_analysis_summary: callerSafetySummary,
+        estimated_failure_probabilities: estimatedFailureProbabilities,
+        deployment_projection: deploymentProjection,
+        scary_insight: scaryInsight,
+        simulated_failure_trace: failureTrace,
+        recommendation,
+        visual_narrative_suggestion: visualNarrativeSuggestion
+    };
+}
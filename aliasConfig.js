@@ -0,0 +1,368 @@
+import fs from 'fs';
+import path from 'path';
+import * as parser from '@babel/parser';
+import _traverse from '@babel/traverse';
+import * as t from '@babel/types';
+
+const babelTraverse = _traverse.default || _traverse;
+
+const TSCONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+const BUNDLER_CONFIG_FILES = [
+    'vite.config.ts', 'vite.config.js', 'vite.config.mts', 'vite.config.mjs', 'vite.config.cjs',
+    'webpack.config.js', 'webpack.config.ts', 'webpack.config.mjs', 'webpack.config.cjs'
+];
+const SVELTE_CONFIG_FILES = ['svelte.config.js', 'svelte.config.mjs', 'svelte.config.cjs', 'svelte.config.ts'];
+// Conditions tried, in order, when a package.json `imports`/`exports` target is a conditional object
+const IMPORT_CONDITIONS = ['source', 'import', 'module', 'node', 'require', 'default'];
+
+/**
+ * Parses JSON with comments and trailing commas, as allowed in tsconfig.json/jsconfig.json.
+ * @param {string} text The raw file content.
+ * @returns {object}
+ */
+function parseJsonc(text) {
+    let output = '';
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            output += char;
+            if (char === '\\') { output += text[++i] ?? ''; continue; }
+            if (char === '"') inString = false;
+            continue;
+        }
+        if (char === '"') { inString = true; output += char; continue; }
+        if (char === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+            output += '\n';
+            continue;
+        }
+        if (char === '/' && text[i + 1] === '*') {
+            i += 2;
+            while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+            i++;
+            continue;
+        }
+        output += char;
+    }
+    return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * Resolves the `extends` entry of a tsconfig to a file path (relative paths or packages in node_modules).
+ * @param {string} extendsValue The value of `extends`.
+ * @param {string} configDir Directory of the config that extends it.
+ * @param {string} projectRoot The absolute root path of the project.
+ * @returns {string|null}
+ */
+function resolveExtendsPath(extendsValue, configDir, projectRoot) {
+    const isFile = candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile();
+    const getCandidates = base => [base, `${base}.json`, path.join(base, 'tsconfig.json')];
+    if (extendsValue.startsWith('.') || path.isAbsolute(extendsValue)) {
+        return getCandidates(path.resolve(configDir, extendsValue)).find(isFile) || null;
+    }
+    // Packages are looked up in node_modules from the config's directory up to the project root, like Node does
+    for (let dir = configDir; ; dir = path.dirname(dir)) {
+        const found = getCandidates(path.join(dir, 'node_modules', extendsValue)).find(isFile);
+        if (found) return found;
+        if (dir === projectRoot || !dir.startsWith(projectRoot + path.sep)) return null;
+    }
+}
+
+/**
+ * Loads `baseUrl` and `paths` from a tsconfig/jsconfig, following its `extends` chain.
+ * @param {string} configPath Absolute path of the config file.
+ * @param {string} projectRoot The absolute root path of the project.
+ * @param {Set<string>} seen Config files already visited, to break `extends` cycles.
+ * @returns {{baseUrl: string|undefined, paths: object|undefined, pathsDir: string|undefined, pathsFile: string|undefined, files: Array<string>}}
+ */
+function loadTsConfigChain(configPath, projectRoot, seen = new Set()) {
+    const result = { baseUrl: undefined, paths: undefined, pathsDir: undefined, pathsFile: undefined, files: [] };
+    if (seen.has(configPath)) return result;
+    seen.add(configPath);
+
+    const config = parseJsonc(fs.readFileSync(configPath, 'utf-8'));
+    const configDir = path.dirname(configPath);
+    const extendsList = Array.isArray(config.extends) ? config.extends : (config.extends ? [config.extends] : []);
+
+    // Later entries in `extends` override earlier ones, and the config itself overrides them all
+    for (const extendsValue of extendsList) {
+        const parentPath = resolveExtendsPath(extendsValue, configDir, projectRoot);
+        if (!parentPath) continue;
+        const parent = loadTsConfigChain(parentPath, projectRoot, seen);
+        if (parent.baseUrl !== undefined) result.baseUrl = parent.baseUrl;
+        if (parent.paths !== undefined) Object.assign(result, { paths: parent.paths, pathsDir: parent.pathsDir, pathsFile: parent.pathsFile });
+        result.files.push(...parent.files);
+    }
+
+    const compilerOptions = config.compilerOptions || {};
+    if (compilerOptions.baseUrl !== undefined) result.baseUrl = path.resolve(configDir, compilerOptions.baseUrl);
+    if (compilerOptions.paths !== undefined) Object.assign(result, { paths: compilerOptions.paths, pathsDir: configDir, pathsFile: path.relative(projectRoot, configPath) });
+    result.files.push(path.relative(projectRoot, configPath));
+    return result;
+}
+
+/**
+ * Builds an alias rule from a pattern that may contain a single `*` wildcard.
+ * @param {string} key The alias as written in the config (e.g. "@app/*").
+ * @param {Array<string>} targets Absolute target patterns, with `*` where the wildcard goes.
+ * @param {string} source The config file the alias came from.
+ * @returns {object}
+ */
+function createPatternRule(key, targets, source) {
+    const starIndex = key.indexOf('*');
+    if (starIndex === -1) return { key, source, type: 'exact', targets };
+    return { key, source, type: 'wildcard', prefix: key.substring(0, starIndex), suffix: key.substring(starIndex + 1), targets };
+}
+
+/**
+ * Picks the first string target of a package.json `imports` or `exports` entry, following conditional objects.
+ * @param {string|object|Array} target
+ * @returns {string|null}
+ */
+export function pickImportTarget(target) {
+    if (typeof target === 'string') return target;
+    if (Array.isArray(target)) return target.map(pickImportTarget).find(Boolean) || null;
+    if (target && typeof target === 'object') {
+        for (const condition of IMPORT_CONDITIONS) {
+            if (condition in target) {
+                const picked = pickImportTarget(target[condition]);
+                if (picked) return picked;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Statically evaluates an alias target expression in a bundler config.
+ * Supports string literals, `path.resolve/join(__dirname, ...)`, `${__dirname}/...` templates
+ * and `fileURLToPath(new URL('./src', import.meta.url))`.
+ * @param {object} node The Babel expression node.
+ * @param {string} configDir Directory of the bundler config.
+ * @returns {string|null} The absolute target path, or null if it cannot be evaluated.
+ */
+function evaluatePathExpression(node, configDir) {
+    if (t.isStringLiteral(node)) {
+        if (path.isAbsolute(node.value) && fs.existsSync(node.value)) return node.value;
+        // Vite users commonly write '/src' meaning the project root, not the filesystem root
+        return path.join(configDir, node.value);
+    }
+    if (t.isIdentifier(node, { name: '__dirname' })) return configDir;
+    if (t.isCallExpression(node) && t.isMemberExpression(node.callee) && t.isIdentifier(node.callee.object, { name: 'process' }) && t.isIdentifier(node.callee.property, { name: 'cwd' })) {
+        return configDir;
+    }
+    if (t.isTemplateLiteral(node)) {
+        let value = '';
+        for (let i = 0; i < node.quasis.length; i++) {
+            value += node.quasis[i].value.cooked;
+            if (node.expressions[i]) {
+                const evaluated = evaluatePathExpression(node.expressions[i], configDir);
+                if (evaluated === null) return null;
+                value += evaluated;
+            }
+        }
+        return path.resolve(configDir, value);
+    }
+    if (t.isCallExpression(node)) {
+        const callee = node.callee;
+        const calleeName = t.isMemberExpression(callee) && t.isIdentifier(callee.property) ? callee.property.name : (t.isIdentifier(callee) ? callee.name : null);
+        if (calleeName === 'resolve' || calleeName === 'join') {
+            const args = node.arguments.map(arg => t.isStringLiteral(arg) ? arg.value : evaluatePathExpression(arg, configDir));
+            if (args.some(arg => arg === null)) return null;
+            return path.resolve(configDir, ...args);
+        }
+        if (calleeName === 'fileURLToPath' && node.arguments[0]) {
+            return evaluatePathExpression(node.arguments[0], configDir);
+        }
+    }
+    // new URL('./src', import.meta.url)
+    if (t.isNewExpression(node) && t.isIdentifier(node.callee, { name: 'URL' }) && t.isStringLiteral(node.arguments[0])) {
+        return path.resolve(configDir, node.arguments[0].value);
+    }
+    if (t.isMemberExpression(node) && t.isIdentifier(node.property, { name: 'pathname' })) {
+        return evaluatePathExpression(node.object, configDir);
+    }
+    return null;
+}
+
+/**
+ * Extracts simple `resolve.alias` entries (object or `{ find, replacement }` array form) from a vite/webpack config,
+ * or `kit.alias` entries from a svelte.config.
+ * @param {string} configPath Absolute path of the bundler config.
+ * @param {string} projectRoot The absolute root path of the project.
+ * @returns {Array<object>} Alias rules.
+ */
+function loadBundlerAliases(configPath, projectRoot) {
+    const configDir = path.dirname(configPath);
+    const source = path.relative(projectRoot, configPath);
+    const rules = [];
+
+    const ast = parser.parse(fs.readFileSync(configPath, 'utf-8'), {
+        sourceType: 'unambiguous',
+        plugins: ['typescript', 'importAssertions', 'dynamicImport', 'classProperties', 'optionalChaining', 'nullishCoalescingOperator']
+    });
+
+    const addRule = (key, replacement) => {
+        const target = evaluatePathExpression(replacement, configDir);
+        if (!target) return;
+        // Webpack's trailing `$` restricts an alias to exact matches
+        if (key.endsWith('$')) {
+            rules.push({ key, source, type: 'exact', targets: [target] });
+        } else {
+            rules.push({ key, source, type: 'prefix', targets: [target] });
+        }
+    };
+
+    babelTraverse(ast, {
+        ObjectProperty(p) {
+            const keyName = t.isIdentifier(p.node.key) ? p.node.key.name : (t.isStringLiteral(p.node.key) ? p.node.key.value : null);
+            if (keyName !== 'alias') return;
+
+            const value = p.node.value;
+            if (t.isObjectExpression(value)) {
+                for (const prop of value.properties) {
+                    if (!t.isObjectProperty(prop)) continue;
+                    const aliasKey = t.isIdentifier(prop.key) ? prop.key.name : (t.isStringLiteral(prop.key) ? prop.key.value : null);
+                    if (aliasKey) addRule(aliasKey, prop.value);
+                }
+            } else if (t.isArrayExpression(value)) {
+                for (const element of value.elements) {
+                    if (!t.isObjectExpression(element)) continue;
+                    const find = element.properties.find(prop => t.isObjectProperty(prop) && t.isIdentifier(prop.key, { name: 'find' }));
+                    const replacement = element.properties.find(prop => t.isObjectProperty(prop) && t.isIdentifier(prop.key, { name: 'replacement' }));
+                    // Regex `find` patterns are not simple aliases and are skipped
+                    if (find && replacement && t.isStringLiteral(find.value)) addRule(find.value.value, replacement.value);
+                }
+            }
+        }
+    });
+    return rules;
+}
+
+/**
+ * Reads the aliases declared in one directory, by kind: tsconfig/jsconfig `paths` and `baseUrl` (including
+ * `extends`), the package.json `imports` field, and bundler aliases (simple `resolve.alias` entries from
+ * vite/webpack configs, SvelteKit's `kit.alias` and built-in `$lib` alias). A kind is null when the directory has
+ * no config file for it.
+ * @param {string} configDir The absolute directory holding the config files: the project or a workspace package.
+ * @param {string} projectRoot The absolute root path of the project, which sources are relative to.
+ * @returns {{tsconfig: object|null, imports: object|null, bundler: object|null}} Each `{rules, sources}`, plus `baseUrl` for tsconfig.
+ */
+function loadDirectoryAliases(configDir, projectRoot) {
+    const sections = { tsconfig: null, imports: null, bundler: null };
+
+    for (const fileName of TSCONFIG_FILES) {
+        const configPath = path.join(configDir, fileName);
+        if (!fs.existsSync(configPath)) continue;
+        const section = sections.tsconfig || (sections.tsconfig = { rules: [], sources: [], baseUrl: null });
+        try {
+            const tsConfig = loadTsConfigChain(configPath, projectRoot);
+            section.sources.push(...tsConfig.files.filter(file => !section.sources.includes(file)));
+            if (tsConfig.baseUrl && !section.baseUrl) section.baseUrl = tsConfig.baseUrl;
+            if (tsConfig.paths) {
+                const pathsBase = tsConfig.baseUrl || tsConfig.pathsDir;
+                for (const [key, targets] of Object.entries(tsConfig.paths)) {
+                    section.rules.push(createPatternRule(key, targets.map(target => path.resolve(pathsBase, target)), tsConfig.pathsFile));
+                }
+            }
+        } catch (e) {
+            console.warn(`Warning: Error reading ${configPath}: ${e.message}`);
+        }
+    }
+
+    const packageJsonPath = path.join(configDir, 'package.json');
+    if (fs.existsSync(packageJsonPath)) {
+        sections.imports = { rules: [], sources: [] };
+        try {
+            const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
+            if (packageJson.imports) {
+                const source = path.relative(projectRoot, packageJsonPath);
+                sections.imports.sources.push(source);
+                for (const [key, target] of Object.entries(packageJson.imports)) {
+                    const picked = pickImportTarget(target);
+                    if (picked) sections.imports.rules.push(createPatternRule(key, [path.resolve(configDir, picked)], `${source}#imports`));
+                }
+            }
+        } catch (e) {
+            console.warn(`Warning: Error reading ${packageJsonPath}: ${e.message}`);
+        }
+    }
+
+    for (const fileName of BUNDLER_CONFIG_FILES) {
+        const configPath = path.join(configDir, fileName);
+        if (!fs.existsSync(configPath)) continue;
+        const section = sections.bundler || (sections.bundler = { rules: [], sources: [] });
+        try {
+            const bundlerRules = loadBundlerAliases(configPath, projectRoot);
+            if (bundlerRules.length > 0) section.sources.push(path.relative(projectRoot, configPath));
+            section.rules.push(...bundlerRules);
+        } catch (e) {
+            console.warn(`Warning: Error reading aliases from ${configPath}: ${e.message}`);
+        }
+    }
+
+    for (const fileName of SVELTE_CONFIG_FILES) {
+        const configPath = path.join(configDir, fileName);
+        if (!fs.existsSync(configPath)) continue;
+        const section = sections.bundler || (sections.bundler = { rules: [], sources: [] });
+        const source = path.relative(projectRoot, configPath);
+        try {
+            section.rules.push(...loadBundlerAliases(configPath, projectRoot));
+        } catch (e) {
+            console.warn(`Warning: Error reading aliases from ${configPath}: ${e.message}`);
+        }
+        // SvelteKit always maps `$lib` to src/lib; .svelte-kit/tsconfig.json, which declares it, is generated and not read
+        if (!section.rules.some(rule => rule.key === '$lib' || rule.prefix === '$lib/')) {
+            section.rules.push({ key: '$lib', source, type: 'prefix', targets: [path.join(configDir, 'src', 'lib')] });
+        }
+        section.sources.push(source);
+        break;
+    }
+    return sections;
+}
+
+/**
+ * Reads the module aliases that apply to the files of a project, or of one of its workspace packages. A package
+ * uses its own tsconfig/jsconfig and bundler aliases, or the project's when it has none. Its `#imports` come from
+ * its own package.json only: like Node, they are never read from the package.json of another directory.
+ * @param {string} projectRoot The absolute root path of the project.
+ * @param {string} [packageDir] The absolute directory of a workspace package; the project root if not set.
+ * @param {object} [rootAliasConfig] The aliases of the project root, as returned before, to avoid reading them again.
+ * @returns {{rules: Array<object>, baseUrl: string|null, sources: Array<string>, sections: object}}
+ */
+export function loadAliasConfig(projectRoot, packageDir = projectRoot, rootAliasConfig = null) {
+    let sections = loadDirectoryAliases(packageDir, projectRoot);
+    if (packageDir !== projectRoot) {
+        const rootSections = (rootAliasConfig || loadAliasConfig(projectRoot)).sections;
+        sections = { ...sections, tsconfig: sections.tsconfig || rootSections.tsconfig, bundler: sections.bundler || rootSections.bundler };
+    }
+
+    const used = [sections.tsconfig, sections.imports, sections.bundler].filter(Boolean);
+    const rules = used.flatMap(section => section.rules);
+    // Like TypeScript, prefer the most specific (longest) alias when several match
+    rules.sort((a, b) => (b.prefix ?? b.key).length - (a.prefix ?? a.key).length);
+    return { rules, baseUrl: sections.tsconfig?.baseUrl || null, sources: used.flatMap(section => section.sources), sections };
+}
+
+/**
+ * Expands an import specifier through the alias rules that match it.
+ * @param {string} importedModule The module specifier from the import statement.
+ * @param {{rules: Array<object>}} aliasConfig Output of loadAliasConfig.
+ * @returns {Array<{rule: object, candidates: Array<string>}>} Matching rules with their candidate paths, most specific first.
+ */
+export function expandAliases(importedModule, aliasConfig) {
+    const matches = [];
+    for (const rule of aliasConfig.rules) {
+        if (rule.type === 'exact' && importedModule === rule.key.replace(/\$$/, '')) {
+            matches.push({ rule, candidates: rule.targets });
+        } else if (rule.type === 'wildcard' && importedModule.startsWith(rule.prefix) && importedModule.endsWith(rule.suffix) &&
+            importedModule.length >= rule.prefix.length + rule.suffix.length) {
+            const captured = importedModule.substring(rule.prefix.length, importedModule.length - rule.suffix.length);
+            matches.push({ rule, candidates: rule.targets.map(target => target.replace('*', captured)) });
+        } else if (rule.type === 'prefix' && (importedModule === rule.key || importedModule.startsWith(`${rule.key}/`))) {
+            matches.push({ rule, candidates: rule.targets.map(target => target + importedModule.substring(rule.key.length)) });
+        }
+    }
+    return matches;
+}
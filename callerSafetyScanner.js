@@ -1,28 +1,13 @@
 import fs from 'fs';
+import path from 'path';
 import * as parser from '@babel/parser';
 import _traverse from '@babel/traverse';
 import * as t from '@babel/types';
+import { extractScriptContent, getMarkupUsages } from './svelteParser.js';
+import { extractVueScriptContent, getTemplateUsages } from './vueParser.js';
 
 const babelTraverse = _traverse.default || _traverse;
 
-/**
- * Extracts content from <script> tags within a Svelte file.
- * This allows Babel to parse only the JavaScript/TypeScript logic.
- * @param {string} svelteCode The full content of a .svelte file.
- * @returns {string} Concatenated content of all <script> blocks.
- */
-function extractScriptContent(svelteCode) {
-    // Regex to find <script> tags, optionally with 'lang="ts"'
-    const scriptRegex = /<script(?:\s+lang=["']ts["'])?>(.*?)<\/script>/gs;
-    let match;
-    let scriptContent = '';
-    // Collect all script blocks
-    while ((match = scriptRegex.exec(svelteCode)) !== null) {
-        scriptContent += match[1] + '\n';
-    }
-    return scriptContent;
-}
-
 /**
  * Calculates safety probabilities based on detected safety mechanisms.
  * @param {object} safetyFlags Object containing boolean safety flags.
@@ -112,6 +97,62 @@ function calculateSafetyProbabilities({ hasTryCatch, hasNullCheck, isDestructure
     };
 }
 
+// Single-file component formats: how to read their markup and extract their script blocks
+const COMPONENT_FORMATS = {
+    '.svelte': { framework: 'svelte', label: 'Svelte markup', getUsages: getMarkupUsages, extractScript: extractScriptContent },
+    '.vue': { framework: 'vue', label: 'Vue template', getUsages: getTemplateUsages, extractScript: extractVueScriptContent }
+};
+
+/**
+ * Analyzes the uses of a target in Svelte markup or a Vue template: component tags, and calls in template expressions.
+ * A call awaited by `{#await}` is async, and its `{:catch}` branch counts as a try/catch.
+ * @param {string} filePath Absolute path to the component file.
+ * @param {string} componentCode The full content of the file.
+ * @param {string} targetFunctionName The simple name of the function or component being used.
+ * @param {object} format The component format, from COMPONENT_FORMATS.
+ * @returns {Array<object>} Safety analyses, in the same shape as the script call sites.
+ */
+function scanComponentMarkup(filePath, componentCode, targetFunctionName, format) {
+    const { components, calls } = format.getUsages(componentCode);
+    const analyses = components.filter(component => component.name === targetFunctionName).map(component => ({
+        file: filePath,
+        line: component.loc.line,
+        column: component.loc.column,
+        callee: component.name,
+        type: `${format.framework}_component`,
+        hasTryCatch: false,
+        hasNullCheck: false,
+        isDestructuredImmediately: false,
+        assumedExists: true,
+        isAsyncCall: false,
+        isOptionalChaining: false,
+        unsafeDereferenceLikelihood: 0.5, // Base risk for components, as for JSX
+        unhandledErrorProbability: 0.3,
+        unsafeDereferenceBreakdown: [`Base: Component usage in ${format.label} recognized`],
+        unhandledErrorBreakdown: [`Base: Component usage in ${format.label} recognized`]
+    }));
+
+    for (const call of calls.filter(call => call.calleeName === targetFunctionName)) {
+        const safetyFlags = {
+            hasTryCatch: call.hasCatch,
+            hasNullCheck: call.isOptionalChaining,
+            isDestructuredImmediately: call.isDestructured,
+            assumedExists: !call.hasCatch && !call.isDestructured && !call.isOptionalChaining,
+            isAsyncCall: call.isAwaited,
+            isOptionalChaining: call.isOptionalChaining
+        };
+        analyses.push({
+            file: filePath,
+            line: call.loc.line,
+            column: call.loc.column,
+            callee: call.calleeName,
+            type: `${format.framework}_markup`,
+            ...safetyFlags,
+            ...calculateSafetyProbabilities(safetyFlags)
+        });
+    }
+    return analyses;
+}
 
 /**
  * Scans the code of a given file for calls to a specific target function/API
@@ -133,12 +174,14 @@ export function scanCallerSafety(filePath, targetFunctionName) {
     try {
         let code = fs.readFileSync(filePath, 'utf-8');
 
-        // If it's a Svelte file, extract only the script content for Babel parsing
-        if (filePath.endsWith('.svelte')) {
-            code = extractScriptContent(code);
+        // If it's a Svelte or Vue file, scan the markup, then extract only the script content for Babel parsing
+        const componentFormat = COMPONENT_FORMATS[path.extname(filePath)];
+        if (componentFormat) {
+            safetyAnalyses.push(...scanComponentMarkup(filePath, code, targetFunctionName, componentFormat));
+            code = componentFormat.extractScript(code);
             if (!code.trim()) {
-                // If no script content, there's nothing to analyze for calls
-                return [];
+                // If no script content, there's nothing more to analyze for calls
+                return safetyAnalyses;
             }
         }
 
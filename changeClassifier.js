@@ -0,0 +1,219 @@
+import path from 'path';
+import * as parser from '@babel/parser';
+import _traverse from '@babel/traverse';
+import * as t from '@babel/types';
+import { getClassName } from './graphParser.js';
+import { extractScriptContent } from './svelteParser.js';
+import { extractVueScriptContent } from './vueParser.js';
+
+const babelTraverse = _traverse.default || _traverse;
+
+const PARSER_OPTIONS = {
+    sourceType: 'module',
+    errorRecovery: true,
+    plugins: ['jsx', 'typescript', 'decorators-legacy', 'importAssertions', 'dynamicImport', 'classProperties', 'optionalChaining', 'nullishCoalescingOperator']
+};
+
+/**
+ * Resolves the name graphParser would give a function, so both sides of the diff can be matched by node name.
+ * @param {object} p Babel path of the function.
+ * @param {string} fileName The file name, used for anonymous default exports.
+ * @returns {string|null}
+ */
+function getFunctionName(p, fileName) {
+    const parent = p.parentPath.node;
+    const memberPath = t.isClassMethod(p.node) || t.isClassPrivateMethod(p.node) ? p
+        : (t.isClassProperty(parent) || t.isClassPrivateProperty(parent)) && parent.value === p.node ? p.parentPath : null;
+    if (memberPath) {
+        const key = memberPath.node.key;
+        const methodName = t.isIdentifier(key) ? key.name : t.isPrivateName(key) ? `#${key.id.name}` : null;
+        const className = getClassName(memberPath.parentPath.parentPath, fileName);
+        if (methodName && className) return `${className}.${methodName}`;
+    }
+    if (t.isFunctionDeclaration(p.node) && p.node.id) return p.node.id.name;
+    if (t.isVariableDeclarator(parent) && t.isIdentifier(parent.id)) return parent.id.name;
+    if (t.isExportDefaultDeclaration(parent)) return path.basename(fileName, path.extname(fileName));
+    if (t.isObjectProperty(parent) && t.isIdentifier(parent.key)) return parent.key.name;
+    if ((t.isObjectMethod(p.node) || t.isClassMethod(p.node) || t.isClassPrivateMethod(p.node)) && t.isIdentifier(p.node.key)) return p.node.key.name;
+    if (t.isAssignmentExpression(parent) && t.isMemberExpression(parent.left) && t.isIdentifier(parent.left.property)) return parent.left.property.name;
+    return null;
+}
+
+/**
+ * Describes the shape of a returned expression in a short, comparable form.
+ * @param {object|null} argument The argument of a ReturnStatement.
+ * @returns {string}
+ */
+function describeReturnShape(argument) {
+    if (!argument || (t.isIdentifier(argument) && argument.name === 'undefined')) return 'undefined';
+    if (t.isNullLiteral(argument)) return 'null';
+    if (t.isAwaitExpression(argument)) return describeReturnShape(argument.argument);
+    if (t.isObjectExpression(argument)) {
+        const keys = argument.properties
+            .map(prop => (t.isObjectProperty(prop) || t.isObjectMethod(prop)) && t.isIdentifier(prop.key) ? prop.key.name : '...')
+            .sort();
+        return `object{${keys.join(' ')}}`;
+    }
+    if (t.isArrayExpression(argument)) return 'array';
+    if (t.isStringLiteral(argument) || t.isTemplateLiteral(argument)) return 'string';
+    if (t.isNumericLiteral(argument)) return 'number';
+    if (t.isBooleanLiteral(argument)) return 'boolean';
+    if (t.isNewExpression(argument) && t.isIdentifier(argument.callee)) return `instance of ${argument.callee.name}`;
+    return 'value';
+}
+
+/**
+ * Returns true if a statement (or the first statement of a block) exits the function early.
+ * @param {object} statement
+ * @returns {boolean}
+ */
+function isEarlyExit(statement) {
+    if (t.isBlockStatement(statement)) return statement.body.length > 0 && isEarlyExit(statement.body[0]);
+    return t.isThrowStatement(statement) || t.isReturnStatement(statement);
+}
+
+/**
+ * Collects the behavioral facts of a single function, ignoring nested functions.
+ * @param {object} fnPath Babel path of the function.
+ * @returns {object}
+ */
+function collectFunctionFacts(fnPath) {
+    const facts = {
+        isAsync: !!fnPath.node.async,
+        requiredParams: fnPath.node.params.filter(param => !t.isAssignmentPattern(param) && !t.isRestElement(param) && !param.optional).length,
+        throwCount: 0,
+        optionalChainCount: 0,
+        nullishFallbackCount: 0,
+        orFallbackCount: 0,
+        catchCount: 0,
+        guardCount: 0,
+        returnShapes: new Set()
+    };
+
+    // An arrow function with an expression body returns that expression implicitly
+    if (t.isArrowFunctionExpression(fnPath.node) && !t.isBlockStatement(fnPath.node.body)) {
+        facts.returnShapes.add(describeReturnShape(fnPath.node.body));
+    }
+
+    fnPath.traverse({
+        Function(p) { p.skip(); },
+        ThrowStatement() { facts.throwCount++; },
+        'OptionalMemberExpression|OptionalCallExpression'() { facts.optionalChainCount++; },
+        LogicalExpression(p) {
+            if (p.node.operator === '??') facts.nullishFallbackCount++;
+            if (p.node.operator === '||' && !t.isIfStatement(p.parent) && !t.isLogicalExpression(p.parent)) facts.orFallbackCount++;
+        },
+        CatchClause() { facts.catchCount++; },
+        IfStatement(p) {
+            if (isEarlyExit(p.node.consequent)) facts.guardCount++;
+        },
+        ReturnStatement(p) {
+            facts.returnShapes.add(describeReturnShape(p.node.argument));
+        }
+    });
+
+    return facts;
+}
+
+/**
+ * Finds a function by the node name graphParser assigns to it and collects its facts.
+ * @param {string} code Source code of the file.
+ * @param {string} functionName Name of the function node (API nodes match case-insensitively).
+ * @param {string} fileName The file name, used for Svelte/Vue script extraction and default export names.
+ * @returns {object|null} The function facts, or null if the function is not in the file.
+ */
+function findFunctionFacts(code, functionName, fileName) {
+    const source = fileName.endsWith('.svelte') ? extractScriptContent(code)
+        : fileName.endsWith('.vue') ? extractVueScriptContent(code) : code;
+    const ast = parser.parse(source, PARSER_OPTIONS);
+    let facts = null;
+
+    babelTraverse(ast, {
+        'FunctionDeclaration|ArrowFunctionExpression|FunctionExpression|ObjectMethod|ClassMethod|ClassPrivateMethod'(p) {
+            if (facts) return;
+            const name = getFunctionName(p, fileName);
+            if (name && (name === functionName || name.toUpperCase() === functionName)) {
+                facts = collectFunctionFacts(p);
+                p.stop();
+            }
+        }
+    });
+    return facts;
+}
+
+function formatShapes(shapes) {
+    return shapes.size > 0 ? [...shapes].sort().join(' | ') : 'undefined';
+}
+
+/**
+ * Compares two versions of a function and classifies the change.
+ * Signals are checked in order of the risk of their change profile, and the first match wins;
+ * every detected signal is still reported in `signals`.
+ * @param {object|null} oldFacts Facts of the previous version (null if the function is new).
+ * @param {object} newFacts Facts of the new version.
+ * @returns {{change_type: string, signals: Array<string>}}
+ */
+export function classifyFunctionChange(oldFacts, newFacts) {
+    if (!oldFacts) {
+        return { change_type: 'generic_behavioral_change::from:absent,to:new function', signals: ['function added'] };
+    }
+
+    const candidates = [];
+    const oldNullable = oldFacts.returnShapes.has('null') || oldFacts.returnShapes.has('undefined');
+    const newNullable = newFacts.returnShapes.has('null') || newFacts.returnShapes.has('undefined');
+    const oldShapes = formatShapes(oldFacts.returnShapes);
+    const newShapes = formatShapes(newFacts.returnShapes);
+
+    if (!oldFacts.isAsync && newFacts.isAsync) {
+        candidates.push(['sync_to_async_change', 'from:synchronous return value', 'to:returns a Promise (async)']);
+    }
+    if (newFacts.throwCount > oldFacts.throwCount) {
+        const from = oldFacts.throwCount > 0 ? `throws in ${oldFacts.throwCount} place(s)` : `returns ${oldShapes}`;
+        candidates.push(['added_throw_statement', `from:${from}`, `to:throws error in ${newFacts.throwCount} place(s)`]);
+    }
+
+    const removedFallbacks = [];
+    if (newFacts.nullishFallbackCount < oldFacts.nullishFallbackCount) removedFallbacks.push('?? default');
+    if (newFacts.orFallbackCount < oldFacts.orFallbackCount) removedFallbacks.push('|| default');
+    if (newFacts.catchCount < oldFacts.catchCount) removedFallbacks.push('try/catch');
+    if (removedFallbacks.length > 0) {
+        candidates.push(['removed_fallback_behavior', `from:falls back via ${removedFallbacks.join(' and ')}`, 'to:no fallback']);
+    }
+
+    if (oldShapes !== newShapes) {
+        const to = newNullable && !oldNullable ? `to:nullable (returns ${newShapes})` : `to:returns ${newShapes}`;
+        candidates.push(['changed_return_type', `from:returns ${oldShapes}`, to]);
+    }
+    if (newFacts.optionalChainCount < oldFacts.optionalChainCount) {
+        candidates.push(['removed_optional_chaining', `from:${oldFacts.optionalChainCount} optional chain(s)`, `to:${newFacts.optionalChainCount} optional chain(s)`]);
+    }
+    if (newFacts.guardCount > oldFacts.guardCount || newFacts.requiredParams > oldFacts.requiredParams) {
+        candidates.push(['stricter_input_constraint',
+            `from:${oldFacts.guardCount} guard(s) and ${oldFacts.requiredParams} required param(s)`,
+            `to:${newFacts.guardCount} guard(s) and ${newFacts.requiredParams} required param(s)`]);
+    }
+
+    if (candidates.length === 0) {
+        return { change_type: 'generic_behavioral_change::from:same control flow,to:same control flow', signals: [] };
+    }
+
+    const [type, from, to] = candidates[0];
+    return { change_type: `${type}::${from},${to}`, signals: candidates.map(([signalType]) => signalType) };
+}
+
+/**
+ * Infers the semantic change type of a function by AST-diffing two versions of its file.
+ * @param {string|null} oldCode Source of the file before the change (null if the file is new).
+ * @param {string} newCode Source of the file after the change.
+ * @param {string} functionName Name of the changed function node.
+ * @param {string} fileName The file name (used for Svelte/Vue script extraction and default export names).
+ * @returns {{change_type: string, signals: Array<string>}} The inferred `type::from:...,to:...` string and detected signals.
+ */
+export function inferChangeType(oldCode, newCode, functionName, fileName) {
+    const newFacts = findFunctionFacts(newCode, functionName, fileName);
+    if (!newFacts) {
+        throw new Error(`Function '${functionName}' was not found in the new version of ${fileName}.`);
+    }
+    const oldFacts = oldCode === null ? null : findFunctionFacts(oldCode, functionName, fileName);
+    return classifyFunctionChange(oldFacts, newFacts);
+}
@@ -0,0 +1,252 @@
+// Failure probabilities a change type contributes to (risk_model.estimated_failure_probabilities)
+export const PROBABILITY_KEYS = ['error_spike', 'null_dereference', 'unhandled_exception', 'data_inconsistency'];
+
+// Caller safety signals that can amplify a probability, each between 0 and 1 over the call sites of a change
+const CALLER_SAFETY_SIGNALS = {
+    // Averages of the caller safety scanner's per-call-site estimates
+    unhandled_error_probability: callSites => average(callSites.map(s => s.unhandledErrorProbability)),
+    unsafe_dereference_likelihood: callSites => average(callSites.map(s => s.unsafeDereferenceLikelihood)),
+    // Shares of the call sites
+    missing_try_catch: callSites => share(callSites, s => !s.hasTryCatch),
+    missing_null_check: callSites => share(callSites, s => !s.hasNullCheck && !s.isOptionalChaining),
+    destructured_immediately: callSites => share(callSites, s => s.isDestructuredImmediately),
+    has_try_catch: callSites => share(callSites, s => s.hasTryCatch)
+};
+export const CALLER_SAFETY_SIGNAL_NAMES = Object.keys(CALLER_SAFETY_SIGNALS);
+
+const PROFILE_KEYS = ['base', 'impact_weight', 'description', 'label', 'required_guard', 'probabilities', 'amplifiers', 'when_delta_includes'];
+const REQUIRED_GUARDS = ['error', 'null'];
+
+/*
+ * The change types and how risky they are:
+ * - `base` and `impact_weight` feed the risk score (see the risk model formula);
+ * - `probabilities` are the failure probabilities the change contributes on its own, and each of its `amplifiers`
+ *   adds `factor` × a caller safety signal of the change's call sites to a probability;
+ * - `when_delta_includes` applies the probabilities only when the behavioral delta mentions it;
+ * - `label` names the change in editor code lenses, and `required_guard` is the guard a call site needs to
+ *   survive it (`error`: a try/catch, `null`: a null check; otherwise any guard of an assumed result).
+ */
+export const BUILT_IN_CHANGE_PROFILES = {
+    added_throw_statement: {
+        base: 8.5, impact_weight: 0.22, label: 'throw', required_guard: 'error',
+        description: "A function that previously returned a value or undefined now throws an exception.",
+        // If it now throws, and callers don't handle, this is amplified
+        probabilities: { unhandled_exception: 0.4, error_spike: 0.3 },
+        amplifiers: [{ signal: 'unhandled_error_probability', probability: 'unhandled_exception', factor: 0.5 }]
+    },
+    removed_fallback_behavior: {
+        base: 7.5, impact_weight: 0.18, label: 'fallback removal', required_guard: 'null',
+        description: "Removes logic that previously handled nulls, undefineds, or error states gracefully.",
+        // If fallback removed, and callers expect it or lack null checks, this is amplified
+        probabilities: { null_dereference: 0.5, error_spike: 0.2 },
+        amplifiers: [{ signal: 'unsafe_dereference_likelihood', probability: 'null_dereference', factor: 0.7 }]
+    },
+    stricter_input_constraint: {
+        base: 6.0, impact_weight: 0.15, label: 'stricter input', required_guard: 'error',
+        description: "Introduces new validation or makes existing input validation more restrictive.",
+        probabilities: { error_spike: 0.3 }, // More 4xx errors
+        amplifiers: []
+    },
+    changed_return_type: {
+        base: 7.0, impact_weight: 0.16, label: 'return type change', required_guard: 'null',
+        description: "Alters the data type or structure of a function's return value.",
+        // Only a return value that may now be missing breaks callers outright
+        when_delta_includes: 'to:nullable',
+        probabilities: { null_dereference: 0.3 },
+        amplifiers: [{ signal: 'unsafe_dereference_likelihood', probability: 'null_dereference', factor: 0.5 }]
+    },
+    removed_optional_chaining: {
+        base: 6.5, impact_weight: 0.14, label: 'optional chaining removal', required_guard: 'null',
+        description: "Removes safe navigation operators, potentially leading to null dereferences.",
+        probabilities: { null_dereference: 0.5, error_spike: 0.2 },
+        amplifiers: [{ signal: 'unsafe_dereference_likelihood', probability: 'null_dereference', factor: 0.7 }]
+    },
+    sync_to_async_change: {
+        base: 9.0, impact_weight: 0.22, label: 'async change', required_guard: 'error',
+        description: "Changes a synchronous function to an asynchronous one, requiring callers to await.",
+        // If callers don't await/catch, this is amplified
+        probabilities: { unhandled_exception: 0.3 },
+        amplifiers: [{ signal: 'unhandled_error_probability', probability: 'unhandled_exception', factor: 0.6 }]
+    },
+    db_schema_change: {
+        base: 9.5, impact_weight: 0.25, label: 'schema change', required_guard: null,
+        description: "Alters database table schemas, potentially breaking ORM or direct queries.",
+        probabilities: { data_inconsistency: 0.6, error_spike: 0.4 },
+        amplifiers: []
+    },
+    added_type_coercion: {
+        base: 4.0, impact_weight: 0.10, label: 'type coercion', required_guard: null,
+        description: "Adds implicit or explicit type conversion which might change behavior.",
+        probabilities: {},
+        amplifiers: []
+    },
+    removed_field: {
+        base: 7.5, impact_weight: 0.18, label: 'field removal', required_guard: 'null',
+        description: "Removes a field from a returned object or payload, so readers of the field get undefined.",
+        // Callers destructuring the result read the missing field straight away
+        probabilities: { null_dereference: 0.35, data_inconsistency: 0.3, error_spike: 0.2 },
+        amplifiers: [
+            { signal: 'destructured_immediately', probability: 'null_dereference', factor: 0.4 },
+            { signal: 'unsafe_dereference_likelihood', probability: 'null_dereference', factor: 0.3 }
+        ]
+    },
+    added_required_param: {
+        base: 7.0, impact_weight: 0.17, label: 'new required parameter', required_guard: null,
+        description: "Adds a required parameter, which existing callers do not pass.",
+        probabilities: { error_spike: 0.35, unhandled_exception: 0.2, data_inconsistency: 0.2 },
+        amplifiers: [{ signal: 'unhandled_error_probability', probability: 'unhandled_exception', factor: 0.4 }]
+    },
+    changed_error_code: {
+        base: 5.0, impact_weight: 0.12, label: 'error code change', required_guard: null,
+        description: "Changes the error code, class or message a function fails with, so callers matching the old one take the wrong path.",
+        // Only callers catching the error inspect it
+        probabilities: { error_spike: 0.2, unhandled_exception: 0.15 },
+        amplifiers: [{ signal: 'has_try_catch', probability: 'unhandled_exception', factor: 0.4 }]
+    },
+    renamed_export: {
+        base: 8.0, impact_weight: 0.2, label: 'export rename', required_guard: null,
+        description: "Renames an export, so importers of the old name fail to load or get undefined.",
+        // Importers break whatever guards their call sites have
+        probabilities: { unhandled_exception: 0.5, error_spike: 0.4 },
+        amplifiers: []
+    },
+    generic_behavioral_change: {
+        base: 5.5, impact_weight: 0.12, label: 'behavior change', required_guard: null,
+        description: "A general change affecting behavior not covered by specific categories.",
+        probabilities: {},
+        amplifiers: []
+    }
+};
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function share(callSites, predicate) {
+    return callSites.length > 0 ? callSites.filter(predicate).length / callSites.length : 0;
+}
+
+/**
+ * Looks up the profile of a raw change type, falling back to the generic profile.
+ * @param {object} changeProfiles The project's change profiles (see loadProjectConfig), checked before the built-in ones.
+ * @param {string} rawChangeType The change type without its behavioral delta.
+ * @returns {object}
+ */
+export function getChangeProfile(changeProfiles, rawChangeType) {
+    const profile = (Object.hasOwn(changeProfiles, rawChangeType) && changeProfiles[rawChangeType]) ||
+        (Object.hasOwn(BUILT_IN_CHANGE_PROFILES, rawChangeType) && BUILT_IN_CHANGE_PROFILES[rawChangeType]) ||
+        BUILT_IN_CHANGE_PROFILES.generic_behavioral_change;
+    return { source: 'built-in', ...profile };
+}
+
+/**
+ * Computes the caller safety signals of the call sites of a change.
+ * @param {Array<object>} safetyResults Caller safety analysis results of the change; scan errors are skipped.
+ * @returns {object} Each signal of CALLER_SAFETY_SIGNALS, between 0 and 1.
+ */
+export function getCallerSafetySignals(safetyResults) {
+    const callSites = safetyResults.filter(s => typeof s.unsafeDereferenceLikelihood === 'number');
+    return Object.fromEntries(Object.entries(CALLER_SAFETY_SIGNALS).map(([name, compute]) => [name, compute(callSites)]));
+}
+
+/**
+ * Estimates the failure probabilities a single change contributes, given the safety of its callers.
+ * @param {object} profile The change profile.
+ * @param {string} changeBehavioralDelta The `from:...,to:...` part of the change type.
+ * @param {object} signals The caller safety signals of the change's call sites (see getCallerSafetySignals).
+ * @returns {{errorSpike: number, nullDereference: number, unhandledException: number, dataInconsistency: number}}
+ */
+export function getChangeProbabilities(profile, changeBehavioralDelta, signals) {
+    const probabilities = Object.fromEntries(PROBABILITY_KEYS.map(key => [key, 0]));
+    if (!profile.when_delta_includes || changeBehavioralDelta.includes(profile.when_delta_includes)) {
+        for (const [key, value] of Object.entries(profile.probabilities)) probabilities[key] += value;
+        for (const amplifier of profile.amplifiers) probabilities[amplifier.probability] += signals[amplifier.signal] * amplifier.factor;
+    }
+    return {
+        errorSpike: probabilities.error_spike,
+        nullDereference: probabilities.null_dereference,
+        unhandledException: probabilities.unhandled_exception,
+        dataInconsistency: probabilities.data_inconsistency
+    };
+}
+
+/**
+ * Checks the change profiles of a project config or plugin. A profile named like a built-in one overrides the
+ * fields it sets (a `probabilities` object or `amplifiers` list replaces the built-in one); a new profile needs
+ * at least its `base` and `impact_weight`.
+ * @param {*} rawProfiles The `change_profiles` object, by change type.
+ * @param {string} at Where the profiles come from, for error messages (e.g. `change_profiles`).
+ * @param {string} source The config file or plugin the profiles come from, echoed in reports.
+ * @param {Array<string>} errors Receives the problems found.
+ * @returns {object} The valid profiles, by change type.
+ */
+export function validateChangeProfiles(rawProfiles, at, source, errors) {
+    if (typeof rawProfiles !== 'object' || rawProfiles === null || Array.isArray(rawProfiles)) {
+        errors.push(`"${at}" must be an object mapping change types to profiles.`);
+        return {};
+    }
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const isProbability = value => isNumber(value) && value >= 0 && value <= 1;
+    const profiles = {};
+
+    for (const [name, rawProfile] of Object.entries(rawProfiles)) {
+        const profileAt = `${at}.${name}`;
+        const errorCount = errors.length;
+        if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+            errors.push(`"${profileAt}": change types are snake_case names (they are followed by "::" and the behavioral delta).`);
+            continue;
+        }
+        if (typeof rawProfile !== 'object' || rawProfile === null || Array.isArray(rawProfile)) {
+            errors.push(`"${profileAt}" must be an object.`);
+            continue;
+        }
+        const unknownKeys = Object.keys(rawProfile).filter(key => !PROFILE_KEYS.includes(key));
+        if (unknownKeys.length > 0) errors.push(`"${profileAt}": unknown key(s) ${unknownKeys.join(', ')}. Known keys: ${PROFILE_KEYS.join(', ')}.`);
+
+        const builtIn = Object.hasOwn(BUILT_IN_CHANGE_PROFILES, name) ? BUILT_IN_CHANGE_PROFILES[name] : null;
+        if (!builtIn && (rawProfile.base === undefined || rawProfile.impact_weight === undefined)) {
+            errors.push(`"${profileAt}" is a new change type, so it needs "base" and "impact_weight".`);
+        }
+        if (rawProfile.base !== undefined && !(isNumber(rawProfile.base) && rawProfile.base >= 0 && rawProfile.base <= 10)) {
+            errors.push(`"${profileAt}.base" must be a number from 0 to 10.`);
+        }
+        if (rawProfile.impact_weight !== undefined && !(isNumber(rawProfile.impact_weight) && rawProfile.impact_weight >= 0)) {
+            errors.push(`"${profileAt}.impact_weight" must be a non-negative number.`);
+        }
+        for (const key of ['description', 'label', 'when_delta_includes']) {
+            if (rawProfile[key] !== undefined && typeof rawProfile[key] !== 'string') errors.push(`"${profileAt}.${key}" must be a string.`);
+        }
+        if (rawProfile.required_guard !== undefined && rawProfile.required_guard !== null && !REQUIRED_GUARDS.includes(rawProfile.required_guard)) {
+            errors.push(`"${profileAt}.required_guard" must be ${REQUIRED_GUARDS.map(guard => `"${guard}"`).join(', ')} or null.`);
+        }
+        if (rawProfile.probabilities !== undefined) {
+            if (typeof rawProfile.probabilities !== 'object' || rawProfile.probabilities === null || Array.isArray(rawProfile.probabilities)) {
+                errors.push(`"${profileAt}.probabilities" must be an object mapping ${PROBABILITY_KEYS.join(', ')} to numbers from 0 to 1.`);
+            } else {
+                for (const [key, value] of Object.entries(rawProfile.probabilities)) {
+                    if (!PROBABILITY_KEYS.includes(key)) errors.push(`"${profileAt}.probabilities.${key}" is not one of ${PROBABILITY_KEYS.join(', ')}.`);
+                    else if (!isProbability(value)) errors.push(`"${profileAt}.probabilities.${key}" must be a number from 0 to 1.`);
+                }
+            }
+        }
+        if (rawProfile.amplifiers !== undefined) {
+            if (!Array.isArray(rawProfile.amplifiers)) {
+                errors.push(`"${profileAt}.amplifiers" must be an array.`);
+            } else {
+                rawProfile.amplifiers.forEach((amplifier, index) => {
+                    if (!CALLER_SAFETY_SIGNAL_NAMES.includes(amplifier?.signal) || !PROBABILITY_KEYS.includes(amplifier?.probability) || !isNumber(amplifier?.factor) || amplifier.factor < 0) {
+                        errors.push(`"${profileAt}.amplifiers[${index}]" must be { "signal": <${CALLER_SAFETY_SIGNAL_NAMES.join('|')}>, "probability": <${PROBABILITY_KEYS.join('|')}>, "factor": <non-negative number> }.`);
+                    }
+                });
+            }
+        }
+        if (errors.length > errorCount) continue;
+
+        profiles[name] = {
+            ...(builtIn || { description: `The project's ${name} change type.`, label: name.replace(/_/g, ' '), required_guard: null, probabilities: {}, amplifiers: [] }),
+            ...rawProfile,
+            source
+        };
+    }
+    return profiles;
+}
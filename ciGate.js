@@ -0,0 +1,98 @@
+import { getUnsafeCallSites } from './reportFormats.js';
+
+export const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Exit codes of the gate policies. They are bit flags: a run breaking several policies exits with their sum
+// (e.g. 6 for --fail-on and --max-api-impacts). 1 stays the exit code of errors.
+export const GATE_EXIT_CODES = {
+    fail_on: 2,
+    max_api_impacts: 4,
+    max_unsafe_callers: 8,
+    min_confidence: 16,
+    baseline: 32
+};
+
+/**
+ * Reads the gated metrics of an impact report.
+ * @param {object} report An impact report of buildImpactReport (the current run or a stored one).
+ * @returns {{risk_level: string, risk_rank: number, risk_score: number, api_impacts: number, unsafe_callers: number, confidence: number}}
+ */
+function getGateMetrics(report) {
+    // Low-confidence levels read "MEDIUM - Needs Verification"
+    const riskLevel = report.risk_model.risk_level.split(' ')[0];
+    return {
+        risk_level: riskLevel,
+        risk_rank: RISK_LEVELS.indexOf(riskLevel),
+        risk_score: report.risk_model.final_clamped_score,
+        api_impacts: report.impact_summary.api_surface_impact,
+        unsafe_callers: getUnsafeCallSites(report).length,
+        confidence: parseFloat(report.impact_summary.confidence.overall)
+    };
+}
+
+/**
+ * Checks an impact report against CI gate thresholds.
+ * Without a baseline, every threshold the report breaks is a violation. With a baseline (a stored report of the
+ * same change, e.g. from the main branch), only growth fails: a threshold the baseline already broke is waived
+ * unless the metric got worse, and the risk level or score rising above the baseline's is a violation of its own.
+ * @param {object} report The impact report.
+ * @param {object} policy
+ * @param {string} [policy.failOn] Fail at this risk level or above (one of RISK_LEVELS).
+ * @param {number} [policy.maxApiImpacts] Fail above this many impacted APIs.
+ * @param {number} [policy.maxUnsafeCallers] Fail above this many unsafe call sites (see getUnsafeCallSites).
+ * @param {number} [policy.minConfidence] Fail below this analysis confidence, in percent.
+ * @param {object} [baseline] The stored impact report to compare with.
+ * @returns {{passed: boolean, exit_code: number, metrics: object, baseline_metrics: object|null, violations: Array<object>, waived: Array<object>}}
+ */
+export function evaluateGate(report, policy, baseline = null) {
+    const metrics = getGateMetrics(report);
+    const baselineMetrics = baseline ? getGateMetrics(baseline) : null;
+
+    const checks = [
+        {
+            policy: 'fail_on', metric: 'risk_rank', threshold: policy.failOn, worse: 'higher',
+            broken: m => m.risk_rank >= RISK_LEVELS.indexOf(policy.failOn),
+            describe: m => `Risk level ${m.risk_level} is at or above --fail-on ${policy.failOn}`
+        },
+        {
+            policy: 'max_api_impacts', metric: 'api_impacts', threshold: policy.maxApiImpacts, worse: 'higher',
+            broken: m => m.api_impacts > policy.maxApiImpacts,
+            describe: m => `${m.api_impacts} impacted APIs exceed --max-api-impacts ${policy.maxApiImpacts}`
+        },
+        {
+            policy: 'max_unsafe_callers', metric: 'unsafe_callers', threshold: policy.maxUnsafeCallers, worse: 'higher',
+            broken: m => m.unsafe_callers > policy.maxUnsafeCallers,
+            describe: m => `${m.unsafe_callers} unsafe call sites exceed --max-unsafe-callers ${policy.maxUnsafeCallers}`
+        },
+        {
+            policy: 'min_confidence', metric: 'confidence', threshold: policy.minConfidence, worse: 'lower',
+            broken: m => m.confidence < policy.minConfidence,
+            describe: m => `Analysis confidence ${m.confidence}% is below --min-confidence ${policy.minConfidence}`
+        }
+    ];
+
+    const violations = [];
+    const waived = [];
+    for (const check of checks) {
+        if (check.threshold === undefined || check.threshold === null || !check.broken(metrics)) continue;
+        const violation = { policy: check.policy, exit_code: GATE_EXIT_CODES[check.policy], message: check.describe(metrics) };
+        const gotWorse = !baselineMetrics || !check.broken(baselineMetrics) ||
+            (check.worse === 'higher' ? metrics[check.metric] > baselineMetrics[check.metric] : metrics[check.metric] < baselineMetrics[check.metric]);
+        if (gotWorse) {
+            violations.push(violation);
+        } else {
+            waived.push({ ...violation, message: `${violation.message}, as in the baseline` });
+        }
+    }
+
+    if (baselineMetrics && (metrics.risk_rank > baselineMetrics.risk_rank || metrics.risk_score > baselineMetrics.risk_score)) {
+        violations.push({
+            policy: 'baseline',
+            exit_code: GATE_EXIT_CODES.baseline,
+            message: `Risk grew from ${baselineMetrics.risk_level} (${baselineMetrics.risk_score}) in the baseline to ${metrics.risk_level} (${metrics.risk_score})`
+        });
+    }
+
+    const exitCode = violations.reduce((code, violation) => code | violation.exit_code, 0);
+    return { passed: exitCode === 0, exit_code: exitCode, metrics, baseline_metrics: baselineMetrics, violations, waived };
+}
@@ -0,0 +1,166 @@
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+// Matches unified diff hunk headers, e.g. "@@ -10,3 +12,5 @@ function foo() {"
+const HUNK_HEADER_REGEX = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Reads the local git diff and returns the changed line ranges per file.
+ * Paths are resolved against the project directory, so only files inside it are reported.
+ * @param {string} projectRoot The absolute root path of the project.
+ * @param {object} options
+ * @param {string} [options.range] A revision range such as "main..HEAD" or a single base revision.
+ * @param {boolean} [options.staged] Diff the index against HEAD instead of a revision range.
+ * @returns {Map<string, Array<{start: number, end: number}>>} Absolute file path -> changed line ranges in the new version.
+ */
+export function getChangedLineRanges(projectRoot, { range, staged } = {}) {
+    const args = ['diff', '--relative', '--unified=0', '--no-color', '--no-ext-diff', '--src-prefix=a/', '--dst-prefix=b/'];
+    if (staged) args.push('--staged');
+    if (range) args.push(range);
+    args.push('--');
+
+    const diffOutput = execFileSync('git', args, { cwd: projectRoot, encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const changedRanges = new Map();
+    let currentFile = null;
+    // File headers only come between "diff --git" and the first hunk: in a hunk, "+++ " is an added line starting with "++ "
+    let inFileHeader = false;
+
+    for (const line of diffOutput.split('\n')) {
+        if (line.startsWith('diff --git ')) {
+            inFileHeader = true;
+            currentFile = null;
+            continue;
+        }
+        if (inFileHeader && line.startsWith('+++ ')) {
+            // "+++ /dev/null" marks a deleted file, which has no lines left to map onto nodes
+            const newPath = line.substring(4).trim();
+            currentFile = newPath === '/dev/null' ? null : path.join(projectRoot, newPath.replace(/^b\//, ''));
+            continue;
+        }
+
+        const hunk = line.match(HUNK_HEADER_REGEX);
+        if (!hunk) continue;
+        inFileHeader = false;
+        if (!currentFile) continue;
+
+        const start = parseInt(hunk[1], 10);
+        const count = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+        // A count of 0 is a pure deletion after line `start`; attribute it to the surrounding lines
+        const range = count === 0 ? { start: Math.max(1, start), end: start + 1 } : { start, end: start + count - 1 };
+
+        if (!changedRanges.has(currentFile)) changedRanges.set(currentFile, []);
+        changedRanges.get(currentFile).push(range);
+    }
+
+    return changedRanges;
+}
+
+/**
+ * Maps changed line ranges onto the function/API nodes of the dependency graph.
+ * For every changed range the innermost overlapping nodes are picked; ranges that touch no
+ * function (e.g. top-level statements) fall back to the file's module node.
+ * @param {object} graph The dependency graph produced by parseToGraph.
+ * @param {string} projectRoot The absolute root path of the project.
+ * @param {Map<string, Array<{start: number, end: number}>>} changedRanges Output of getChangedLineRanges.
+ * @returns {Array<string>} The touched node IDs, in graph order.
+ */
+export function mapChangedRangesToNodes(graph, projectRoot, changedRanges) {
+    const nodesByFile = new Map();
+    for (const [nodeId, node] of Object.entries(graph.nodes)) {
+        if ((node.type !== 'function' && node.type !== 'api') || !node.startLine) continue;
+        if (!nodesByFile.has(node.file)) nodesByFile.set(node.file, []);
+        nodesByFile.get(node.file).push({ nodeId, node });
+    }
+
+    const touched = new Set();
+    for (const [fileAbsPath, ranges] of changedRanges) {
+        const relPath = path.relative(projectRoot, fileAbsPath);
+        const candidates = nodesByFile.get(relPath) || [];
+
+        for (const range of ranges) {
+            const overlapping = candidates.filter(({ node }) => node.startLine <= range.end && node.endLine >= range.start);
+            // Drop outer functions that merely contain another touched function (e.g. a changed inline callback)
+            const innermost = overlapping.filter(({ node }) => !overlapping.some(other =>
+                other.node.startLine >= node.startLine && other.node.endLine <= node.endLine &&
+                (other.node.endLine - other.node.startLine) < (node.endLine - node.startLine)
+            ));
+
+            if (innermost.length > 0) {
+                innermost.forEach(({ nodeId }) => touched.add(nodeId));
+            } else if (graph.nodes[relPath]) {
+                touched.add(relPath);
+            }
+        }
+    }
+
+    return Object.keys(graph.nodes).filter(nodeId => touched.has(nodeId));
+}
+
+/**
+ * Resolves which revisions the two sides of a diff refer to.
+ * `null` stands for the working tree and `''` for the index, matching readFileAtRevision.
+ * @param {string} projectRoot The absolute root path of the project.
+ * @param {object} options The same options passed to getChangedLineRanges.
+ * @returns {{base: string, head: string|null}}
+ */
+export function resolveDiffRevisions(projectRoot, { range, staged } = {}) {
+    if (staged) return { base: range || 'HEAD', head: '' };
+    if (!range) return { base: '', head: null };
+
+    if (range.includes('...')) {
+        const [left, right] = range.split('...');
+        const mergeBase = execFileSync('git', ['merge-base', left || 'HEAD', right || 'HEAD'], { cwd: projectRoot, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+        return { base: mergeBase, head: right || 'HEAD' };
+    }
+    if (range.includes('..')) {
+        const [left, right] = range.split('..');
+        return { base: left || 'HEAD', head: right || 'HEAD' };
+    }
+    return { base: range, head: null };
+}
+
+/**
+ * Checks that a revision names a commit, before any file is read at it. Without this check, a mistyped ref would
+ * read as "the file did not exist" and every function would look newly added.
+ * @param {string} projectRoot The absolute root path of the project.
+ * @param {string} revision A git revision, e.g. a branch, tag or commit hash.
+ * @returns {string} The hash of the commit.
+ * @throws {Error} If the revision is not a plausible ref, or does not resolve to a commit.
+ */
+export function verifyRevision(projectRoot, revision) {
+    // Revisions may come from HTTP queries: never let one pass as an option or smuggle control characters
+    if (typeof revision !== 'string' || revision === '' || revision.startsWith('-') || /[\x00-\x1f\x7f]/.test(revision)) {
+        throw new Error(`Invalid git revision ${JSON.stringify(revision)}.`);
+    }
+    try {
+        return execFileSync('git', ['rev-parse', '--verify', '--quiet', '--end-of-options', `${revision}^{commit}`], { cwd: projectRoot, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+    } catch {
+        throw new Error(`Unknown git revision '${revision}': it does not name a commit in ${projectRoot}.`);
+    }
+}
+
+/**
+ * Reads a project file as it was at a given revision. The revision must exist (see verifyRevision).
+ * @param {string} projectRoot The absolute root path of the project.
+ * @param {string|null} revision A git revision, `''` for the index, or `null` for the working tree.
+ * @param {string} relPath The file path relative to the project root.
+ * @returns {string|null} The file content, or null if the file does not exist at that revision.
+ * @throws {Error} If git fails for another reason than the file not existing.
+ */
+export function readFileAtRevision(projectRoot, revision, relPath) {
+    if (revision === null) {
+        const fullPath = path.join(projectRoot, relPath);
+        return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf-8') : null;
+    }
+    const gitPath = relPath.split(path.sep).join('/');
+    try {
+        return execFileSync('git', ['cat-file', 'blob', '--end-of-options', `${revision}:./${gitPath}`], { cwd: projectRoot, encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'] });
+    } catch (error) {
+        const stderr = String(error.stderr || '').trim();
+        // "path 'x' does not exist in 'main'", "... (neither on disk nor in the index)", "exists on disk, but not in 'main'"
+        if (/^fatal: path '.*' (does not exist|exists on disk, but not in)/m.test(stderr)) return null;
+        throw new Error(`Could not read ${gitPath} at ${revision === '' ? 'the index' : `revision '${revision}'`}: ${stderr || error.message}`);
+    }
+}
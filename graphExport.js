@@ -0,0 +1,259 @@
+import { getGraphIndex, getDependents } from './graphIndex.js';
+
+export const EXPORT_FORMATS = ['dot', 'graphml', 'json', 'csv'];
+
+// Exported attributes, in column order. Missing values are exported as null (an empty CSV cell, or left out).
+const NODE_ATTRIBUTES = ['label', 'type', 'zone', 'route', 'isAsync', 'file', 'package', 'startLine', 'endLine'];
+const EDGE_ATTRIBUTES = ['type', 'kind', 'resolution', 'confidence', 'file', 'line', 'column'];
+// GraphML needs the type of every attribute; the others are strings
+const GRAPHML_TYPES = { isAsync: 'boolean', startLine: 'int', endLine: 'int', line: 'int', column: 'int' };
+
+/**
+ * Returns the exported attributes of a node of the graph.
+ * @param {object} graph The dependency graph.
+ * @param {string} id The node ID.
+ * @returns {object}
+ */
+function getNodeAttributes(graph, id) {
+    const node = graph.nodes[id];
+    const file = node.type === 'module' ? id : node.file;
+    return {
+        label: node.name || id,
+        type: node.type,
+        zone: node.zone ?? null,
+        route: node.route ?? null,
+        isAsync: node.isAsync ?? null,
+        file: file ?? null,
+        package: node.package || graph.nodes[file]?.package || null,
+        startLine: node.startLine ?? null,
+        endLine: node.endLine ?? null
+    };
+}
+
+/**
+ * Returns the exported attributes of an edge. Its location is where the call, render or registration happens,
+ * in the file of the edge's source node.
+ * @param {object} graph The dependency graph.
+ * @param {object} edge The edge.
+ * @returns {object}
+ */
+function getEdgeAttributes(graph, edge) {
+    const source = graph.nodes[edge.from];
+    const location = edge.callPath?.start;
+    return {
+        type: edge.type,
+        kind: edge.kind ?? null,
+        resolution: edge.resolution ?? null,
+        confidence: edge.confidence ?? null,
+        file: (source?.type === 'module' ? edge.from : source?.file) ?? null,
+        line: location?.line ?? null,
+        column: location?.column ?? null
+    };
+}
+
+/**
+ * Cuts the impact subgraph of changed nodes out of the graph: the changed nodes, the impacts the blast radius
+ * analysis found for them, and the edges between those nodes. Edges matched by name only are re-pointed at the
+ * node they were matched to.
+ * @param {object} graph The dependency graph produced by parseToGraph.
+ * @param {Array<string>} targetIds The changed node IDs.
+ * @param {Array<object>} impacts The impacts of calculateMergedBlastRadius for these targets.
+ * @returns {{nodes: object, edges: Array<object>}}
+ */
+export function getImpactSubgraph(graph, targetIds, impacts) {
+    const nodeIds = new Set([...targetIds, ...impacts.map(impact => impact.id)]);
+    const index = getGraphIndex(graph);
+    const nodes = {};
+    const edges = [];
+
+    for (const id of nodeIds) {
+        if (graph.nodes[id]) nodes[id] = graph.nodes[id];
+        for (const { id: dependentId, via } of getDependents(index, id)) {
+            if (!nodeIds.has(dependentId)) continue;
+            for (const edge of index.dependencies.get(dependentId) || []) {
+                if (edge.to === via && edge.type !== 'structural') edges.push(via === id ? edge : { ...edge, to: id });
+            }
+        }
+    }
+    return { nodes, edges };
+}
+
+/**
+ * Lists the nodes to export with their attributes: the graph's nodes, and the nodes its edges point to that the
+ * graph does not have (external packages, calls matched by name only). Those are exported as `external` or
+ * `unresolved` nodes, so every edge has both ends.
+ * @param {object} graph The graph.
+ * @returns {Map<string, object>} Attributes by node ID, in a stable order.
+ */
+function getExportedNodes(graph) {
+    const nodes = new Map(Object.keys(graph.nodes).map(id => [id, getNodeAttributes(graph, id)]));
+    for (const edge of graph.edges) {
+        for (const id of [edge.from, edge.to]) {
+            if (nodes.has(id)) continue;
+            nodes.set(id, { ...Object.fromEntries(NODE_ATTRIBUTES.map(name => [name, null])), label: id, type: 'unresolved', zone: 'External/Unresolved' });
+        }
+        if (!graph.nodes[edge.to] && edge.kind?.endsWith('_external')) nodes.get(edge.to).type = 'external';
+    }
+    return nodes;
+}
+
+/**
+ * Quotes a DOT ID or attribute value.
+ * @param {*} value The value.
+ * @returns {string}
+ */
+function quoteDot(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+/**
+ * Formats the non-null attributes of a node or edge as a DOT attribute list.
+ * @param {object} attributes The attributes.
+ * @returns {string}
+ */
+function toDotAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== null)
+        .map(([name, value]) => `${name}=${quoteDot(value)}`)
+        .join(', ');
+}
+
+/**
+ * Serializes a graph as Graphviz DOT. Modules are drawn as folders, APIs as hexagons and the rest as boxes.
+ * @param {object} graph The graph.
+ * @param {object} metadata Graph-level metadata, written as a comment.
+ * @returns {string}
+ */
+function toDot(graph, metadata) {
+    const shapes = { module: 'folder', api: 'hexagon' };
+    const lines = [`// ${JSON.stringify(metadata)}`, 'digraph impactradar {', '    rankdir=LR;', '    node [shape=box];'];
+    for (const [id, attributes] of getExportedNodes(graph)) {
+        const shape = shapes[attributes.type] ? `, shape=${shapes[attributes.type]}` : '';
+        lines.push(`    ${quoteDot(id)} [${toDotAttributes(attributes)}${shape}];`);
+    }
+    for (const edge of graph.edges) {
+        const attributes = getEdgeAttributes(graph, edge);
+        const style = edge.type === 'structural' ? ', style=dashed' : '';
+        lines.push(`    ${quoteDot(edge.from)} -> ${quoteDot(edge.to)} [${toDotAttributes(attributes)}${style}];`);
+    }
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Escapes text for an XML attribute or element.
+ * @param {*} value The value.
+ * @returns {string}
+ */
+export function escapeXml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats the non-null attributes of a node or edge as GraphML `<data>` elements.
+ * @param {object} attributes The attributes.
+ * @param {string} prefix The key prefix of the element kind (`n_` or `e_`).
+ * @returns {string}
+ */
+function toGraphMLData(attributes, prefix) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== null)
+        .map(([name, value]) => `<data key="${prefix}${name}">${escapeXml(value)}</data>`)
+        .join('');
+}
+
+/**
+ * Serializes a graph as GraphML, with every exported attribute declared as a typed key.
+ * @param {object} graph The graph.
+ * @param {object} metadata Graph-level metadata, written as a graph attribute.
+ * @returns {string}
+ */
+function toGraphML(graph, metadata) {
+    const keys = [
+        ...NODE_ATTRIBUTES.map(name => `  <key id="n_${name}" for="node" attr.name="${name}" attr.type="${GRAPHML_TYPES[name] || 'string'}"/>`),
+        ...EDGE_ATTRIBUTES.map(name => `  <key id="e_${name}" for="edge" attr.name="${name}" attr.type="${GRAPHML_TYPES[name] || 'string'}"/>`),
+        '  <key id="g_metadata" for="graph" attr.name="metadata" attr.type="string"/>'
+    ];
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        ...keys,
+        '  <graph id="impactradar" edgedefault="directed">',
+        `    <data key="g_metadata">${escapeXml(JSON.stringify(metadata))}</data>`
+    ];
+    for (const [id, attributes] of getExportedNodes(graph)) {
+        lines.push(`    <node id="${escapeXml(id)}">${toGraphMLData(attributes, 'n_')}</node>`);
+    }
+    graph.edges.forEach((edge, i) => {
+        lines.push(`    <edge id="e${i}" source="${escapeXml(edge.from)}" target="${escapeXml(edge.to)}">${toGraphMLData(getEdgeAttributes(graph, edge), 'e_')}</edge>`);
+    });
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serializes a graph in JSON Graph Format (version 2): nodes keyed by ID, and edges with their kind as `relation`.
+ * @param {object} graph The graph.
+ * @param {object} metadata Graph-level metadata.
+ * @returns {string}
+ */
+function toJsonGraph(graph, metadata) {
+    const nodes = {};
+    for (const [id, { label, ...attributes }] of getExportedNodes(graph)) {
+        nodes[id] = { label, metadata: attributes };
+    }
+    const edges = graph.edges.map(edge => ({
+        source: edge.from,
+        target: edge.to,
+        relation: edge.kind || edge.type,
+        directed: true,
+        metadata: getEdgeAttributes(graph, edge)
+    }));
+    return JSON.stringify({ graph: { id: 'impactradar', type: 'impactradar-dependency-graph', directed: true, metadata, nodes, edges } }, null, 2) + '\n';
+}
+
+/**
+ * Formats a CSV cell, quoting it when needed. Null is an empty cell.
+ * @param {*} value The value.
+ * @returns {string}
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes a graph as two CSV tables, with the `id`/`source`/`target` headers Gephi's spreadsheet import expects.
+ * @param {object} graph The graph.
+ * @returns {{nodes: string, edges: string}}
+ */
+function toCsv(graph) {
+    const toCsvTable = (header, rows) => [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\n') + '\n';
+    const nodeRows = [...getExportedNodes(graph)].map(([id, attributes]) => [id, ...NODE_ATTRIBUTES.map(name => attributes[name])]);
+    const edgeRows = graph.edges.map(edge => {
+        const attributes = getEdgeAttributes(graph, edge);
+        return [edge.from, edge.to, ...EDGE_ATTRIBUTES.map(name => attributes[name])];
+    });
+    return {
+        nodes: toCsvTable(['id', ...NODE_ATTRIBUTES], nodeRows),
+        edges: toCsvTable(['source', 'target', ...EDGE_ATTRIBUTES], edgeRows)
+    };
+}
+
+/**
+ * Serializes a dependency graph, or a subgraph of it, for other graph tools.
+ * @param {object} graph The graph (`nodes` and `edges`, as produced by parseToGraph or getImpactSubgraph).
+ * @param {string} format One of EXPORT_FORMATS.
+ * @param {object} [metadata] Graph-level metadata to include (project, targets, ...).
+ * @returns {string|{nodes: string, edges: string}} The serialized graph; a node and an edge table for CSV.
+ */
+export function exportGraph(graph, format, metadata = {}) {
+    switch (format) {
+        case 'dot': return toDot(graph, metadata);
+        case 'graphml': return toGraphML(graph, metadata);
+        case 'json': return toJsonGraph(graph, metadata);
+        case 'csv': return toCsv(graph);
+        default: throw new Error(`Unknown export format '${format}'. Use one of: ${EXPORT_FORMATS.join(', ')}.`);
+    }
+}
@@ -0,0 +1,85 @@
+// Indexes are built once per graph and shared by every traversal of it
+const graphIndexes = new WeakMap();
+
+/**
+ * Builds the adjacency indexes of a dependency graph:
+ * - `dependencies`: node ID -> the edges leaving it, structural edges included, in graph order
+ * - `dependents`: node ID -> the nodes depending on it through edges resolved to it exactly
+ * - `nameOnlyDependents`: bare callee name -> the nodes calling it by name only (edges graphParser could not resolve)
+ * - `valueUses`: `caller\ncallee` -> how the caller uses the callee's value (hook calls and React contexts)
+ * @param {object} graph The dependency graph produced by parseToGraph.
+ * @returns {object} The index.
+ */
+export function buildGraphIndex(graph) {
+    const index = {
+        graph,
+        dependencies: new Map(),
+        dependents: new Map(),
+        nameOnlyDependents: new Map(),
+        valueUses: new Map(),
+        mergedDependents: new Map() // node ID -> getDependents() result, filled on demand
+    };
+    const addTo = (map, key, value) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(value);
+    };
+
+    for (const edge of graph.edges) {
+        addTo(index.dependencies, edge.from, edge);
+        // Only 'dependency' edges propagate impact, not 'structural' ones (file-to-function)
+        if (edge.type === 'structural') continue;
+
+        const calleeId = edge.to;
+        const callerId = edge.from;
+        // Defensive check, though graphParser should ideally ensure calleeId is a valid string
+        if (calleeId === null || calleeId === undefined) {
+            console.warn(`Skipping edge with null/undefined calleeId in blast radius calculation: ${JSON.stringify(edge)}`);
+            continue;
+        }
+        addTo(edge.resolution === 'name_only' ? index.nameOnlyDependents : index.dependents, calleeId, callerId);
+
+        // A context carries its provider's value; hook and context consumers read fields of their callee's value
+        if (edge.kind !== 'context_provider' && !('fields' in edge)) continue;
+        const useKey = `${callerId}\n${calleeId}`;
+        const use = index.valueUses.get(useKey) || { fields: new Set(), wholeValue: false, carriesValue: false };
+        if (edge.kind === 'context_provider' || edge.returnsValue) use.carriesValue = true;
+        else if (edge.fields) edge.fields.forEach(field => use.fields.add(field));
+        else use.wholeValue = true;
+        index.valueUses.set(useKey, use);
+    }
+    return index;
+}
+
+/**
+ * Returns the index of a graph, building it on first use. The graph must not be changed afterwards.
+ * @param {object} graph The dependency graph.
+ * @returns {object} The index (see buildGraphIndex).
+ */
+export function getGraphIndex(graph) {
+    if (!graphIndexes.has(graph)) graphIndexes.set(graph, buildGraphIndex(graph));
+    return graphIndexes.get(graph);
+}
+
+/**
+ * Lists the nodes depending on a node: exact dependents, and nodes calling it by its bare name (`getById` for
+ * `src/users.js::getById`, or the method name of a class method, as in `obj.getById()`). An exact edge to the
+ * same dependent wins over a name-only match.
+ * @param {object} index The graph index.
+ * @param {string} nodeId The node ID.
+ * @returns {Array<{id: string, resolution: 'binding'|'name_only', via: string}>} The dependents, with the ID or bare
+ *   name their edge points to.
+ */
+export function getDependents(index, nodeId) {
+    if (index.mergedDependents.has(nodeId)) return index.mergedDependents.get(nodeId);
+
+    const dependents = new Map();
+    const shortId = nodeId.includes('::') ? nodeId.split('::')[1] : nodeId;
+    index.nameOnlyDependents.get(shortId)?.forEach(id => dependents.set(id, { id, resolution: 'name_only', via: shortId }));
+    const methodName = index.graph.nodes[nodeId]?.methodName;
+    if (methodName) index.nameOnlyDependents.get(methodName)?.forEach(id => dependents.set(id, { id, resolution: 'name_only', via: methodName }));
+    index.dependents.get(nodeId)?.forEach(id => dependents.set(id, { id, resolution: 'binding', via: nodeId }));
+
+    const result = [...dependents.values()];
+    index.mergedDependents.set(nodeId, result);
+    return result;
+}
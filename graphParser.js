@@ -1,29 +1,21 @@
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { performance } from 'perf_hooks';
+import { Worker } from 'worker_threads';
 import * as parser from '@babel/parser';
 import _traverse from '@babel/traverse';
 import * as t from '@babel/types';
+import { loadAliasConfig, expandAliases } from './aliasConfig.js';
+import { loadWorkspaces, getWorkspaceImportCandidates, getOwningPackage } from './workspaces.js';
+import { extractScriptContent, getMarkupUsages } from './svelteParser.js';
+import { extractVueScriptContent, getTemplateUsages } from './vueParser.js';
+import { getGraphIndex } from './graphIndex.js';
+import { getDefaultCacheDir, getParserFingerprint, hashParseInput, loadParseCache, saveParseCache } from './parseCache.js';
+import { getDefaultProjectConfig, getConfiguredZone, isIgnoredByConfig } from './projectConfig.js';
 
 const babelTraverse = _traverse.default || _traverse;
 
-/**
- * Extracts content from <script> tags within a Svelte file.
- * This allows Babel to parse only the JavaScript/TypeScript logic.
- * @param {string} svelteCode The full content of a .svelte file.
- * @returns {string} Concatenated content of all <script> blocks.
- */
-function extractScriptContent(svelteCode) {
-    // Regex to find <script> tags, optionally with 'lang="ts"'
-    const scriptRegex = /<script(?:\s+lang=["']ts["'])?>(.*?)<\/script>/gs;
-    let match;
-    let scriptContent = '';
-    // Collect all script blocks
-    while ((match = scriptRegex.exec(svelteCode)) !== null) {
-        scriptContent += match[1] + '\n';
-    }
-    return scriptContent;
-}
-
 /**
  * Maps file paths to architectural zones, supporting various frameworks.
  * @param {string} filePath The absolute path of the file.
@@ -34,13 +26,13 @@ function getArchitecturalZone(filePath, projectRoot) {
     const relPath = path.relative(projectRoot, filePath).replace(/\\/g, '/'); // Normalize path separators
 
     if (relPath.includes('src/routes') || relPath.includes('app/api') || relPath.includes('pages/api') || relPath.includes('routes/')) return "API Layer / Route Handlers";
-    if (relPath.includes('src/middleware') || relPath.includes('middleware')) return "Middleware";
+    if (relPath.includes('src/middleware') || relPath.includes('middleware') || /(^|\/)hooks\.server\.(js|ts)$/.test(relPath)) return "Middleware";
     if (relPath.includes('src/lib/db') || relPath.includes('lib/db') || relPath.includes('models/')) return "Database Access Layer / Models";
     if (relPath.includes('src/lib/auth') || relPath.includes('lib/auth')) return "Authentication Layer";
 
-    // UI Component Layer for React/Next.js/Svelte/Mobile
+    // UI Component Layer for React/Next.js/Svelte/Vue/Mobile
     if (relPath.includes('src/components') || relPath.includes('components') || relPath.includes('app') || relPath.includes('pages') || relPath.includes('views/')) return "UI Component Layer";
-    if (relPath.includes('src/hooks') || relPath.includes('hooks/')) return "React Hooks / Shared Logic";
+    if (relPath.includes('src/hooks') || relPath.includes('hooks/') || relPath.includes('composables/')) return "React Hooks / Shared Logic"; // Vue composables are Vue's hooks
     if (relPath.includes('src/context') || relPath.includes('contexts/')) return "React Context / State";
     if (relPath.includes('store/') || relPath.includes('redux/') || relPath.includes('slices/')) return "State Management Layer";
 
@@ -53,7 +45,43 @@ function getArchitecturalZone(filePath, projectRoot) {
     return "Unknown Zone";
 }
 
-const EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.svelte'];
+export const EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.svelte', '.vue'];
+// Directories never scanned for source files
+export const IGNORED_DIRECTORIES = ['node_modules', '.git', 'dist', '.svelte-kit'];
+
+/**
+ * Resolves a candidate path to a project file, trying known extensions and directory index (barrel) files.
+ * @param {string} potentialPath Absolute path without (or with) an extension.
+ * @param {Set<string>} allProjectFiles A set of all absolute file paths in the project.
+ * @returns {string|null} The resolved absolute path, or null if not found.
+ */
+function resolveFileCandidate(potentialPath, allProjectFiles) {
+    // Try direct path with/without extension
+    for (const ext of EXTENSIONS) {
+        if (allProjectFiles.has(potentialPath + ext)) return potentialPath + ext;
+    }
+    if (allProjectFiles.has(potentialPath)) return potentialPath; // Direct file path already exists (e.g., `require('./file.json')`)
+
+    // Try as directory/index.ext (barrel file)
+    for (const ext of EXTENSIONS) {
+        if (allProjectFiles.has(path.join(potentialPath, `index${ext}`))) return path.join(potentialPath, `index${ext}`);
+    }
+    return null;
+}
+
+/**
+ * Records an alias resolution attempt in the per-alias stats of graph.metadata.
+ * @param {object} aliasStats graph.metadata.alias_resolution
+ * @param {string} key The alias key (e.g. "@app/*" or "baseUrl").
+ * @param {string} source The config file that declared the alias.
+ * @param {boolean} resolved Whether the attempt resolved to a project file.
+ */
+function recordAliasAttempt(aliasStats, key, source, resolved) {
+    if (!aliasStats) return;
+    if (!aliasStats[key]) aliasStats[key] = { source, attempted: 0, resolved: 0 };
+    aliasStats[key].attempted++;
+    if (resolved) aliasStats[key].resolved++;
+}
 
 /**
  * Resolves an import path to an absolute file path within the project.
@@ -61,65 +89,518 @@ const EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.svelte'];
  * @param {string} importedModule The module specifier from the import statement.
  * @param {Set<string>} allProjectFiles A set of all absolute file paths in the project.
  * @param {string} projectRoot The absolute root path of the project.
+ * @param {{rules: Array<object>, baseUrl: string|null}} [aliasConfig] Project aliases from loadAliasConfig.
+ * @param {object} [aliasStats] Per-alias resolution stats to update (graph.metadata.alias_resolution).
+ * @param {object} [workspaces] The workspace packages, as returned by loadWorkspaces.
  * @returns {string|null} The resolved absolute path, or null if not found.
  */
-function resolveImportPath(importerPath, importedModule, allProjectFiles, projectRoot) {
+function resolveImportPath(importerPath, importedModule, allProjectFiles, projectRoot, aliasConfig = null, aliasStats = null, workspaces = null) {
     // 1. Handle relative paths (e.g., './module', '../module')
     if (importedModule.startsWith('.') || importedModule.startsWith('/')) {
-        let potentialPath = path.resolve(path.dirname(importerPath), importedModule);
+        const resolved = resolveFileCandidate(path.resolve(path.dirname(importerPath), importedModule), allProjectFiles);
+        if (resolved) return resolved;
+    }
 
-        // Try direct path with/without extension
-        for (const ext of EXTENSIONS) {
-            if (allProjectFiles.has(potentialPath + ext)) {
-                return potentialPath + ext;
-            }
-        }
-        if (allProjectFiles.has(potentialPath)) { // Direct file path already exists (e.g., `require('./file.json')`)
-            return potentialPath;
+    // 2. Handle aliases declared by the project (tsconfig/jsconfig paths, package.json imports, vite/webpack aliases)
+    if (aliasConfig) {
+        for (const { rule, candidates } of expandAliases(importedModule, aliasConfig)) {
+            const resolved = candidates.map(candidate => resolveFileCandidate(candidate, allProjectFiles)).find(Boolean) || null;
+            recordAliasAttempt(aliasStats, rule.key, rule.source, !!resolved);
+            if (resolved) return resolved;
         }
 
-        // Try as directory/index.ext (barrel file)
-        for (const ext of EXTENSIONS) {
-            if (allProjectFiles.has(path.join(potentialPath, `index${ext}`))) {
-                return path.join(potentialPath, `index${ext}`);
-            }
+        // Non-relative imports are also looked up from `baseUrl`, as TypeScript does
+        if (aliasConfig.baseUrl && !importedModule.startsWith('.') && !importedModule.startsWith('/')) {
+            const resolved = resolveFileCandidate(path.join(aliasConfig.baseUrl, importedModule), allProjectFiles);
+            recordAliasAttempt(aliasStats, 'baseUrl', path.relative(projectRoot, aliasConfig.baseUrl) || '.', !!resolved);
+            if (resolved) return resolved;
         }
     }
-    // 2. Handle absolute paths within the project (e.g., 'src/components/Button')
+
+    // 3. Handle sibling packages of an npm/yarn/pnpm workspace (e.g., '@acme/db'), resolved to their source entry points
+    if (workspaces) {
+        const workspaceImport = getWorkspaceImportCandidates(importedModule, workspaces);
+        const resolved = workspaceImport?.candidates.map(candidate => resolveFileCandidate(candidate, allProjectFiles)).find(Boolean);
+        if (resolved) return resolved;
+    }
+
+    // 4. Handle absolute paths within the project (e.g., 'src/components/Button')
     // This is a heuristic for common aliases like 'src/'
     if (importedModule.startsWith('src/') || importedModule.startsWith('app/') || importedModule.startsWith('pages/') || importedModule.startsWith('lib/') || importedModule.startsWith('components/') || importedModule.startsWith('utils/')) {
-        let potentialPath = path.join(projectRoot, importedModule);
-        for (const ext of EXTENSIONS) {
-            if (allProjectFiles.has(potentialPath + ext)) {
-                return potentialPath + ext;
-            }
+        const resolved = resolveFileCandidate(path.join(projectRoot, importedModule), allProjectFiles);
+        if (resolved) return resolved;
+    }
+
+    // 5. Handle common aliases (e.g., '@/components/Button' or '~/lib/utils')
+    if (importedModule.startsWith('@/') || importedModule.startsWith('~/')) {
+        const resolved = resolveFileCandidate(path.join(projectRoot, 'src', importedModule.substring(2)), allProjectFiles);
+        if (resolved) return resolved;
+    }
+
+    // 6. Node modules are not resolved as project files
+    return null;
+}
+
+/**
+ * Returns true for `require('<literal>')` calls.
+ * @param {object} node A Babel node.
+ * @returns {boolean}
+ */
+function isRequireCall(node) {
+    return t.isCallExpression(node) && t.isIdentifier(node.callee, { name: 'require' }) && t.isStringLiteral(node.arguments[0]);
+}
+
+/**
+ * Returns the class name referenced by a TypeScript type annotation (e.g. `repo: UserRepository`).
+ * @param {object} node A node that may carry a `typeAnnotation`.
+ * @returns {string|null}
+ */
+function getAnnotatedTypeName(node) {
+    const annotation = node?.typeAnnotation?.typeAnnotation;
+    return t.isTSTypeReference(annotation) && t.isIdentifier(annotation.typeName) ? annotation.typeName.name : null;
+}
+
+/**
+ * Returns the class name of a `new X()` expression.
+ * @param {object} node A Babel node.
+ * @returns {string|null}
+ */
+function getInstantiatedClassName(node) {
+    return t.isNewExpression(node) && t.isIdentifier(node.callee) ? node.callee.name : null;
+}
+
+/**
+ * Resolves the name of a class declaration or expression.
+ * @param {object} classPath Babel path of the class.
+ * @param {string} fileName The file name, used for anonymous default exports.
+ * @returns {string|null}
+ */
+export function getClassName(classPath, fileName) {
+    if (classPath.node.id) return classPath.node.id.name;
+    if (t.isVariableDeclarator(classPath.parent) && t.isIdentifier(classPath.parent.id)) return classPath.parent.id.name;
+    if (t.isExportDefaultDeclaration(classPath.parent)) return path.basename(fileName, path.extname(fileName));
+    return null;
+}
+
+const classFieldTypesCache = new WeakMap();
+
+/**
+ * Collects the class of each instance field that can be determined statically: typed class properties,
+ * `repo = new UserRepository()` initializers, TypeScript parameter properties and DI-style constructor
+ * assignments (`this.repo = repo` for a typed or defaulted parameter, or `this.repo = new UserRepository()`).
+ * @param {object} classNode The class node.
+ * @returns {Map<string, string>} Field name -> class name.
+ */
+function getClassFieldTypes(classNode) {
+    if (classFieldTypesCache.has(classNode)) return classFieldTypesCache.get(classNode);
+
+    const fieldTypes = new Map();
+    for (const member of classNode.body.body) {
+        if (t.isClassProperty(member) && t.isIdentifier(member.key) && !member.computed) {
+            const typeName = getInstantiatedClassName(member.value) || getAnnotatedTypeName(member);
+            if (typeName) fieldTypes.set(member.key.name, typeName);
         }
-        if (allProjectFiles.has(potentialPath)) {
-            return potentialPath;
+        if (!t.isClassMethod(member) || member.kind !== 'constructor') continue;
+
+        const paramTypes = new Map();
+        for (const param of member.params) {
+            const isParameterProperty = t.isTSParameterProperty(param);
+            const declared = isParameterProperty ? param.parameter : param;
+            const identifier = t.isAssignmentPattern(declared) ? declared.left : declared;
+            if (!t.isIdentifier(identifier)) continue;
+
+            const typeName = getAnnotatedTypeName(identifier) || (t.isAssignmentPattern(declared) ? getInstantiatedClassName(declared.right) : null);
+            if (!typeName) continue;
+            paramTypes.set(identifier.name, typeName);
+            // `constructor(private readonly repo: UserRepository)` declares the field itself
+            if (isParameterProperty) fieldTypes.set(identifier.name, typeName);
         }
-        for (const ext of EXTENSIONS) {
-            if (allProjectFiles.has(path.join(potentialPath, `index${ext}`))) {
-                return path.join(potentialPath, `index${ext}`);
-            }
+
+        for (const statement of member.body.body) {
+            const expression = statement.expression;
+            if (!t.isExpressionStatement(statement) || !t.isAssignmentExpression(expression)) continue;
+            const { left, right } = expression;
+            if (!t.isMemberExpression(left) || left.computed || !t.isThisExpression(left.object) || !t.isIdentifier(left.property)) continue;
+
+            const typeName = getInstantiatedClassName(right) || (t.isIdentifier(right) ? paramTypes.get(right.name) : null);
+            if (typeName) fieldTypes.set(left.property.name, typeName);
         }
     }
 
-    // 3. Handle common aliases (e.g., '@/components/Button' or '~/lib/utils')
-    if (importedModule.startsWith('@/') || importedModule.startsWith('~/')) {
-        let potentialPath = path.join(projectRoot, 'src', importedModule.substring(2));
-        for (const ext of EXTENSIONS) {
-            if (allProjectFiles.has(potentialPath + ext)) return potentialPath + ext;
+    classFieldTypesCache.set(classNode, fieldTypes);
+    return fieldTypes;
+}
+
+/**
+ * Finds the class that `this` refers to at a given path: the class owning the nearest enclosing
+ * method or class property (arrow functions inherit `this` from their surroundings).
+ * @param {object} p A Babel path inside the class.
+ * @returns {object|null} Babel path of the class, or null outside of class members.
+ */
+function getThisClassPath(p) {
+    const owner = p.findParent(parent =>
+        (parent.isFunction() && !parent.isArrowFunctionExpression()) || parent.isClassProperty() || parent.isClassPrivateProperty()
+    );
+    if (!owner || !(owner.isClassMethod() || owner.isClassPrivateMethod() || owner.isClassProperty() || owner.isClassPrivateProperty())) return null;
+    return owner.parentPath.parentPath;
+}
+
+/**
+ * Describes where a called identifier comes from, using Babel's scope bindings.
+ * @param {object} scope The Babel scope of the call site.
+ * @param {string} name The called identifier, or the object of a member call (`ns` in `ns.fn()`).
+ * @param {string|null} memberName The called property for member calls.
+ * @returns {object|null} One of `{specifier, imported, member?}` (an import), `{typeName, member}` (an instance of a
+ *   known class), `{local, member?}` (a local declaration), or null for globals.
+ */
+function describeCalleeBinding(scope, name, memberName = null) {
+    const binding = scope.getBinding(name);
+    if (!binding) return null;
+    const bindingNode = binding.path.node;
+    const member = memberName ? { member: memberName } : {};
+
+    // ESM imports: named, default and namespace specifiers
+    if (binding.kind === 'module' && t.isImportDeclaration(binding.path.parent)) {
+        const specifier = binding.path.parent.source.value;
+        if (t.isImportNamespaceSpecifier(bindingNode)) return memberName ? { specifier, imported: memberName } : null;
+        if (t.isImportDefaultSpecifier(bindingNode)) return { specifier, imported: 'default', ...member };
+        if (t.isImportSpecifier(bindingNode)) {
+            return { specifier, imported: t.isIdentifier(bindingNode.imported) ? bindingNode.imported.name : bindingNode.imported.value, ...member };
         }
-        if (allProjectFiles.has(potentialPath)) return potentialPath;
-        for (const ext of EXTENSIONS) {
-            if (allProjectFiles.has(path.join(potentialPath, `index${ext}`))) return path.join(potentialPath, `index${ext}`);
+        return null;
+    }
+
+    // CommonJS: `const x = require('./x')` and `const { a } = require('./x')`
+    if (t.isVariableDeclarator(bindingNode) && isRequireCall(bindingNode.init)) {
+        const specifier = bindingNode.init.arguments[0].value;
+        if (t.isIdentifier(bindingNode.id)) return { specifier, imported: 'default', ...member };
+        if (t.isObjectPattern(bindingNode.id)) {
+            const prop = bindingNode.id.properties.find(prop => t.isObjectProperty(prop) && t.isIdentifier(prop.key) && t.isIdentifier(prop.value, { name }));
+            if (prop) return { specifier, imported: prop.key.name, ...member };
         }
+        return null;
+    }
+
+    // Instances with a known class: `const repo = new UserRepository()`, `(repo: UserRepository) => ...`
+    if (memberName) {
+        let typeName = null;
+        if (t.isVariableDeclarator(bindingNode)) {
+            typeName = getInstantiatedClassName(bindingNode.init) || getAnnotatedTypeName(bindingNode.id);
+        } else if (binding.kind === 'param') {
+            typeName = t.isAssignmentPattern(bindingNode)
+                ? getAnnotatedTypeName(bindingNode.left) || getInstantiatedClassName(bindingNode.right)
+                : getAnnotatedTypeName(bindingNode);
+        }
+        if (typeName) return { typeName, member: memberName };
+    }
+
+    return { local: name, ...member };
+}
+
+// Custom hooks (`useAuth()`) and React's own hooks, whose return values are tracked field by field
+const HOOK_NAME_REGEX = /^use[A-Z0-9]/;
+
+/**
+ * Tells whether a call is a React API call, `createContext()` imported from 'react' or `React.createContext()`.
+ * @param {object} callPath Babel path of the call (or of any node, which is then not a call).
+ * @param {Array<string>} apiNames The React export names to match.
+ * @returns {boolean}
+ */
+function isReactApiCall(callPath, apiNames) {
+    if (!callPath.isCallExpression()) return false;
+    const callee = callPath.node.callee;
+    if (t.isIdentifier(callee) && apiNames.includes(callee.name)) {
+        const binding = describeCalleeBinding(callPath.scope, callee.name);
+        return binding?.specifier === 'react' && binding.imported === callee.name;
     }
+    return t.isMemberExpression(callee) && !callee.computed && t.isIdentifier(callee.object, { name: 'React' }) &&
+        t.isIdentifier(callee.property) && apiNames.includes(callee.property.name);
+}
 
-    // 4. Node modules are not resolved as project files
+/**
+ * Lists the fields a caller reads from a call's return value: `const { user, logout } = useAuth()`,
+ * `const [value, setValue] = useToggle()`, `useAuth().user`, or `const auth = useAuth(); auth.user`.
+ * @param {object} callPath Babel path of the call.
+ * @returns {Array<string>|null} The field names (`[0]` for array positions), or null if the value is used as a whole.
+ */
+function getReadFields(callPath) {
+    const valuePath = callPath.parentPath.isAwaitExpression() ? callPath.parentPath : callPath;
+    const parent = valuePath.parent;
+    const memberField = member => t.isMemberExpression(member) && !member.computed && t.isIdentifier(member.property) ? member.property.name : null;
+
+    if (t.isMemberExpression(parent) && parent.object === valuePath.node) {
+        const field = memberField(parent);
+        return field ? [field] : null;
+    }
+    if (!t.isVariableDeclarator(parent) || parent.init !== valuePath.node) return null;
+
+    const id = parent.id;
+    if (t.isObjectPattern(id)) {
+        const fields = id.properties.map(prop => !t.isObjectProperty(prop) || prop.computed ? null
+            : t.isIdentifier(prop.key) ? prop.key.name : t.isStringLiteral(prop.key) ? prop.key.value : null);
+        return fields.includes(null) ? null : fields; // `...rest` keeps every other field
+    }
+    if (t.isArrayPattern(id)) {
+        if (id.elements.some(element => t.isRestElement(element))) return null;
+        return id.elements.map((element, index) => element ? `[${index}]` : null).filter(Boolean);
+    }
+    if (t.isIdentifier(id)) {
+        const binding = valuePath.parentPath.scope.getBinding(id.name);
+        if (!binding || binding.constantViolations.length > 0) return null;
+        const fields = binding.referencePaths.map(ref => ref.parent.object === ref.node ? memberField(ref.parent) : null);
+        return fields.includes(null) ? null : [...new Set(fields)];
+    }
     return null;
 }
 
+/**
+ * Tells whether a call's value is returned as is by the enclosing function (`return useContext(AuthContext)`,
+ * `() => useContext(AuthContext)`), so the function's callers read the same value.
+ * @param {object} callPath Babel path of the call.
+ * @returns {boolean}
+ */
+function isReturnedValue(callPath) {
+    const valuePath = callPath.parentPath.isAwaitExpression() ? callPath.parentPath : callPath;
+    return valuePath.parentPath.isReturnStatement() || (valuePath.parentPath.isArrowFunctionExpression() && valuePath.parent.body === valuePath.node);
+}
+
+/**
+ * Describes the receiver of a member call (`obj.method()`, `this.method()`, `this.repo.method()`, `super.method()`).
+ * @param {object} callPath Babel path of the call.
+ * @param {object} callee The MemberExpression callee, with an identifier property.
+ * @param {string} fullPath The absolute path of the file, used for anonymous class names.
+ * @returns {object|null} A binding description as returned by describeCalleeBinding, or null if the receiver is unknown.
+ */
+function describeMemberCallee(callPath, callee, fullPath) {
+    const memberName = callee.property.name;
+    const object = callee.object;
+
+    if (t.isIdentifier(object)) return describeCalleeBinding(callPath.scope, object.name, memberName);
+
+    const classPath = getThisClassPath(callPath);
+    if (!classPath) return null;
+
+    if (t.isThisExpression(object)) {
+        const className = getClassName(classPath, fullPath);
+        return className ? { typeName: className, member: memberName } : null;
+    }
+    if (t.isSuper(object)) {
+        return t.isIdentifier(classPath.node.superClass) ? { typeName: classPath.node.superClass.name, member: memberName } : null;
+    }
+    if (t.isMemberExpression(object) && !object.computed && t.isThisExpression(object.object) && t.isIdentifier(object.property)) {
+        const typeName = getClassFieldTypes(classPath.node).get(object.property.name);
+        return typeName ? { typeName, member: memberName } : null;
+    }
+    return null;
+}
+
+const ROUTE_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options', 'all'];
+// Calls that create an Express/Koa/Fastify app or router, e.g. `express()`, `express.Router()`, `new Router()`, `Fastify()`
+const ROUTER_FACTORY_REGEX = /^(express|Router|fastify|Fastify|Koa|KoaRouter)$/;
+// Conventional names of app/router variables and of the parameter Fastify plugins receive
+const ROUTER_NAME_REGEX = /^(app|api|server|fastify|instance)$|router$/i;
+// Fastify route hooks that run before the handler, like Express middleware
+const FASTIFY_HOOK_OPTIONS = ['onRequest', 'preParsing', 'preValidation', 'preHandler'];
+// Next.js routing, matched against the path inside the project or workspace package
+const NEXT_APP_ROUTER_REGEX = /^(?:src\/)?app\/(.*)$/;
+const NEXT_PAGES_ROUTER_REGEX = /^(?:src\/)?pages\/(.*)$/;
+const NEXT_MIDDLEWARE_REGEX = /^(?:src\/)?(middleware|proxy)\.(js|ts)$/; // `proxy.ts` is the Next.js 16 name
+// SvelteKit routing; `src/routes` may sit below a package that is not a declared workspace
+const SVELTEKIT_ROUTES_REGEX = /(?:^|\/)src\/routes\/(.*)$/;
+const SVELTEKIT_HOOKS_REGEX = /^src\/hooks\.server\.(js|ts)$/;
+// Route handlers exported by Next.js `route.ts` and SvelteKit `+server.ts` files
+const ROUTE_HANDLER_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'];
+
+/**
+ * Returns the value of a string literal or of a template literal without expressions.
+ * @param {object} node A Babel node.
+ * @returns {string|null}
+ */
+function getStaticString(node) {
+    if (t.isStringLiteral(node)) return node.value;
+    if (t.isTemplateLiteral(node) && node.expressions.length === 0) return node.quasis[0].value.cooked;
+    return null;
+}
+
+/**
+ * Joins route path segments, e.g. ('/api', '/users/', ':id') -> '/api/users/:id'.
+ * @param {...string} parts
+ * @returns {string}
+ */
+function joinRoutePaths(...parts) {
+    return ('/' + parts.filter(Boolean).join('/')).replace(/\/{2,}/g, '/').replace(/(.)\/$/, '$1');
+}
+
+/**
+ * Key of the router a function receives as its first parameter (Fastify plugins, `module.exports = (app) => {...}`).
+ * @param {string} relPath The file containing the function.
+ * @param {object} fnNode The function node.
+ * @returns {string}
+ */
+function getPluginRouterKey(relPath, fnNode) {
+    return `${relPath}#plugin@${fnNode.loc?.start.line}:${fnNode.loc?.start.column}`;
+}
+
+/**
+ * Identifies the Express/Koa/Fastify app or router a registration call is made on.
+ * @param {object} scope The Babel scope of the registration.
+ * @param {string} name The identifier the registration is called on (`router` in `router.get(...)`).
+ * @param {string} relPath The file containing the registration.
+ * @returns {{key: string, prefix: string}|null} The router key and its own prefix (koa-router `new Router({ prefix })`), or null if `name` is not a router.
+ */
+function getRouterReference(scope, name, relPath) {
+    const binding = scope.getBinding(name);
+    if (!binding) return ROUTER_NAME_REGEX.test(name) ? { key: `${relPath}#${name}`, prefix: '' } : null;
+
+    const init = t.isVariableDeclarator(binding.path.node) ? binding.path.node.init : null;
+    const factory = t.isCallExpression(init) || t.isNewExpression(init) ? init : null;
+    const factoryName = t.isIdentifier(factory?.callee) ? factory.callee.name
+        : t.isMemberExpression(factory?.callee) && t.isIdentifier(factory.callee.property) ? factory.callee.property.name : '';
+    if (!ROUTER_NAME_REGEX.test(name) && !ROUTER_FACTORY_REGEX.test(factoryName)) return null;
+
+    if (binding.kind === 'param') {
+        return { key: getPluginRouterKey(relPath, binding.scope.path.node), prefix: '' };
+    }
+
+    const options = factory?.arguments[0];
+    const prefixProp = t.isObjectExpression(options) && options.properties.find(prop => t.isObjectProperty(prop) && t.isIdentifier(prop.key, { name: 'prefix' }));
+    // Routers declared inside a function are told apart by their declaration line
+    const location = binding.scope.path.isProgram() ? '' : `@${binding.path.node.loc?.start.line}`;
+    return { key: `${relPath}#${name}${location}`, prefix: (prefixProp && getStaticString(prefixProp.value)) || '' };
+}
+
+/**
+ * Describes the handlers and middleware passed to a route registration or `use()`.
+ * Arrays are flattened and `asyncHandler(fn)`-style wrappers are unwrapped.
+ * @param {object} itemPath Babel path of the argument.
+ * @param {string} fullPath The absolute path of the file.
+ * @returns {Array<object>} Binding descriptions (see describeCalleeBinding) with the raw `name`, or `{inlineFunction}` for function expressions.
+ */
+function describeRouteItems(itemPath, fullPath) {
+    const node = itemPath.node;
+    if (t.isArrayExpression(node)) return itemPath.get('elements').flatMap(element => element.node ? describeRouteItems(element, fullPath) : []);
+    if (t.isFunction(node)) return [{ inlineFunction: node, name: null }];
+    if (t.isIdentifier(node)) return [{ ...describeCalleeBinding(itemPath.scope, node.name), name: node.name }];
+    if (t.isMemberExpression(node) && !node.computed && t.isIdentifier(node.property)) {
+        return [{ ...describeMemberCallee(itemPath, node, fullPath), name: node.property.name }];
+    }
+    if (!t.isCallExpression(node)) return [];
+
+    if (isRequireCall(node)) return [{ specifier: node.arguments[0].value, imported: 'default', name: node.arguments[0].value }];
+    const callee = node.callee;
+    // koa-router: `app.use(router.routes())`
+    if (t.isMemberExpression(callee) && t.isIdentifier(callee.property, { name: 'routes' })) return describeRouteItems(itemPath.get('callee.object'), fullPath);
+
+    const calleeName = t.isIdentifier(callee) ? callee.name : null;
+    const wrapped = node.arguments[0];
+    if (node.arguments.length === 1 && (t.isFunction(wrapped) || (calleeName && /async|catch|wrap/i.test(calleeName)))) {
+        return describeRouteItems(itemPath.get('arguments.0'), fullPath);
+    }
+    // Middleware factories such as `validate(schema)` or `requireRole('admin')`
+    return calleeName ? [{ ...describeCalleeBinding(itemPath.scope, calleeName), name: calleeName }] : [];
+}
+
+/**
+ * Describes the hooks in a Fastify route options object (`{ preHandler: [auth] }`), which act as middleware.
+ * @param {object} optionsPath Babel path of the ObjectExpression.
+ * @param {string} fullPath The absolute path of the file.
+ * @returns {Array<object>} Route item descriptions.
+ */
+function describeFastifyHooks(optionsPath, fullPath) {
+    return optionsPath.get('properties')
+        .filter(prop => prop.isObjectProperty() && FASTIFY_HOOK_OPTIONS.includes(prop.node.key.name))
+        .flatMap(prop => describeRouteItems(prop.get('value'), fullPath));
+}
+
+/**
+ * Turns Next.js or SvelteKit route segments into a route path: route groups `(marketing)`, parallel route slots
+ * `@modal` and interception markers `(..)` are dropped, `[id]` (and SvelteKit's `[id=integer]`) becomes `:id`,
+ * `[...slug]` becomes `:slug+` (`:slug*` in SvelteKit, where it also matches nothing), `[[...slug]]` becomes
+ * `:slug*` and SvelteKit's optional `[[lang]]` becomes `:lang?`.
+ * @param {Array<string>} segments The directory segments below `app/`, `pages/` or `src/routes/`.
+ * @param {boolean} restMatchesEmpty Whether `[...slug]` also matches zero segments (SvelteKit).
+ * @returns {string} The route path.
+ */
+function normalizeRouteSegments(segments, restMatchesEmpty = false) {
+    const routeSegments = [];
+    for (const segment of segments) {
+        if (/^\(.*\)$/.test(segment) || segment.startsWith('@')) continue;
+        const name = segment.replace(/^(\(\.{1,3}\))+/, '');
+        let match;
+        if ((match = name.match(/^\[\[\.\.\.(\w+)\]\]$/))) routeSegments.push(`:${match[1]}*`);
+        else if ((match = name.match(/^\[\.\.\.(\w+)(?:=\w+)?\]$/))) routeSegments.push(`:${match[1]}${restMatchesEmpty ? '*' : '+'}`);
+        else if ((match = name.match(/^\[\[(\w+)(?:=\w+)?\]\]$/))) routeSegments.push(`:${match[1]}?`);
+        else routeSegments.push(name.replace(/\[(\w+)(?:=\w+)?\]/g, ':$1')); // `[id]`, and `[a]-[b]` within a segment
+    }
+    return joinRoutePaths(...routeSegments);
+}
+
+/**
+ * Compiles a Next.js middleware `matcher` source (`/dashboard/:path*`, `/((?!api|_next/static).*)`) to a regular
+ * expression that is tested against normalized route paths.
+ * @param {string} source The matcher source.
+ * @returns {RegExp|null} The compiled matcher, or null if the source is not a valid pattern.
+ */
+function compileRouteMatcher(source) {
+    const pattern = source
+        .replace(/\/:\w+\*/g, '(?:/.*)?')
+        .replace(/\/:\w+\+/g, '/.+')
+        .replace(/\/:\w+\?/g, '(?:/[^/]+)?')
+        .replace(/:\w+/g, '[^/]+');
+    try {
+        return new RegExp(`^${pattern}/?$`);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Finds the value of a top-level `export const <name> = ...`, without `satisfies`/`as` type assertions.
+ * @param {object} program The Program node.
+ * @param {string} name The exported constant.
+ * @returns {object|null} The initializer node.
+ */
+function getExportedConstValue(program, name) {
+    for (const statement of program.body) {
+        if (!t.isExportNamedDeclaration(statement) || !t.isVariableDeclaration(statement.declaration)) continue;
+        let value = statement.declaration.declarations.find(d => t.isIdentifier(d.id, { name }))?.init;
+        while (t.isTSSatisfiesExpression(value) || t.isTSAsExpression(value)) value = value.expression;
+        if (value) return value;
+    }
+    return null;
+}
+
+/**
+ * Reads the `matcher` of a Next.js middleware file (`export const config = { matcher: ['/dashboard/:path*'] }`).
+ * @param {object} program The Program node of the middleware file.
+ * @returns {Array<string>|null} The matcher sources, or null when the middleware runs on every route.
+ */
+function getMiddlewareMatchers(program) {
+    const isKey = (prop, name) => t.isObjectProperty(prop) && t.isIdentifier(prop.key, { name });
+    const config = getExportedConstValue(program, 'config');
+    const matcherProp = t.isObjectExpression(config) && config.properties.find(prop => isKey(prop, 'matcher'));
+    if (!matcherProp) return null;
+
+    // Entries are strings or `{ source, has, missing }` objects; `has`/`missing` conditions are ignored
+    return (t.isArrayExpression(matcherProp.value) ? matcherProp.value.elements : [matcherProp.value])
+        .map(element => t.isObjectExpression(element) ? element.properties.find(prop => isKey(prop, 'source'))?.value : element)
+        .map(getStaticString)
+        .filter(source => source !== null);
+}
+
+/**
+ * Lists the form actions of a SvelteKit `+page.server.ts` (`export const actions = { default: ..., create: save }`).
+ * @param {object} program The Program node of the file.
+ * @returns {Array<{name: string, local: string}>} Each action with the name of the function implementing it.
+ */
+function getSvelteKitActions(program) {
+    const actions = getExportedConstValue(program, 'actions');
+    if (!t.isObjectExpression(actions)) return [];
+    return actions.properties
+        .filter(prop => (t.isObjectProperty(prop) || t.isObjectMethod(prop)) && t.isIdentifier(prop.key))
+        .map(prop => ({ name: prop.key.name, local: t.isObjectProperty(prop) && t.isIdentifier(prop.value) ? prop.value.name : prop.key.name }));
+}
+
 /**
  * Extracts route information from a file path, supporting SvelteKit and Next.js.
  * @param {string} filePath The absolute path of the file.
@@ -129,30 +610,27 @@ function resolveImportPath(importerPath, importedModule, allProjectFiles, projec
 function getRouteInfo(filePath, projectRoot) {
     const relPath = path.relative(projectRoot, filePath).replace(/\\/g, '/'); // Normalize path separators
 
-    // SvelteKit routes (e.g., src/routes/users/+server.ts)
-    if (relPath.includes('src/routes')) {
-        const parts = relPath.split('src/routes/')[1];
-        return '/' + parts.replace(/\/\+(server|page|layout)\.(js|ts|jsx|tsx|svelte)$/, '').replace(/\/$/, '') || '/';
-    }
-    // Next.js App Router API routes (e.g., app/api/users/route.ts)
-    if (relPath.includes('app/api')) {
-        const parts = relPath.split('app/api/')[1];
-        return '/' + parts.replace(/\/route\.(js|ts|jsx|tsx)$/, '').replace(/\/$/, '') || '/api/'; // Default to /api/ if root
-    }
-    // Next.js Pages Router API routes (e.g., pages/api/users.ts)
-    if (relPath.includes('pages/api')) {
-        const parts = relPath.split('pages/api/')[1];
-        return '/' + parts.replace(/\.(js|ts|jsx|tsx)$/, '').replace(/\/$/, '') || '/api/'; // Default to /api/ if root
-    }
-    // Next.js App Router pages (e.g., app/dashboard/page.tsx)
-    if (relPath.includes('app')) {
-        const parts = relPath.split('app/')[1];
-        return '/' + parts.replace(/\/(page|layout|loading|error)\.(js|ts|jsx|tsx)$/, '').replace(/\/$/, '') || '/';
-    }
-    // Next.js Pages Router pages (e.g., pages/dashboard.tsx)
-    if (relPath.includes('pages')) {
-        const parts = relPath.split('pages/')[1];
-        return '/' + parts.replace(/\.(js|ts|jsx|tsx)$/, '').replace(/\/index$/, '') || '/';
+    // SvelteKit routes (e.g., src/routes/users/[id]/+server.ts); `+server`, `+page` and `+layout` files take their directory's route
+    const svelteKitMatch = relPath.match(SVELTEKIT_ROUTES_REGEX);
+    if (svelteKitMatch) {
+        const segments = svelteKitMatch[1].split('/');
+        const fileName = segments.pop().replace(/\.(js|ts|jsx|tsx|svelte)$/, '');
+        if (!fileName.startsWith('+') && fileName !== 'index') segments.push(fileName);
+        return normalizeRouteSegments(segments, true);
+    }
+    // Next.js App Router (e.g., app/api/users/route.ts, app/(shop)/products/[id]/page.tsx); the route is the
+    // file's directory. Private folders (`_components`) are not routable.
+    const appRouterMatch = relPath.match(NEXT_APP_ROUTER_REGEX);
+    if (appRouterMatch) {
+        const segments = appRouterMatch[1].split('/').slice(0, -1);
+        return segments.some(segment => segment.startsWith('_')) ? null : normalizeRouteSegments(segments);
+    }
+    // Next.js Pages Router (e.g., pages/blog/[slug].tsx, pages/api/users/index.ts); `_app` and `_document` are not routes
+    const pagesRouterMatch = relPath.match(NEXT_PAGES_ROUTER_REGEX);
+    if (pagesRouterMatch) {
+        const segments = pagesRouterMatch[1].replace(/\.(js|ts|jsx|tsx|vue)$/, '').split('/');
+        if (segments[segments.length - 1] === 'index') segments.pop();
+        return segments.some(segment => segment.startsWith('_')) ? null : normalizeRouteSegments(segments);
     }
 
     // Standard Express/Node.js routes (e.g., routes/users.js)
@@ -170,14 +648,756 @@ function getRouteInfo(filePath, projectRoot) {
     return null;
 }
 
+// Babel options for every parsed file; part of the parse cache's fingerprint
+const PARSER_OPTIONS = {
+    sourceType: 'module',
+    plugins: ['jsx', 'typescript', 'decorators-legacy', 'importAssertions', 'dynamicImport', 'classProperties', 'optionalChaining', 'nullishCoalescingOperator']
+};
+// Cold builds of at least this many files per available core are parsed in worker threads
+const MIN_FILES_PER_WORKER = 100;
+const WORKER_BATCH_SIZE = 32;
 
 /**
- * Parses a project to build a dependency graph.
+ * Parses one file into its part of the graph: its nodes and edges, its imports, its symbol table, the call edges
+ * still to be resolved, and the routers, routes and middleware it declares. The result only depends on the file's
+ * content and `fileInfo`, and is plain data, so it can be cached and computed in a worker thread (see parseWorker.js).
+ * parseToGraph resolves the imports and links the files together.
+ * @param {{fullPath: string, relPath: string, zone: string, packageRelPath: string, fileRoute: string|null, packageName: string|undefined}} fileInfo
+ *   The file, its architectural zone, its path and route inside its workspace package, and the package's name.
+ * @param {string} source The file's content.
+ * @returns {object} The parse result. Edges whose target is an import are `{ importRef }` placeholders into `imports`,
+ *   and `pendingCalls` refer to the edges to resolve by index.
+ */
+export function parseFile(fileInfo, source) {
+    const { fullPath, relPath, zone: fileZone, packageRelPath, fileRoute, packageName } = fileInfo;
+    const graph = { nodes: {}, edges: [] }; // This file's part of the graph
+    const result = { graph, imports: [], symbolTable: null, pendingCalls: [], routers: [], pluginNodeIds: [], routeFile: null, nextMiddleware: null, svelteKitHooks: null, error: null };
+    let code = source;
+
+    graph.nodes[relPath] = { type: "module", id: relPath, zone: fileZone, ...(packageName ? { package: packageName } : {}) };
+    const isAppRouterFile = NEXT_APP_ROUTER_REGEX.test(packageRelPath);
+    const isNextRouteFile = Boolean(fileRoute) && (isAppRouterFile || NEXT_PAGES_ROUTER_REGEX.test(packageRelPath));
+    const routeFileName = path.basename(packageRelPath, path.extname(packageRelPath)); // `route`, `page`, `[slug]`, `+page.server`
+    // `+page`/`+server`/`+layout` files; other files below src/routes are legacy endpoints or Express routers
+    const isSvelteKitRouteFile = Boolean(fileRoute) && SVELTEKIT_ROUTES_REGEX.test(packageRelPath) && routeFileName.startsWith('+');
+    const symbolTable = {
+        exports: new Map(), // exported name -> { local } | { specifier, imported } | { instanceOf }
+        starSpecifiers: [], // `export * from '<specifier>'`
+        importBindings: new Map(), // local name -> { specifier, imported }
+        instances: new Map() // module-level variable -> class name, for `const repo = new UserRepository()`
+    };
+    const pendingCallEdges = [];
+    // Express/Koa/Fastify routers declared in this file (key -> routes and mounts)
+    const routers = new Map();
+    const pluginNodeIds = new Map(); // plugin router key -> node ID of the function receiving the router
+    const inlineRouteHandlers = new WeakMap(); // inline handler function node -> its route
+
+    function getRouter(routerRef, relPath) {
+        if (!routers.has(routerRef.key)) routers.set(routerRef.key, { key: routerRef.key, relPath, prefix: routerRef.prefix, routes: [], uses: [] });
+        return routers.get(routerRef.key);
+    }
+
+    try {
+        // For Svelte and Vue components Babel parses only the script content; the markup is read with the framework's compiler
+        const isSvelteComponent = fullPath.endsWith('.svelte');
+        const isVueComponent = fullPath.endsWith('.vue');
+        const markup = isSvelteComponent ? getMarkupUsages(code) : isVueComponent ? getTemplateUsages(code) : null;
+        if (isSvelteComponent) code = extractScriptContent(code);
+        if (isVueComponent) code = extractVueScriptContent(code);
+
+        const ast = parser.parse(code, PARSER_OPTIONS);
+
+        /**
+         * Records an import of a module specifier. parseToGraph resolves it and puts the dependency edge in its place.
+         * @param {string} importedModule The module specifier.
+         * @param {string} kind The edge kind (e.g. "import", "require", "re_export").
+         */
+        function linkModule(importedModule, kind) {
+            result.imports.push({ specifier: importedModule, kind });
+            graph.edges.push({ importRef: result.imports.length - 1 });
+        }
+
+        /**
+         * Records a dynamic import whose specifier is a template string (e.g. import(`./locales/${lang}.js`)).
+         * parseToGraph links it to every project file the template could match.
+         * @param {object} template The TemplateLiteral node.
+         */
+        function linkTemplateImport(template) {
+            result.imports.push({ quasis: template.quasis.map(q => q.value.cooked), kind: "dynamic_import_template" });
+            graph.edges.push({ importRef: result.imports.length - 1 });
+        }
+
+        /**
+         * Records a route on a router. An inline handler becomes the API node itself; referenced handlers
+         * and middleware are linked to it when routes are composed.
+         */
+        function addRoute(router, method, routePath, middleware, handlers, loc) {
+            const route = { method, path: routePath, middleware, handlers, relPath, zone: fileZone, loc, provisionalNodeId: null, apiNodeId: null, sharesHandlerOf: null };
+            const inlineHandler = handlers.find(item => item.inlineFunction);
+            if (inlineHandler && inlineRouteHandlers.has(inlineHandler.inlineFunction)) {
+                // One handler for several methods (`method: ['GET', 'HEAD']`); the first route owns the node
+                route.sharesHandlerOf = inlineRouteHandlers.get(inlineHandler.inlineFunction);
+            } else if (inlineHandler) {
+                inlineRouteHandlers.set(inlineHandler.inlineFunction, route);
+            }
+            router.routes.push(route);
+        }
+
+        /**
+         * Records Express/Koa/Fastify route registrations (`router.get('/users/:id', auth, getUser)`,
+         * `router.route('/users').post(...)`, `fastify.route({...})`) and router mounts (`app.use('/api', router)`,
+         * `fastify.register(plugin, { prefix })`).
+         * @param {object} p Babel path of the CallExpression.
+         */
+        function recordRouteRegistration(p) {
+            const callee = p.node.callee;
+            if (!t.isMemberExpression(callee) || callee.computed || !t.isIdentifier(callee.property)) return;
+            const method = callee.property.name;
+            const args = p.get('arguments');
+            const withRelPath = items => items.map(({ inlineFunction, ...item }) =>
+                inlineFunction ? { ...item, inlineFunction, inlinePluginKey: getPluginRouterKey(relPath, inlineFunction), relPath } : { ...item, relPath });
+
+            // Express `router.route('/users/:id').get(getUser).put(updateUser)`
+            let routerObject = callee.object;
+            let chainedPath = null;
+            while (t.isCallExpression(routerObject) && t.isMemberExpression(routerObject.callee) && t.isIdentifier(routerObject.callee.property)) {
+                const chainedMethod = routerObject.callee.property.name;
+                if (chainedMethod === 'route' && getStaticString(routerObject.arguments[0]) !== null) {
+                    chainedPath = getStaticString(routerObject.arguments[0]);
+                    routerObject = routerObject.callee.object;
+                    break;
+                }
+                if (!ROUTE_METHODS.includes(chainedMethod)) return;
+                routerObject = routerObject.callee.object;
+            }
+            if (!t.isIdentifier(routerObject) || (chainedPath === null && routerObject !== callee.object)) return;
+            if (chainedPath !== null && !ROUTE_METHODS.includes(method)) return;
+
+            const routerRef = getRouterReference(p.scope, routerObject.name, relPath);
+            if (!routerRef) return;
+
+            if (ROUTE_METHODS.includes(method)) {
+                const routePath = chainedPath ?? getStaticString(args[0]?.node);
+                const handlerArgs = chainedPath !== null ? args : args.slice(1);
+                // A path is required, which also keeps `map.get(key)` and `cache.get(key, fallback)` out
+                if (routePath === null || !(routePath.startsWith('/') || routePath === '*') || handlerArgs.length === 0) return;
+
+                const middleware = [];
+                const handlers = [];
+                handlerArgs.forEach((argPath, index) => {
+                    if (t.isObjectExpression(argPath.node)) {
+                        middleware.push(...describeFastifyHooks(argPath, fullPath)); // `fastify.get('/x', { preHandler }, handler)`
+                    } else {
+                        (index === handlerArgs.length - 1 ? handlers : middleware).push(...describeRouteItems(argPath, fullPath));
+                    }
+                });
+                addRoute(getRouter(routerRef, relPath), method, routePath, withRelPath(middleware), withRelPath(handlers), p.node.loc);
+            } else if (method === 'route' && args[0]?.isObjectExpression()) {
+                // Fastify `fastify.route({ method: ['GET', 'HEAD'], url: '/users', preHandler: auth, handler })`
+                const props = args[0].get('properties').filter(prop => prop.isObjectProperty() && t.isIdentifier(prop.node.key));
+                const findProp = name => props.find(prop => prop.node.key.name === name);
+                const methodNode = findProp('method')?.node.value;
+                const methods = (t.isArrayExpression(methodNode) ? methodNode.elements : [methodNode]).map(getStaticString).filter(Boolean);
+                const routePath = getStaticString((findProp('url') || findProp('path'))?.node.value);
+                const handlerProp = findProp('handler');
+                if (methods.length === 0 || routePath === null || !handlerProp) return;
+
+                const middleware = withRelPath(describeFastifyHooks(args[0], fullPath));
+                const handlers = withRelPath(describeRouteItems(handlerProp.get('value'), fullPath));
+                methods.forEach(routeMethod => addRoute(getRouter(routerRef, relPath), routeMethod.toLowerCase(), routePath, middleware, handlers, p.node.loc));
+            } else if (method === 'use') {
+                const prefix = getStaticString(args[0]?.node);
+                const items = (prefix !== null ? args.slice(1) : args).flatMap(argPath => describeRouteItems(argPath, fullPath));
+                // Inline middleware has no node to link to
+                getRouter(routerRef, relPath).uses.push({ prefix: prefix ?? '', items: withRelPath(items.filter(item => !item.inlineFunction)) });
+            } else if (method === 'register' && args[0]) {
+                // Fastify `fastify.register(usersPlugin, { prefix: '/users' })`
+                const options = args[1]?.node;
+                const prefixProp = t.isObjectExpression(options) && options.properties.find(prop => t.isObjectProperty(prop) && t.isIdentifier(prop.key, { name: 'prefix' }));
+                getRouter(routerRef, relPath).uses.push({ prefix: (prefixProp && getStaticString(prefixProp.value)) || '', items: withRelPath(describeRouteItems(args[0], fullPath)) });
+            } else if (method === 'prefix' && getStaticString(args[0]?.node) !== null) {
+                getRouter(routerRef, relPath).prefix = getStaticString(args[0].node); // koa-router `router.prefix('/users')`
+            }
+        }
+
+        // CommonJS exports, linked to their function nodes once the whole file has been traversed
+        const commonJsExports = [];
+        const serverActions = new Map(); // Next.js server action name -> function node ID
+        const graphFunctionNodes = new WeakSet(); // function AST nodes that became graph nodes
+        let programScope = null;
+
+        /**
+         * Adds a call edge from a node to the function a CallExpression calls. The edge keeps the raw callee
+         * name until it is resolved to the real node, once every file's exports are known.
+         * @param {string} fromNodeId The calling node.
+         * @param {object} callPath Babel path of the CallExpression.
+         */
+        function linkCall(fromNodeId, callPath) {
+            // `useContext(AuthContext)` and `use(AuthContext)` read the context's value: the consumer depends on the context
+            const contextArg = callPath.node.arguments[0];
+            if (isReactApiCall(callPath, ['useContext', 'use']) && t.isIdentifier(contextArg)) {
+                const edge = { from: fromNodeId, to: contextArg.name, type: "dependency", kind: "context_consumer", callPath: callPath.node.loc, ...describeValueUse(callPath) };
+                graph.edges.push(edge);
+                pendingCallEdges.push({ edge, relPath, binding: describeCalleeBinding(callPath.scope, contextArg.name) });
+                return;
+            }
+
+            let calleeName = null;
+            let binding = null;
+            const callee = callPath.node.callee;
+            if (t.isIdentifier(callee)) {
+                calleeName = callee.name;
+                binding = describeCalleeBinding(callPath.scope, callee.name);
+            } else if (t.isMemberExpression(callee) && t.isIdentifier(callee.property)) {
+                calleeName = callee.property.name;
+                if (!callee.computed) binding = describeMemberCallee(callPath, callee, fullPath);
+            } else if (t.isSuper(callee)) {
+                // `super(...)` runs the parent class constructor
+                const classPath = getThisClassPath(callPath);
+                if (classPath && t.isIdentifier(classPath.node.superClass)) {
+                    calleeName = classPath.node.superClass.name;
+                    binding = { typeName: calleeName, construct: true };
+                }
+            }
+
+            if (calleeName) {
+                const edge = { from: fromNodeId, to: calleeName, type: "dependency", kind: "call", callPath: callPath.node.loc };
+                if (HOOK_NAME_REGEX.test(calleeName)) Object.assign(edge, describeValueUse(callPath));
+                graph.edges.push(edge);
+                pendingCallEdges.push({ edge, relPath, binding });
+            }
+        }
+
+        /**
+         * Describes how a caller uses a hook's or context's value: the fields it reads, and whether it returns the
+         * value to its own callers (as custom hooks wrapping `useContext` do).
+         * @param {object} callPath Babel path of the call.
+         * @returns {{fields: Array<string>|null, returnsValue?: boolean}}
+         */
+        function describeValueUse(callPath) {
+            return isReturnedValue(callPath) ? { fields: null, returnsValue: true } : { fields: getReadFields(callPath) };
+        }
+
+        // A Svelte or Vue component is a node of its own, named after the file like other default exports. Its markup
+        // and the top-level code of its script (which runs for every instance) depend on what they use.
+        const componentName = markup ? path.basename(fullPath, path.extname(fullPath)) : null;
+        const componentNodeId = markup ? `${relPath}::${componentName}` : null;
+        if (componentNodeId) {
+            graph.nodes[componentNodeId] = {
+                type: "function",
+                name: componentName,
+                file: relPath,
+                zone: fileZone,
+                parameters: [],
+                returnType: 'any',
+                isAsync: false,
+                startLine: 1,
+                endLine: code.split('\n').length
+            };
+            graph.edges.push({ from: relPath, to: componentNodeId, type: "structural" });
+            symbolTable.exports.set('default', { local: componentName });
+        }
+
+        babelTraverse(ast, {
+            Program(p) {
+                programScope = p.scope;
+            },
+            ImportDeclaration(p) {
+                linkModule(p.node.source.value, "import");
+                for (const spec of p.node.specifiers) {
+                    const imported = t.isImportSpecifier(spec) ? (t.isIdentifier(spec.imported) ? spec.imported.name : spec.imported.value)
+                        : t.isImportDefaultSpecifier(spec) ? 'default' : '*';
+                    symbolTable.importBindings.set(spec.local.name, { specifier: p.node.source.value, imported });
+                }
+            },
+            VariableDeclarator(p) { // Track module-level requires and class instances, e.g. `export const userService = new UserService()`
+                if (!p.scope.path.isProgram()) return;
+                if (isRequireCall(p.node.init)) {
+                    const specifier = p.node.init.arguments[0].value;
+                    if (t.isIdentifier(p.node.id)) symbolTable.importBindings.set(p.node.id.name, { specifier, imported: 'default' });
+                    if (t.isObjectPattern(p.node.id)) {
+                        p.node.id.properties
+                            .filter(prop => t.isObjectProperty(prop) && t.isIdentifier(prop.key) && t.isIdentifier(prop.value))
+                            .forEach(prop => symbolTable.importBindings.set(prop.value.name, { specifier, imported: prop.key.name }));
+                    }
+                    return;
+                }
+                if (!t.isIdentifier(p.node.id)) return;
+                // `export const AuthContext = createContext(null)`: providers and consumers are linked through the context node
+                if (isReactApiCall(p.get('init'), ['createContext'])) {
+                    const contextId = `${relPath}::${p.node.id.name}`;
+                    graph.nodes[contextId] = {
+                        type: "context",
+                        name: p.node.id.name,
+                        file: relPath,
+                        zone: fileZone,
+                        startLine: p.node.loc?.start.line,
+                        endLine: p.node.loc?.end.line
+                    };
+                    graph.edges.push({ from: relPath, to: contextId, type: "structural" });
+                    return;
+                }
+                const className = getInstantiatedClassName(p.node.init) || getAnnotatedTypeName(p.node.id);
+                if (className) symbolTable.instances.set(p.node.id.name, className);
+            },
+            'ClassDeclaration|ClassExpression'(p) {
+                const name = getClassName(p, fullPath);
+                if (!name) return;
+                const classId = `${relPath}::${name}`;
+                graph.nodes[classId] = {
+                    type: "class",
+                    name,
+                    file: relPath,
+                    zone: fileZone,
+                    superClass: t.isIdentifier(p.node.superClass) ? p.node.superClass.name : null,
+                    methods: [],
+                    startLine: p.node.loc?.start.line,
+                    endLine: p.node.loc?.end.line
+                };
+                graph.edges.push({ from: relPath, to: classId, type: "structural" });
+            },
+            ExportNamedDeclaration(p) { // Handle re-exports (e.g., `export { A } from './b'`)
+                const exportedName = spec => t.isIdentifier(spec.exported) ? spec.exported.name : spec.exported.value;
+                if (p.node.source) {
+                    const specifier = p.node.source.value;
+                    linkModule(specifier, "re_export"); // Treat as an import for resolution purposes
+                    for (const spec of p.node.specifiers) {
+                        if (t.isExportSpecifier(spec)) symbolTable.exports.set(exportedName(spec), { specifier, imported: spec.local.name });
+                        if (t.isExportNamespaceSpecifier(spec)) symbolTable.exports.set(exportedName(spec), { specifier, imported: '*' });
+                    }
+                    return;
+                }
+
+                const declaration = p.node.declaration;
+                if ((t.isFunctionDeclaration(declaration) || t.isClassDeclaration(declaration)) && declaration.id) {
+                    symbolTable.exports.set(declaration.id.name, { local: declaration.id.name });
+                } else if (t.isVariableDeclaration(declaration)) {
+                    declaration.declarations.filter(d => t.isIdentifier(d.id)).forEach(d => symbolTable.exports.set(d.id.name, { local: d.id.name }));
+                }
+                for (const spec of p.node.specifiers) {
+                    if (t.isExportSpecifier(spec)) symbolTable.exports.set(exportedName(spec), { local: spec.local.name });
+                }
+            },
+            ExportDefaultDeclaration(p) {
+                const declaration = p.node.declaration;
+                if (t.isIdentifier(declaration)) {
+                    symbolTable.exports.set('default', { local: declaration.name });
+                } else if ((t.isFunctionDeclaration(declaration) || t.isClassDeclaration(declaration)) && declaration.id) {
+                    symbolTable.exports.set('default', { local: declaration.id.name });
+                } else if (t.isFunction(declaration) || t.isClass(declaration)) {
+                    // Anonymous default exports are named after the file (see the function visitor below)
+                    symbolTable.exports.set('default', { local: path.basename(fullPath, path.extname(fullPath)) });
+                } else if (getInstantiatedClassName(declaration)) {
+                    symbolTable.exports.set('default', { instanceOf: getInstantiatedClassName(declaration) });
+                }
+            },
+            ExportAllDeclaration(p) { // Handle barrel exports (e.g., `export * from './b'`)
+                if (p.node.source) {
+                    linkModule(p.node.source.value, "barrel_export"); // Treat as an import for resolution purposes
+                    if (p.node.exported) {
+                        symbolTable.exports.set(p.node.exported.name, { specifier: p.node.source.value, imported: '*' });
+                    } else {
+                        symbolTable.starSpecifiers.push(p.node.source.value);
+                    }
+                }
+            },
+            CallExpression(p) { // Handle `require('./x')`, dynamic `import('./x')` and router registrations
+                recordRouteRegistration(p);
+                if (componentNodeId && !p.findParent(parent => graphFunctionNodes.has(parent.node))) linkCall(componentNodeId, p);
+
+                const { callee, arguments: args } = p.node;
+                const isRequire = t.isIdentifier(callee, { name: 'require' }) && !p.scope.hasBinding('require');
+                const isDynamicImport = t.isImport(callee);
+                if ((!isRequire && !isDynamicImport) || args.length === 0) return;
+
+                const specifier = args[0];
+                const kind = isRequire ? "require" : "dynamic_import";
+                if (t.isStringLiteral(specifier)) {
+                    linkModule(specifier.value, kind);
+                } else if (t.isTemplateLiteral(specifier) && specifier.expressions.length === 0) {
+                    linkModule(specifier.quasis[0].value.cooked, kind);
+                } else if (t.isTemplateLiteral(specifier) && isDynamicImport) {
+                    linkTemplateImport(specifier);
+                }
+            },
+            AssignmentExpression(p) { // Handle `exports.foo = ...`, `module.exports.foo = ...` and `module.exports = ...`
+                const left = p.node.left;
+                if (!t.isMemberExpression(left) || left.computed) return;
+
+                const isModuleExports = node => t.isMemberExpression(node) && !node.computed &&
+                    t.isIdentifier(node.object, { name: 'module' }) && t.isIdentifier(node.property, { name: 'exports' });
+                const isExportsObject = node => (t.isIdentifier(node, { name: 'exports' }) && !p.scope.hasBinding('exports')) || isModuleExports(node);
+
+                if (isModuleExports(left)) {
+                    const right = p.node.right;
+                    if (t.isObjectExpression(right)) {
+                        for (const prop of right.properties) {
+                            if ((t.isObjectProperty(prop) || t.isObjectMethod(prop)) && t.isIdentifier(prop.key)) {
+                                const localName = t.isObjectProperty(prop) && t.isIdentifier(prop.value) ? prop.value.name : prop.key.name;
+                                commonJsExports.push({ exportedAs: prop.key.name, localName, loc: prop.loc });
+                            }
+                        }
+                    } else if (t.isIdentifier(right)) {
+                        commonJsExports.push({ exportedAs: 'default', localName: right.name, loc: p.node.loc });
+                    } else if (t.isFunction(right)) {
+                        commonJsExports.push({ exportedAs: 'default', localName: path.basename(fullPath, path.extname(fullPath)), loc: p.node.loc });
+                    } else if (getInstantiatedClassName(right)) {
+                        symbolTable.exports.set('default', { instanceOf: getInstantiatedClassName(right) });
+                    }
+                } else if (isExportsObject(left.object) && t.isIdentifier(left.property)) {
+                    const right = p.node.right;
+                    const localName = t.isIdentifier(right) ? right.name : left.property.name;
+                    commonJsExports.push({ exportedAs: left.property.name, localName, loc: p.node.loc });
+                }
+            },
+            'FunctionDeclaration|ArrowFunctionExpression|FunctionExpression|ObjectMethod|ClassMethod|ClassPrivateMethod'(p) {
+                let name = null;
+                let isApi = false;
+                let nodeId = null;
+                let parameters = [];
+                let returnType = 'any'; // Placeholder for inferred return type
+                let isAsync = p.node.async;
+                // Line span of the function, used to map git diff hunks onto nodes
+                const startLine = p.node.loc?.start.line;
+                const endLine = p.node.loc?.end.line;
+
+                // Class methods and function-valued class properties are named `ClassName.method`
+                let classMember = null;
+                const memberPath = t.isClassMethod(p.node) || t.isClassPrivateMethod(p.node) ? p
+                    : (t.isClassProperty(p.parent) || t.isClassPrivateProperty(p.parent)) && p.parent.value === p.node ? p.parentPath : null;
+                if (memberPath) {
+                    const key = memberPath.node.key;
+                    const methodName = t.isIdentifier(key) ? key.name : t.isPrivateName(key) ? `#${key.id.name}` : null;
+                    const className = getClassName(memberPath.parentPath.parentPath, fullPath);
+                    if (methodName && className) classMember = { className, methodName };
+                }
+
+                const inlineRoute = inlineRouteHandlers.get(p.node);
+                if (classMember) {
+                    name = `${classMember.className}.${classMember.methodName}`;
+                } else if (t.isFunctionDeclaration(p.node) && p.node.id) {
+                    name = p.node.id.name;
+                } else if (t.isVariableDeclarator(p.parentPath.node) && t.isIdentifier(p.parentPath.node.id)) {
+                    name = p.parentPath.node.id.name;
+                } else if (t.isExportDefaultDeclaration(p.parentPath.node)) {
+                    // Fallback to filename for default exports (common in React components)
+                    name = (t.isFunctionDeclaration(p.node) && p.node.id) ? p.node.id.name : path.basename(fullPath, path.extname(fullPath));
+                } else if (t.isObjectProperty(p.parentPath.node) && t.isIdentifier(p.parentPath.node.key)) {
+                    name = p.parentPath.node.key.name;
+                } else if (t.isObjectMethod(p.node) && t.isIdentifier(p.node.key)) {
+                    name = p.node.key.name;
+                } else if ((t.isClassMethod(p.node) || t.isClassPrivateMethod(p.node)) && t.isIdentifier(p.node.key)) {
+                    name = p.node.key.name;
+                }
+
+                parameters = p.node.params.map(param => {
+                    if (t.isIdentifier(param)) return param.name;
+                    if (t.isAssignmentPattern(param) && t.isIdentifier(param.left)) return param.left.name;
+                    if (t.isRestElement(param) && t.isIdentifier(param.argument)) return `...${param.argument.name}`;
+                    if (t.isObjectPattern(param)) {
+                        // Handle destructured props in React: ({ id, name })
+                        return param.properties.map(prop => {
+                            if (t.isObjectProperty(prop) && t.isIdentifier(prop.key)) return prop.key.name;
+                            return 'destructured';
+                        }).join(', ');
+                    }
+                    return 'unknown';
+                });
+
+                const route = fileRoute;
+                if (name && route) {
+                    // Check if function name matches common HTTP methods for API routes. Next.js App Router `route.ts`
+                    // and SvelteKit `+server.ts` files export them in upper case (a `Post` page component is not a handler).
+                    isApi = isNextRouteFile ? isAppRouterFile && routeFileName === 'route' && ROUTE_HANDLER_METHODS.includes(name)
+                        : isSvelteKitRouteFile ? routeFileName === '+server' && ROUTE_HANDLER_METHODS.includes(name)
+                        : ROUTE_HANDLER_METHODS.includes(name.toUpperCase());
+                }
+
+                if (inlineRoute) {
+                    // Inline router handler; renamed to `METHOD /full/route` once router mounts are composed
+                    nodeId = `${relPath}::${inlineRoute.method.toUpperCase()} ${inlineRoute.path}@${startLine}:${p.node.loc?.start.column}`;
+                    inlineRoute.provisionalNodeId = nodeId;
+                    graph.nodes[nodeId] = {
+                        type: "api",
+                        name: inlineRoute.method.toUpperCase(),
+                        file: relPath,
+                        route: inlineRoute.path,
+                        zone: fileZone,
+                        parameters,
+                        returnType,
+                        isAsync,
+                        startLine,
+                        endLine
+                    };
+                } else if (isApi) {
+                    nodeId = `${name.toUpperCase()} ${route}`;
+                    graph.nodes[nodeId] = {
+                        type: "api",
+                        name: name.toUpperCase(),
+                        file: relPath,
+                        route: route,
+                        zone: fileZone,
+                        parameters,
+                        returnType,
+                        isAsync,
+                        startLine,
+                        endLine
+                    };
+                } else if (name) {
+                    nodeId = `${relPath}::${name}`;
+                    graph.nodes[nodeId] = {
+                        type: "function",
+                        name,
+                        file: relPath,
+                        zone: fileZone,
+                        parameters,
+                        returnType,
+                        isAsync,
+                        startLine,
+                        endLine,
+                        ...classMember
+                    };
+                    const classNode = classMember && graph.nodes[`${relPath}::${classMember.className}`];
+                    if (classNode?.type === "class") {
+                        classNode.methods.push(classMember.methodName);
+                        graph.edges.push({ from: `${relPath}::${classMember.className}`, to: nodeId, type: "structural", kind: "class_member" });
+                    }
+                } else {
+                    const parent = p.parentPath.node;
+                    if (t.isAssignmentExpression(parent) && t.isMemberExpression(parent.left) && t.isIdentifier(parent.left.property)) {
+                        // `module.exports = function () {}` is a default export, named after the file like `export default`
+                        const isModuleExports = t.isIdentifier(parent.left.object, { name: 'module' }) && parent.left.property.name === 'exports';
+                        name = isModuleExports ? path.basename(fullPath, path.extname(fullPath)) : parent.left.property.name;
+                        nodeId = `${relPath}::${name}`;
+                        graph.nodes[nodeId] = {
+                            type: "function",
+                            name,
+                            file: relPath,
+                            zone: fileZone,
+                            parameters,
+                            returnType,
+                            isAsync,
+                            startLine,
+                            endLine
+                        };
+                    } else {
+                        return;
+                    }
+                }
+
+                graph.edges.push({ from: relPath, to: nodeId, type: "structural" });
+                graphFunctionNodes.add(p.node);
+                // Inline server actions (`async function save() { "use server"; ... }`)
+                if (p.node.body.directives?.some(directive => directive.value.value === 'use server')) serverActions.set(name, nodeId);
+                // Functions receiving an app/router (Fastify plugins, `module.exports = (app) => {...}`) can be mounted by reference
+                if (t.isIdentifier(p.node.params[0]) && ROUTER_NAME_REGEX.test(p.node.params[0].name)) {
+                    pluginNodeIds.set(getPluginRouterKey(relPath, p.node), nodeId);
+                }
+
+                p.traverse({
+                    CallExpression(innerP) {
+                        linkCall(nodeId, innerP);
+                    },
+                    NewExpression(innerP) {
+                        if (!t.isIdentifier(innerP.node.callee)) return;
+                        const className = innerP.node.callee.name;
+                        // Built-in classes (`new Error()`, `new Map()`) have no binding and are not graph nodes
+                        const binding = describeCalleeBinding(innerP.scope, className);
+                        if (!binding) return;
+
+                        const edge = { from: nodeId, to: className, type: "dependency", kind: "instantiation", callPath: innerP.node.loc };
+                        graph.edges.push(edge);
+                        pendingCallEdges.push({ edge, relPath, binding: { ...binding, construct: true } });
+                    },
+                    JSXOpeningElement(innerP) {
+                        let componentName = null;
+                        let binding = null;
+                        const elementName = innerP.node.name;
+                        if (t.isJSXIdentifier(elementName)) {
+                            componentName = elementName.name;
+                            binding = describeCalleeBinding(innerP.scope, componentName);
+                        } else if (t.isJSXMemberExpression(elementName)) {
+                            if (t.isJSXIdentifier(elementName.property)) {
+                                componentName = elementName.property.name;
+                                if (t.isJSXIdentifier(elementName.object)) binding = describeCalleeBinding(innerP.scope, elementName.object.name, componentName);
+                            }
+                        }
+
+                        if (componentName) {
+                            const edge = { from: nodeId, to: componentName, type: "dependency", kind: "jsx_component", callPath: innerP.node.loc };
+                            graph.edges.push(edge);
+                            pendingCallEdges.push({ edge, relPath, binding });
+                        }
+                    }
+                });
+            }
+        });
+
+        for (const { exportedAs, localName, loc } of commonJsExports) {
+            symbolTable.exports.set(exportedAs, { local: localName });
+            const localNodeId = `${relPath}::${localName}`;
+            graph.edges.push({ from: relPath, to: graph.nodes[localNodeId] ? localNodeId : localName, type: "structural", kind: "cjs_export", exportedAs, callPath: loc });
+        }
+
+        // Next.js server actions, SvelteKit `load` functions and form actions, and route handlers that are not
+        // declared as `export function GET` get an API node of their own, depending on the function that implements them
+        const addEntryNode = (apiNodeId, apiNode, handlerNodeId) => {
+            const handler = graph.nodes[handlerNodeId];
+            if (graph.nodes[apiNodeId] || !handler) return;
+            const { parameters, returnType, isAsync, startLine, endLine } = handler;
+            graph.nodes[apiNodeId] = { type: "api", ...apiNode, file: relPath, zone: fileZone, parameters, returnType, isAsync, startLine, endLine };
+            graph.edges.push({ from: relPath, to: apiNodeId, type: "structural" });
+            graph.edges.push({ from: apiNodeId, to: handlerNodeId, type: "dependency", kind: "route_handler", resolution: "binding" });
+        };
+        const exportedFunctionNodeId = exportedName => {
+            const local = symbolTable.exports.get(exportedName)?.local;
+            return local && graph.nodes[`${relPath}::${local}`]?.type === 'function' ? `${relPath}::${local}` : null;
+        };
+
+        // A file-level "use server" directive makes every exported function a server action
+        if (ast.program.directives.some(directive => directive.value.value === 'use server')) {
+            for (const exportedName of symbolTable.exports.keys()) {
+                const nodeId = exportedFunctionNodeId(exportedName);
+                if (nodeId) serverActions.set(exportedName === 'default' ? graph.nodes[nodeId].name : exportedName, nodeId);
+            }
+        }
+        for (const [actionName, nodeId] of serverActions) {
+            addEntryNode(`ACTION ${relPath}::${actionName}`, { name: "ACTION", route: `action:${actionName}`, isServerAction: true }, nodeId);
+        }
+
+        if (isNextRouteFile) {
+            const isPagesApiRoute = !isAppRouterFile && /^\/api(\/|$)/.test(fileRoute);
+            if (isAppRouterFile && routeFileName === 'route') {
+                // `export { handler as GET, handler as POST }`
+                ROUTE_HANDLER_METHODS.forEach(method => addEntryNode(`${method} ${fileRoute}`, { name: method, route: fileRoute }, exportedFunctionNodeId(method)));
+            } else if (isPagesApiRoute) {
+                // Pages Router API routes export one handler for every method
+                addEntryNode(`ALL ${fileRoute}`, { name: "ALL", route: fileRoute }, exportedFunctionNodeId('default'));
+            }
+            result.routeFile = { framework: 'nextjs', route: fileRoute, packageName, isPage: isAppRouterFile ? routeFileName === 'page' : !isPagesApiRoute };
+        }
+        if (NEXT_MIDDLEWARE_REGEX.test(packageRelPath)) {
+            result.nextMiddleware = { relPath, packageName, matchers: getMiddlewareMatchers(ast.program) };
+        }
+
+        if (isSvelteKitRouteFile) {
+            // `load` functions and form actions are entries of their route, like `+server.ts` handlers
+            const loadNodeId = /^\+(page|layout)/.test(routeFileName) && exportedFunctionNodeId('load');
+            if (loadNodeId) addEntryNode(`LOAD ${fileRoute} (${routeFileName})`, { name: "LOAD", route: fileRoute }, loadNodeId);
+            if (routeFileName === '+page.server') {
+                for (const action of getSvelteKitActions(ast.program)) {
+                    const actionRoute = action.name === 'default' ? fileRoute : `${fileRoute}?/${action.name}`;
+                    addEntryNode(`POST ${actionRoute}`, { name: "POST", route: actionRoute }, `${relPath}::${action.local}`);
+                }
+            }
+            result.routeFile = { framework: 'sveltekit', route: fileRoute, packageName, isPage: routeFileName === '+page' && isSvelteComponent };
+        }
+        if (SVELTEKIT_HOOKS_REGEX.test(packageRelPath)) {
+            // `export const handle = sequence(auth, logger)` runs each handler in turn
+            const handle = getExportedConstValue(ast.program, 'handle');
+            const sequenced = t.isCallExpression(handle) && t.isIdentifier(handle.callee, { name: 'sequence' }) ? handle.arguments.filter(arg => t.isIdentifier(arg)) : [];
+            result.svelteKitHooks = {
+                relPath,
+                packageName,
+                sequenced: sequenced.map(arg => ({ ...describeCalleeBinding(programScope, arg.name), name: arg.name, relPath }))
+            };
+        }
+
+        // Component tags and template calls in Svelte and Vue markup (`<UserCard>`, `{#await getUser(id)}`, `@click="save(user)"`)
+        if (componentNodeId) {
+            const linkMarkupUsage = (usage, name, kind) => {
+                // Names that are not script bindings may be Options API methods (`methods: { save() {} }`)
+                const binding = usage.object ? describeCalleeBinding(programScope, usage.object, name)
+                    : describeCalleeBinding(programScope, name) || (graph.nodes[`${relPath}::${name}`] ? { local: name } : null);
+                const edge = { from: componentNodeId, to: name, type: "dependency", kind, callPath: { start: usage.loc } };
+                graph.edges.push(edge);
+                pendingCallEdges.push({ edge, relPath, binding });
+            };
+            markup.components.forEach(component => linkMarkupUsage(component, component.name, "jsx_component"));
+            markup.calls.forEach(call => linkMarkupUsage(call, call.calleeName, "call"));
+        }
+    } catch (e) {
+        result.error = e.message;
+    }
+
+    // Plain data only: AST nodes are dropped from route items, and edges are referred to by index
+    const withoutAstNodes = items => items.map(({ inlineFunction, ...item }) => inlineFunction ? { ...item, inlineFunction: true } : item);
+    const edgeIndexes = new Map(graph.edges.map((edge, index) => [edge, index]));
+    result.symbolTable = {
+        exports: [...symbolTable.exports],
+        starSpecifiers: symbolTable.starSpecifiers,
+        importBindings: [...symbolTable.importBindings],
+        instances: [...symbolTable.instances]
+    };
+    result.pendingCalls = pendingCallEdges.map(({ edge, binding }) => ({ edgeIndex: edgeIndexes.get(edge), binding }));
+    result.routers = [...routers.values()].map(router => ({
+        ...router,
+        routes: router.routes.map(route => ({
+            ...route,
+            middleware: withoutAstNodes(route.middleware),
+            handlers: withoutAstNodes(route.handlers),
+            sharesHandlerOf: route.sharesHandlerOf ? { provisionalNodeId: route.sharesHandlerOf.provisionalNodeId } : null
+        })),
+        uses: router.uses.map(use => ({ ...use, items: withoutAstNodes(use.items) }))
+    }));
+    result.pluginNodeIds = [...pluginNodeIds];
+    return result;
+}
+
+/**
+ * Parses files in worker threads, handing each worker a batch of files at a time.
+ * @param {Array<{fileInfo: object, source: string}>} jobs The files to parse.
+ * @param {number} workerCount The number of worker threads.
+ * @returns {Promise<Array<object>>} The parse results, in the order of `jobs`.
+ */
+async function parseFilesInWorkers(jobs, workerCount) {
+    const results = new Array(jobs.length);
+    const workers = [];
+    let nextJob = 0;
+
+    const runWorker = () => new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./parseWorker.js', import.meta.url));
+        workers.push(worker);
+        let batchStart = 0;
+        const sendBatch = () => {
+            if (nextJob >= jobs.length) {
+                worker.terminate().then(() => resolve());
+                return;
+            }
+            batchStart = nextJob;
+            nextJob = Math.min(jobs.length, nextJob + WORKER_BATCH_SIZE);
+            worker.postMessage(jobs.slice(batchStart, nextJob));
+        };
+        worker.on('message', batchResults => {
+            batchResults.forEach((result, index) => { results[batchStart + index] = result; });
+            sendBatch();
+        });
+        worker.on('error', reject);
+        sendBatch();
+    });
+
+    try {
+        await Promise.all(Array.from({ length: workerCount }, runWorker));
+    } catch (error) {
+        await Promise.all(workers.map(worker => worker.terminate()));
+        throw error;
+    }
+    return results;
+}
+
+/**
+ * Parses a project to build a dependency graph. Parse results are cached on disk per file, keyed by the file's
+ * content and the parser options, so only changed files are parsed again. Large cold builds are parsed in worker threads.
  * @param {string} targetPath Absolute path to the project directory.
  * @param {'FAST' | 'FULL'} graphMode 'FAST' for basic resolution, 'FULL' for deeper traversal and re-export detection.
- * @returns {object} The dependency graph.
+ * @param {{cache?: boolean, cacheDir?: string, workers?: number, parseResults?: Map, config?: object}} [options] `cache: false` disables
+ *   the parse cache, `cacheDir` moves it (default: `node_modules/.cache/impactradar` in the project), and `workers` sets
+ *   the number of parse worker threads (0 or 1 parses in the main thread). A long-running caller passes the same
+ *   `parseResults` map to every build: it keeps the parse results in memory between builds instead of reading the disk cache.
+ *   `config` is the project config of loadProjectConfig, whose zone rules and ignore globs apply.
+ * @returns {Promise<object>} The dependency graph.
  */
-export function parseToGraph(targetPath, graphMode = 'FAST') {
+export async function parseToGraph(targetPath, graphMode = 'FAST', options = {}) {
     const graph = {
         nodes: {},
         edges: [],
@@ -188,27 +1408,53 @@ export function parseToGraph(targetPath, graphMode = 'FAST') {
             resolved_imports: 0,
             max_depth_detected: 0,
             indirect_nodes_found: 0,
-            analysis_limit_reached: false
+            analysis_limit_reached: false,
+            alias_config_sources: [],
+            alias_resolution: {},
+            workspace_config_sources: [],
+            workspace_packages: []
         }
     };
     const projectRoot = path.resolve(targetPath);
+    const projectConfig = options.config || getDefaultProjectConfig();
+    const workspaces = loadWorkspaces(projectRoot);
+    graph.metadata.workspace_config_sources = workspaces.sources;
+    graph.metadata.workspace_packages = workspaces.packages.map(pkg => ({ name: pkg.name, dir: pkg.relDir }));
+    // Each workspace package resolves its imports with its own aliases (tsconfig paths, `#imports`...), read once per package
+    const rootAliasConfig = loadAliasConfig(projectRoot);
+    const aliasConfigs = new Map([[projectRoot, rootAliasConfig]]);
+    for (const pkg of workspaces.packages) aliasConfigs.set(pkg.dir, loadAliasConfig(projectRoot, pkg.dir, rootAliasConfig));
+    graph.metadata.alias_config_sources = [...new Set([...aliasConfigs.values()].flatMap(aliasConfig => aliasConfig.sources))];
+    const getAliasConfig = filePath => aliasConfigs.get(getOwningPackage(filePath, workspaces)?.dir || projectRoot);
 
     const allProjectFiles = new Set();
     const fileToRelPathMap = new Map(); // Map absolute path to relative path
     const processedFiles = new Set(); // To prevent infinite loops in FULL mode
+    // Per-file symbol tables (exports and resolved import specifiers), used to resolve call edges to their real nodes
+    const symbolTables = new Map();
+    const pendingCallEdges = [];
+    // Express/Koa/Fastify routers (key -> routes and mounts), composed into API nodes once every file is parsed
+    const routers = new Map();
+    const pluginNodeIds = new Map(); // plugin router key -> node ID of the function receiving the router
+    // Next.js/SvelteKit route files (relPath -> { framework, route, packageName, isPage }), Next.js middleware and
+    // SvelteKit hooks files, linked once every file is parsed
+    const routeFiles = new Map();
+    const nextMiddlewares = [];
+    const svelteKitHooks = [];
 
     function collectFiles(dir) {
         const files = fs.readdirSync(dir, { withFileTypes: true });
         for (const file of files) {
             const fullPath = path.join(dir, file.name);
             // FIX: Add '.svelte-kit' to the exclusion list to avoid parsing generated files
-            if (file.isDirectory() && ['node_modules', '.git', 'dist', '.svelte-kit'].includes(file.name)) {
+            if (file.isDirectory() && IGNORED_DIRECTORIES.includes(file.name)) {
                 continue;
             }
+            if (isIgnoredByConfig(projectConfig, path.relative(projectRoot, fullPath))) continue;
             if (file.isDirectory()) {
                 collectFiles(fullPath); continue;
             }
-            if (!file.name.match(/\.(js|ts|jsx|tsx|svelte|mjs|cjs)$/)) continue;
+            if (!file.name.match(/\.(js|ts|jsx|tsx|svelte|vue|mjs|cjs)$/)) continue;
 
             allProjectFiles.add(fullPath);
             fileToRelPathMap.set(fullPath, path.relative(projectRoot, fullPath));
@@ -216,242 +1462,506 @@ export function parseToGraph(targetPath, graphMode = 'FAST') {
     }
     collectFiles(projectRoot);
 
-    // Recursive function to process files and their imports
-    function processFile(fullPath) {
+    // Parse every file, reusing the cached results of files that did not change
+    const parseStart = performance.now();
+    const useCache = options.cache !== false;
+    const cacheDir = options.cacheDir ? path.resolve(options.cacheDir) : getDefaultCacheDir(projectRoot);
+    const fingerprint = getParserFingerprint(PARSER_OPTIONS);
+    const memoryCache = options.parseResults;
+    const cachedEntries = memoryCache?.size > 0 ? new Map(memoryCache) : useCache ? loadParseCache(cacheDir, fingerprint) : new Map();
+    const cacheEntries = new Map(); // relative path -> { hash, result }, the cache after this run
+    const parsedFiles = new Map(); // absolute path -> parse result
+    const misses = [];
+    for (const fullPath of allProjectFiles) {
+        // Inside a workspace package, zones and routes are derived from the path within the package (e.g. `src/services` in `apps/api`)
+        const owningPackage = getOwningPackage(fullPath, workspaces);
+        const packageRoot = owningPackage?.dir || projectRoot;
+        const fileInfo = {
+            fullPath,
+            relPath: fileToRelPathMap.get(fullPath),
+            zone: getConfiguredZone(projectConfig, fileToRelPathMap.get(fullPath)) || getArchitecturalZone(fullPath, packageRoot),
+            packageRelPath: path.relative(packageRoot, fullPath).replace(/\\/g, '/'),
+            fileRoute: getRouteInfo(fullPath, packageRoot), // Routes are relative to the workspace package, if any
+            packageName: owningPackage?.name
+        };
+
+        let source;
+        try {
+            source = fs.readFileSync(fullPath, 'utf-8');
+        } catch (e) {
+            parsedFiles.set(fullPath, { ...parseFile(fileInfo, ''), error: e.message });
+            continue;
+        }
+        const hash = hashParseInput(fileInfo, source);
+        const cached = cachedEntries.get(fileInfo.relPath);
+        if (cached?.hash === hash) {
+            // Linking below updates the results in place: results kept in memory are only ever handed out as copies
+            parsedFiles.set(fullPath, memoryCache ? structuredClone(cached.result) : cached.result);
+            cacheEntries.set(fileInfo.relPath, cached);
+        } else {
+            misses.push({ fileInfo, source, hash });
+        }
+    }
+
+    const workerCount = options.workers ?? Math.min(os.availableParallelism(), Math.floor(misses.length / MIN_FILES_PER_WORKER));
+    let workerResults = null;
+    if (workerCount >= 2 && misses.length > 0) {
+        try {
+            workerResults = await parseFilesInWorkers(misses.map(({ fileInfo, source }) => ({ fileInfo, source })), workerCount);
+        } catch (error) {
+            console.warn(`Warning: Parsing in worker threads failed (${error.message}); parsing in the main thread instead.`);
+        }
+    }
+    misses.forEach(({ fileInfo, source, hash }, index) => {
+        const result = workerResults ? workerResults[index] : parseFile(fileInfo, source);
+        parsedFiles.set(fileInfo.fullPath, result);
+        cacheEntries.set(fileInfo.relPath, { hash, result });
+    });
+    // Saved before the results are linked below, which updates their edges in place
+    if (useCache && (misses.length > 0 || cacheEntries.size !== cachedEntries.size)) {
+        saveParseCache(cacheDir, fingerprint, cacheEntries);
+    }
+    if (memoryCache) {
+        memoryCache.clear();
+        cacheEntries.forEach((entry, relPath) => memoryCache.set(relPath, entry));
+        misses.forEach(({ fileInfo, hash }) => memoryCache.set(fileInfo.relPath, { hash, result: structuredClone(parsedFiles.get(fileInfo.fullPath)) }));
+    }
+    graph.metadata.parse_cache = {
+        enabled: useCache,
+        dir: useCache ? path.relative(projectRoot, cacheDir) || '.' : null,
+        hits: allProjectFiles.size - misses.length,
+        misses: misses.length
+    };
+    graph.metadata.parse_workers = workerResults ? workerCount : 0;
+    graph.metadata.parse_time_ms = Math.round(performance.now() - parseStart);
+
+    /**
+     * Resolves a module specifier imported by a file and records the dependency edge for it.
+     * Unresolved specifiers (node_modules or external) get a `<kind>_external` edge.
+     * @param {string} fullPath The absolute path of the importing file.
+     * @param {object} symbolTable The importing file's symbol table.
+     * @param {string} importedModule The module specifier.
+     * @param {string} kind The edge kind (e.g. "import", "require", "re_export").
+     */
+    function linkModule(fullPath, symbolTable, importedModule, kind) {
+        const relPath = fileToRelPathMap.get(fullPath);
+        graph.metadata.total_imports++;
+        const resolvedAbsPath = resolveImportPath(fullPath, importedModule, allProjectFiles, projectRoot, getAliasConfig(fullPath), graph.metadata.alias_resolution, workspaces);
+
+        if (resolvedAbsPath) {
+            const relResolvedPath = fileToRelPathMap.get(resolvedAbsPath);
+            if (relResolvedPath) {
+                graph.metadata.resolved_imports++;
+                symbolTable.resolvedSpecifiers.set(importedModule, relResolvedPath);
+                graph.edges.push({ from: relPath, to: relResolvedPath, type: "dependency", kind });
+                // For FULL mode, recursively process imported files
+                if (graphMode === 'FULL' && !processedFiles.has(resolvedAbsPath)) {
+                    addParsedFile(resolvedAbsPath);
+                }
+            }
+        } else {
+            // Could not resolve to any known project file (likely node_module or external)
+            graph.edges.push({ from: relPath, to: importedModule, type: "dependency", kind: `${kind}_external` });
+        }
+    }
+
+    /**
+     * Links a dynamic import whose specifier is a template string (e.g. import(`./locales/${lang}.js`)).
+     * Every project file the template could match gets a low-confidence edge.
+     * @param {string} fullPath The absolute path of the importing file.
+     * @param {Array<string>} quasis The template's static parts.
+     */
+    function linkTemplateImport(fullPath, quasis) {
+        const relPath = fileToRelPathMap.get(fullPath);
+        graph.metadata.total_imports++;
+        const pattern = quasis.join('${…}');
+        const matches = [];
+
+        if (quasis[0].startsWith('.')) {
+            const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const absolutePrefix = path.join(path.dirname(fullPath), quasis[0]);
+            const extensionPattern = `(${EXTENSIONS.map(escapeRegex).join('|')})?`;
+            const templateRegex = new RegExp('^' + escapeRegex(absolutePrefix) + quasis.slice(1).map(q => '.+' + escapeRegex(q)).join('') + extensionPattern + '$');
+            for (const candidate of allProjectFiles) {
+                if (candidate !== fullPath && templateRegex.test(candidate)) matches.push(candidate);
+            }
+        }
+
+        if (matches.length === 0) {
+            graph.edges.push({ from: relPath, to: pattern, type: "dependency", kind: "dynamic_import_template_external", confidence: "low", pattern });
+            return;
+        }
+        graph.metadata.resolved_imports++;
+        for (const match of matches) {
+            graph.edges.push({ from: relPath, to: fileToRelPathMap.get(match), type: "dependency", kind: "dynamic_import_template", confidence: "low", pattern });
+            if (graphMode === 'FULL' && !processedFiles.has(match)) {
+                addParsedFile(match);
+            }
+        }
+    }
+
+    /**
+     * Adds a parsed file to the graph: its nodes and edges, with its imports resolved to project files, and what
+     * it contributes to the linking passes below (symbol table, call edges, routers, route files, middleware).
+     * @param {string} fullPath The absolute path of the file.
+     */
+    function addParsedFile(fullPath) {
         if (processedFiles.has(fullPath)) return;
         processedFiles.add(fullPath);
 
         const relPath = fileToRelPathMap.get(fullPath);
-        if (!relPath) { // File exists but isn't in our initial project file list (e.g., dynamically discovered)
-            fileToRelPathMap.set(fullPath, path.relative(projectRoot, fullPath));
-            allProjectFiles.add(fullPath);
+        const result = parsedFiles.get(fullPath);
+        graph.metadata.total_files++;
+        if (result.error) {
+            console.warn(`Warning: Error parsing ${fullPath}: ${result.error}`);
+            graph.metadata.unresolved_files++;
         }
 
-        graph.metadata.total_files++;
-        graph.nodes[relPath] = { type: "module", id: relPath, zone: getArchitecturalZone(fullPath, projectRoot) };
+        const symbolTable = {
+            exports: new Map(result.symbolTable.exports),
+            starSpecifiers: result.symbolTable.starSpecifiers,
+            resolvedSpecifiers: new Map(), // import specifier -> resolved relative path
+            importBindings: new Map(result.symbolTable.importBindings),
+            instances: new Map(result.symbolTable.instances)
+        };
+        symbolTables.set(relPath, symbolTable);
 
-        try {
-            let code = fs.readFileSync(fullPath, 'utf-8');
-
-            // If it's a Svelte file, extract only the script content for Babel parsing
-            if (fullPath.endsWith('.svelte')) {
-                code = extractScriptContent(code);
-                if (!code.trim()) {
-                    // If no script content, there's nothing to analyze for imports/functions
-                    return; // Skip Babel parsing for this Svelte file
-                }
+        Object.assign(graph.nodes, result.graph.nodes);
+        for (const edge of result.graph.edges) {
+            if (edge.importRef === undefined) {
+                graph.edges.push(edge);
+                continue;
             }
+            const imported = result.imports[edge.importRef];
+            if (imported.quasis) linkTemplateImport(fullPath, imported.quasis);
+            else linkModule(fullPath, symbolTable, imported.specifier, imported.kind);
+        }
 
-            const ast = parser.parse(code, {
-                sourceType: 'module',
-                plugins: ['jsx', 'typescript', 'decorators-legacy', 'importAssertions', 'dynamicImport', 'classProperties', 'optionalChaining', 'nullishCoalescingOperator']
-            });
-
-            babelTraverse(ast, {
-                ImportDeclaration(p) {
-                    graph.metadata.total_imports++;
-                    const importedModule = p.node.source.value;
-                    const resolvedAbsPath = resolveImportPath(fullPath, importedModule, allProjectFiles, projectRoot);
-
-                    if (resolvedAbsPath) {
-                        const relResolvedPath = fileToRelPathMap.get(resolvedAbsPath);
-                        if (relResolvedPath) {
-                            graph.metadata.resolved_imports++;
-                            graph.edges.push({ from: relPath, to: relResolvedPath, type: "dependency", kind: "import" });
-                            // For FULL mode, recursively process imported files
-                            if (graphMode === 'FULL' && !processedFiles.has(resolvedAbsPath)) {
-                                processFile(resolvedAbsPath);
-                            }
-                        }
-                    } else {
-                        // Could not resolve to any known project file (likely node_module or external)
-                        graph.edges.push({ from: relPath, to: importedModule, type: "dependency", kind: "import_external" });
-                    }
-                },
-                ExportNamedDeclaration(p) { // Handle re-exports (e.g., `export { A } from './b'`)
-                    if (p.node.source) {
-                        graph.metadata.total_imports++; // Treat as an import for resolution purposes
-                        const reExportedModule = p.node.source.value;
-                        const resolvedAbsPath = resolveImportPath(fullPath, reExportedModule, allProjectFiles, projectRoot);
-
-                        if (resolvedAbsPath) {
-                            const relResolvedPath = fileToRelPathMap.get(resolvedAbsPath);
-                            if (relResolvedPath) {
-                                graph.metadata.resolved_imports++;
-                                graph.edges.push({ from: relPath, to: relResolvedPath, type: "dependency", kind: "re_export" });
-                                if (graphMode === 'FULL' && !processedFiles.has(resolvedAbsPath)) {
-                                    processFile(resolvedAbsPath);
-                                }
-                            }
-                        } else {
-                            graph.edges.push({ from: relPath, to: reExportedModule, type: "dependency", kind: "re_export_external" });
-                        }
-                    }
-                },
-                ExportAllDeclaration(p) { // Handle barrel exports (e.g., `export * from './b'`)
-                    if (p.node.source) {
-                        graph.metadata.total_imports++; // Treat as an import for resolution purposes
-                        const barrelModule = p.node.source.value;
-                        const resolvedAbsPath = resolveImportPath(fullPath, barrelModule, allProjectFiles, projectRoot);
-
-                        if (resolvedAbsPath) {
-                            const relResolvedPath = fileToRelPathMap.get(resolvedAbsPath);
-                            if (relResolvedPath) {
-                                graph.metadata.resolved_imports++;
-                                graph.edges.push({ from: relPath, to: relResolvedPath, type: "dependency", kind: "barrel_export" });
-                                if (graphMode === 'FULL' && !processedFiles.has(resolvedAbsPath)) {
-                                    processFile(resolvedAbsPath);
-                                }
-                            }
-                        } else {
-                            graph.edges.push({ from: relPath, to: barrelModule, type: "dependency", kind: "barrel_export_external" });
-                        }
-                    }
-                },
-                'FunctionDeclaration|ArrowFunctionExpression|FunctionExpression|ObjectMethod|ClassMethod|ClassPrivateMethod'(p) {
-                    let name = null;
-                    let isApi = false;
-                    let nodeId = null;
-                    let parameters = [];
-                    let returnType = 'any'; // Placeholder for inferred return type
-                    let isAsync = p.node.async;
-
-                    if (t.isFunctionDeclaration(p.node) && p.node.id) {
-                        name = p.node.id.name;
-                    } else if (t.isVariableDeclarator(p.parentPath.node) && t.isIdentifier(p.parentPath.node.id)) {
-                        name = p.parentPath.node.id.name;
-                    } else if (t.isExportDefaultDeclaration(p.parentPath.node)) {
-                        // Fallback to filename for default exports (common in React components)
-                        name = (t.isFunctionDeclaration(p.node) && p.node.id) ? p.node.id.name : path.basename(fullPath, path.extname(fullPath));
-                    } else if (t.isObjectProperty(p.parentPath.node) && t.isIdentifier(p.parentPath.node.key)) {
-                        name = p.parentPath.node.key.name;
-                    } else if (t.isObjectMethod(p.node) && t.isIdentifier(p.node.key)) {
-                        name = p.node.key.name;
-                    } else if ((t.isClassMethod(p.node) || t.isClassPrivateMethod(p.node)) && t.isIdentifier(p.node.key)) {
-                        name = p.node.key.name;
-                    }
+        result.pendingCalls.forEach(({ edgeIndex, binding }) => pendingCallEdges.push({ edge: result.graph.edges[edgeIndex], relPath, binding }));
+        result.routers.forEach(router => routers.set(router.key, router));
+        result.pluginNodeIds.forEach(([key, nodeId]) => pluginNodeIds.set(key, nodeId));
+        if (result.routeFile) routeFiles.set(relPath, result.routeFile);
+        if (result.nextMiddleware) nextMiddlewares.push(result.nextMiddleware);
+        if (result.svelteKitHooks) svelteKitHooks.push(result.svelteKitHooks);
+    }
 
-                    parameters = p.node.params.map(param => {
-                        if (t.isIdentifier(param)) return param.name;
-                        if (t.isAssignmentPattern(param) && t.isIdentifier(param.left)) return param.left.name;
-                        if (t.isRestElement(param) && t.isIdentifier(param.argument)) return `...${param.argument.name}`;
-                        if (t.isObjectPattern(param)) {
-                            // Handle destructured props in React: ({ id, name })
-                            return param.properties.map(prop => {
-                                if (t.isObjectProperty(prop) && t.isIdentifier(prop.key)) return prop.key.name;
-                                return 'destructured';
-                            }).join(', ');
-                        }
-                        return 'unknown';
-                    });
+    // Start processing from all initially collected files
+    for (const filePath of allProjectFiles) {
+        addParsedFile(filePath);
+    }
 
-                    const route = getRouteInfo(fullPath, projectRoot); // Pass projectRoot
-                    if (name && route) {
-                        // Check if function name matches common HTTP methods for API routes
-                        isApi = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'].includes(name.toUpperCase());
-                    }
+    /**
+     * Returns the class a resolved symbol refers to, either the class itself or an instance of it.
+     * @param {string|{instanceOf: string}|null} resolved A node ID or an instance reference.
+     * @returns {string|null} The class node ID.
+     */
+    function getClassNodeId(resolved) {
+        if (typeof resolved === 'string') return graph.nodes[resolved]?.type === 'class' ? resolved : null;
+        return resolved?.instanceOf || null;
+    }
 
-                    if (isApi) {
-                        nodeId = `${name.toUpperCase()} ${route}`;
-                        graph.nodes[nodeId] = {
-                            type: "api",
-                            name: name.toUpperCase(),
-                            file: relPath,
-                            route: route,
-                            zone: getArchitecturalZone(fullPath, projectRoot), // Pass projectRoot
-                            parameters,
-                            returnType,
-                            isAsync
-                        };
-                    } else if (name) {
-                        nodeId = `${relPath}::${name}`;
-                        graph.nodes[nodeId] = {
-                            type: "function",
-                            name,
-                            file: relPath,
-                            zone: getArchitecturalZone(fullPath, projectRoot), // Pass projectRoot
-                            parameters,
-                            returnType,
-                            isAsync
-                        };
-                    } else {
-                        const parent = p.parentPath.node;
-                        if (t.isAssignmentExpression(parent) && t.isMemberExpression(parent.left) && t.isIdentifier(parent.left.property)) {
-                            name = parent.left.property.name;
-                            nodeId = `${relPath}::${name}`;
-                            graph.nodes[nodeId] = {
-                                type: "function",
-                                name,
-                                file: relPath,
-                                zone: getArchitecturalZone(fullPath, projectRoot), // Pass projectRoot
-                                parameters,
-                                returnType,
-                                isAsync
-                            };
-                        } else {
-                            return;
-                        }
-                    }
+    /**
+     * Resolves a name declared or imported in a file to the node it refers to.
+     * @param {string} fileRelPath The file the name is used in.
+     * @param {string} name The local name.
+     * @param {Set<string>} seen Visited file/name pairs, to break re-export cycles.
+     * @returns {string|{instanceOf: string}|{router: string}|null} A node ID, an instance of a class node, a router, or null.
+     */
+    function resolveLocalSymbol(fileRelPath, name, seen = new Set()) {
+        const table = symbolTables.get(fileRelPath);
+        if (!table) return null;
 
-                    graph.edges.push({ from: relPath, to: nodeId, type: "structural" });
+        if (routers.has(`${fileRelPath}#${name}`)) return { router: `${fileRelPath}#${name}` };
+        if (table.instances.has(name)) {
+            const classNodeId = getClassNodeId(resolveLocalSymbol(fileRelPath, table.instances.get(name), seen));
+            return classNodeId ? { instanceOf: classNodeId } : null;
+        }
+        const localNodeId = `${fileRelPath}::${name}`;
+        if (graph.nodes[localNodeId]) return localNodeId;
 
-                    p.traverse({
-                        CallExpression(innerP) {
-                            let calleeName = null;
-                            if (t.isIdentifier(innerP.node.callee)) {
-                                calleeName = innerP.node.callee.name;
-                            } else if (t.isMemberExpression(innerP.node.callee) && t.isIdentifier(innerP.node.callee.property)) {
-                                calleeName = innerP.node.callee.property.name;
-                            }
+        const imported = table.importBindings.get(name);
+        const sourceRelPath = imported && table.resolvedSpecifiers.get(imported.specifier);
+        return sourceRelPath ? resolveExportedNode(sourceRelPath, imported.imported, seen) : null;
+    }
 
-                            if (calleeName) {
-                                // Add a call edge. For FULL mode, we might want to resolve this calleeName to a nodeId.
-                                // This would require a symbol table or more advanced data flow.
-                                // For now, we add the raw name.
-                                graph.edges.push({ from: nodeId, to: calleeName, type: "dependency", kind: "call", callPath: innerP.node.loc });
-                            }
-                        },
-                        JSXOpeningElement(innerP) {
-                            let componentName = null;
-                            if (t.isJSXIdentifier(innerP.node.name)) {
-                                componentName = innerP.node.name.name;
-                            } else if (t.isJSXMemberExpression(innerP.node.name)) {
-                                if (t.isJSXIdentifier(innerP.node.name.property)) {
-                                    componentName = innerP.node.name.property.name;
-                                }
-                            }
+    /**
+     * Follows a file's exports (including re-export chains through barrel files) to the node that defines them.
+     * @param {string} fileRelPath The exporting file.
+     * @param {string} exportedName The exported name ("default" for default exports).
+     * @param {Set<string>} seen Visited file/name pairs, to break re-export cycles.
+     * @returns {string|{instanceOf: string}|null} A node ID, an instance of a class node, or null if the export cannot be traced.
+     */
+    function resolveExportedNode(fileRelPath, exportedName, seen = new Set()) {
+        const visitKey = `${fileRelPath}#${exportedName}`;
+        if (seen.has(visitKey)) return null;
+        seen.add(visitKey);
 
-                            if (componentName) {
-                                graph.edges.push({ from: nodeId, to: componentName, type: "dependency", kind: "jsx_component", callPath: innerP.node.loc });
-                            }
-                        }
-                    });
-                }
-            });
-        } catch (e) {
-            console.warn(`Warning: Error parsing ${fullPath}: ${e.message}`);
-            graph.metadata.unresolved_files++;
+        const table = symbolTables.get(fileRelPath);
+        if (!table || exportedName === '*') return null;
+
+        const entry = table.exports.get(exportedName);
+        if (entry?.local) return resolveLocalSymbol(fileRelPath, entry.local, seen);
+        if (entry?.instanceOf) {
+            const classNodeId = getClassNodeId(resolveLocalSymbol(fileRelPath, entry.instanceOf, seen));
+            return classNodeId ? { instanceOf: classNodeId } : null;
+        }
+        if (entry?.specifier) {
+            const sourceRelPath = table.resolvedSpecifiers.get(entry.specifier);
+            return sourceRelPath ? resolveExportedNode(sourceRelPath, entry.imported, seen) : null;
+        }
+        if (exportedName !== 'default') {
+            for (const starSpecifier of table.starSpecifiers) {
+                const sourceRelPath = table.resolvedSpecifiers.get(starSpecifier);
+                const resolved = sourceRelPath && resolveExportedNode(sourceRelPath, exportedName, seen);
+                if (resolved) return resolved;
+            }
         }
+        return null;
     }
 
-    // Start processing from all initially collected files
-    for (const filePath of allProjectFiles) {
-        processFile(filePath);
+    /**
+     * Looks up a method on a class node, walking up the `extends` chain.
+     * @param {string} classNodeId The class node ID.
+     * @param {string} methodName The method name.
+     * @param {Set<string>} seen Visited classes, to break inheritance cycles.
+     * @returns {string|null} The method node ID.
+     */
+    function resolveClassMethod(classNodeId, methodName, seen = new Set()) {
+        if (seen.has(classNodeId)) return null;
+        seen.add(classNodeId);
+
+        const methodNodeId = `${classNodeId}.${methodName}`;
+        if (graph.nodes[methodNodeId]) return methodNodeId;
+
+        const classNode = graph.nodes[classNodeId];
+        const superClassNodeId = classNode.superClass && getClassNodeId(resolveLocalSymbol(classNode.file, classNode.superClass));
+        return superClassNodeId ? resolveClassMethod(superClassNodeId, methodName, seen) : null;
+    }
+
+    /**
+     * Resolves a call site's binding description (see describeCalleeBinding) to the called node.
+     * @param {string} fileRelPath The file containing the call.
+     * @param {object} binding The binding description.
+     * @returns {string|null} The called node ID.
+     */
+    function resolveCallBinding(fileRelPath, binding) {
+        const sourceRelPath = binding.specifier ? symbolTables.get(fileRelPath)?.resolvedSpecifiers.get(binding.specifier) : null;
+        let resolved = null;
+        if (binding.typeName) resolved = resolveLocalSymbol(fileRelPath, binding.typeName);
+        else if (binding.local) resolved = resolveLocalSymbol(fileRelPath, binding.local);
+        else if (sourceRelPath) resolved = resolveExportedNode(sourceRelPath, binding.imported);
+
+        // `<AuthContext.Provider>` and `<AuthContext.Consumer>` render the context itself
+        if (typeof resolved === 'string' && graph.nodes[resolved]?.type === 'context' && ['Provider', 'Consumer'].includes(binding.member)) return resolved;
+
+        const classNodeId = getClassNodeId(resolved);
+        if (binding.construct) {
+            return classNodeId ? resolveClassMethod(classNodeId, 'constructor') || classNodeId : null;
+        }
+        if (!binding.member) return typeof resolved === 'string' ? resolved : null;
+        if (classNodeId) return resolveClassMethod(classNodeId, binding.member);
+        // `const db = require('./db'); db.findUser()` calls a property of a CommonJS exports object
+        if (sourceRelPath && binding.imported === 'default') {
+            const exported = resolveExportedNode(sourceRelPath, binding.member);
+            return typeof exported === 'string' ? exported : null;
+        }
+        return null;
+    }
+
+    /**
+     * Resolves an item passed to `use()`/`register()` to the router it mounts, if it is one.
+     * @param {object} item A route item description (see describeRouteItems).
+     * @returns {string|null} The router key.
+     */
+    function resolveMountedRouter(item) {
+        if (item.inlineFunction) return routers.has(item.inlinePluginKey) ? item.inlinePluginKey : null;
+        if (item.member || item.typeName) return null;
+
+        let resolved = null;
+        if (item.local) {
+            resolved = resolveLocalSymbol(item.relPath, item.local);
+        } else if (item.specifier) {
+            const sourceRelPath = symbolTables.get(item.relPath)?.resolvedSpecifiers.get(item.specifier);
+            resolved = sourceRelPath ? resolveExportedNode(sourceRelPath, item.imported) : null;
+        }
+        if (resolved?.router) return resolved.router;
+        return typeof resolved === 'string' ? pluginRoutersByNodeId.get(resolved) || null : null;
+    }
+
+    const pluginRoutersByNodeId = new Map([...pluginNodeIds].filter(([key]) => routers.has(key)).map(([key, nodeId]) => [nodeId, key]));
+    const mountedRouters = new Set();
+    for (const router of routers.values()) {
+        for (const use of router.uses) {
+            const resolvedItems = use.items.map(item => ({ item, routerKey: resolveMountedRouter(item) }));
+            use.childRouters = resolvedItems.filter(({ routerKey }) => routerKey).map(({ routerKey }) => routerKey);
+            use.middleware = resolvedItems.filter(({ item, routerKey }) => !routerKey && !item.inlineFunction).map(({ item }) => item);
+            use.childRouters.forEach(routerKey => mountedRouters.add(routerKey));
+        }
+    }
+
+    /**
+     * Links a route's referenced handler or middleware to its API node; resolved with the call edges below.
+     */
+    function linkRouteItem(apiNodeId, item, kind, loc) {
+        if (item.inlineFunction) return;
+        // Middleware from npm packages (cors, helmet, passport) is not part of the graph
+        if (item.specifier && !symbolTables.get(item.relPath)?.resolvedSpecifiers.has(item.specifier)) return;
+        const edge = { from: apiNodeId, to: item.name, type: "dependency", kind, callPath: loc };
+        graph.edges.push(edge);
+        pendingCallEdges.push({ edge, relPath: item.relPath, binding: item });
+    }
+
+    const renamedNodeIds = new Map();
+    graph.metadata.registered_routes = 0;
+
+    /**
+     * Creates (or, for inline handlers, renames) the API node of a route at its full mounted path.
+     */
+    function addApiRoute(route, fullRoute, middleware) {
+        const apiNodeId = `${route.method.toUpperCase()} ${fullRoute}`;
+        const apiNode = {
+            type: "api",
+            name: route.method.toUpperCase(),
+            file: route.relPath,
+            route: fullRoute,
+            zone: route.zone,
+            parameters: [],
+            returnType: 'any',
+            isAsync: false,
+            startLine: route.loc?.start.line,
+            endLine: route.loc?.end.line
+        };
+
+        if (route.provisionalNodeId && !route.apiNodeId && !graph.nodes[apiNodeId]) {
+            graph.nodes[apiNodeId] = { ...graph.nodes[route.provisionalNodeId], route: fullRoute };
+            delete graph.nodes[route.provisionalNodeId];
+            renamedNodeIds.set(route.provisionalNodeId, apiNodeId);
+            route.apiNodeId = apiNodeId;
+        } else if (route.provisionalNodeId || route.sharesHandlerOf?.provisionalNodeId) {
+            // The same inline handler mounted at a second path, or registered for a second method
+            const handlerNodeId = route.provisionalNodeId || route.sharesHandlerOf.provisionalNodeId; // renamed below
+            if (!graph.nodes[apiNodeId]) graph.nodes[apiNodeId] = apiNode;
+            if (route.apiNodeId !== apiNodeId && renamedNodeIds.get(handlerNodeId) !== apiNodeId) {
+                graph.edges.push({ from: apiNodeId, to: handlerNodeId, type: "dependency", kind: "route_handler", callPath: route.loc, resolution: "binding" });
+            }
+        } else if (!graph.nodes[apiNodeId]) {
+            graph.nodes[apiNodeId] = apiNode;
+        }
+        graph.metadata.registered_routes++;
+
+        route.handlers.forEach(item => linkRouteItem(apiNodeId, item, "route_handler", route.loc));
+        [...middleware, ...route.middleware].forEach(item => linkRouteItem(apiNodeId, item, "middleware", route.loc));
+    }
+
+    /**
+     * Walks a router and the routers mounted on it, composing mount prefixes and inherited middleware.
+     */
+    function composeRouter(routerKey, basePrefix, inheritedMiddleware, mountStack) {
+        if (mountStack.has(routerKey)) return; // Mount cycle
+        const router = routers.get(routerKey);
+        const routerPrefix = joinRoutePaths(basePrefix, router.prefix);
+        // Router-level `use(auth)` middleware applies to every route of the router
+        const middleware = [...inheritedMiddleware, ...router.uses.filter(use => use.childRouters.length === 0).flatMap(use => use.middleware)];
+
+        router.routes.forEach(route => addApiRoute(route, joinRoutePaths(routerPrefix, route.path), middleware));
+        for (const use of router.uses.filter(use => use.childRouters.length > 0)) {
+            for (const childKey of use.childRouters) {
+                composeRouter(childKey, joinRoutePaths(routerPrefix, use.prefix), [...middleware, ...use.middleware], new Set([...mountStack, routerKey]));
+            }
+        }
+    }
+
+    for (const routerKey of routers.keys()) {
+        if (!mountedRouters.has(routerKey)) composeRouter(routerKey, '', [], new Set());
+    }
+    if (renamedNodeIds.size > 0) {
+        graph.edges.forEach(edge => {
+            if (renamedNodeIds.has(edge.from)) edge.from = renamedNodeIds.get(edge.from);
+            if (renamedNodeIds.has(edge.to)) edge.to = renamedNodeIds.get(edge.to);
+        });
+    }
+
+    /**
+     * Lists the entries of a package's file-based routes: route handlers and other API nodes (except Next.js
+     * server actions, which are not requested by path) and page components.
+     * @param {'nextjs'|'sveltekit'} framework The routing framework.
+     * @param {string|undefined} packageName The workspace package, if any.
+     * @returns {Array<{nodeId: string, route: string}>}
+     */
+    function getFileRouteEntries(framework, packageName) {
+        const entries = [];
+        for (const [nodeId, node] of Object.entries(graph.nodes)) {
+            const routeFile = routeFiles.get(node.file);
+            if (routeFile?.framework !== framework || routeFile.packageName !== packageName) continue;
+            if ((node.type === 'api' && !node.isServerAction) || (routeFile.isPage && resolveExportedNode(node.file, 'default') === nodeId)) {
+                entries.push({ nodeId, route: node.route || routeFile.route });
+            }
+        }
+        return entries;
+    }
+
+    // Next.js middleware runs before every route its `matcher` covers (every route, without a matcher). Route
+    // handlers and page components get a `middleware` edge, so a change to the middleware impacts them.
+    for (const middleware of nextMiddlewares) {
+        const middlewareNodeId = ['middleware', 'proxy', 'default'].map(name => resolveExportedNode(middleware.relPath, name)).find(resolved => typeof resolved === 'string');
+        if (!middlewareNodeId) continue;
+        const matchers = middleware.matchers?.map(compileRouteMatcher).filter(Boolean);
+        const isCovered = route => !matchers || matchers.some(matcher => matcher.test(route));
+
+        for (const { nodeId, route } of getFileRouteEntries('nextjs', middleware.packageName)) {
+            if (isCovered(route)) graph.edges.push({ from: nodeId, to: middlewareNodeId, type: "dependency", kind: "middleware", resolution: "binding" });
+        }
+    }
+
+    // SvelteKit's `handle` hook runs before every request, so every route entry depends on it (or on each
+    // handler of a `sequence(...)`)
+    for (const hooks of svelteKitHooks) {
+        const handleNodeId = resolveExportedNode(hooks.relPath, 'handle');
+        for (const { nodeId } of getFileRouteEntries('sveltekit', hooks.packageName)) {
+            if (typeof handleNodeId === 'string') {
+                graph.edges.push({ from: nodeId, to: handleNodeId, type: "dependency", kind: "middleware", resolution: "binding" });
+            } else {
+                hooks.sequenced.forEach(item => linkRouteItem(nodeId, item, "middleware"));
+            }
+        }
+    }
+
+    // Resolve call, instantiation and JSX edges through the symbol tables. Edges that cannot be traced keep
+    // the bare callee name and are labelled as a lower-confidence, name-only match.
+    graph.metadata.call_resolution = { binding: 0, name_only: 0 };
+    for (const { edge, relPath, binding } of pendingCallEdges) {
+        const resolvedNodeId = binding ? resolveCallBinding(relPath, binding) : null;
+
+        if (resolvedNodeId) {
+            edge.to = resolvedNodeId;
+            edge.resolution = "binding";
+            graph.metadata.call_resolution.binding++;
+            if (edge.kind === 'jsx_component' && graph.nodes[resolvedNodeId].type === 'context') {
+                if (binding.member === 'Consumer') {
+                    edge.kind = "context_consumer";
+                    edge.fields = null; // The render prop receives the whole value
+                } else {
+                    // `<AuthContext.Provider value={...}>` (or React 19's `<AuthContext value={...}>`) supplies the value
+                    // every consumer reads, so the context depends on the component rendering the provider
+                    edge.kind = "context_provider";
+                    [edge.from, edge.to] = [resolvedNodeId, edge.from];
+                }
+            }
+        } else {
+            edge.resolution = "name_only";
+            edge.confidence = "low";
+            graph.metadata.call_resolution.name_only++;
+        }
     }
 
     // Post-processing for Problem 6: Calculate max depth and indirect nodes
-    // FIX: Changed from plain object to Map to prevent prototype pollution issues
-    const adjList = new Map();
-    graph.edges.forEach(edge => {
-        // FIX: Use Map methods (has, set)
-        if (!adjList.has(edge.from)) adjList.set(edge.from, []);
-        adjList.get(edge.from).push(edge.to);
-    });
+    // The forward index built here is cached and reused by the blast radius traversals
+    const { dependencies } = getGraphIndex(graph);
 
     // Simple BFS to find max depth (only structural/dependency edges count for depth)
     let maxDepth = 0;
     let indirectNodes = 0;
-    const visitedNodes = new Set();
+    const depths = new Map(); // reached node ID -> depth
     const queue = [];
 
     // Find all root nodes (nodes that are not 'to' targets of any edge, or just files)
@@ -461,25 +1971,24 @@ export function parseToGraph(targetPath, graphMode = 'FAST') {
     // Start BFS from all root files/modules
     for (const nodeId of rootNodes) {
         if (graph.nodes[nodeId]?.type === 'module') { // Only start BFS from actual files for propagation
-            queue.push({ id: nodeId, depth: 0 });
-            visitedNodes.add(nodeId);
+            queue.push(nodeId);
+            depths.set(nodeId, 0);
         }
     }
 
-    while (queue.length > 0) {
-        const { id, depth } = queue.shift();
+    // A moving head instead of queue.shift(), which copies the rest of the queue on every step
+    for (let head = 0; head < queue.length; head++) {
+        const id = queue[head];
+        const depth = depths.get(id);
         maxDepth = Math.max(maxDepth, depth);
 
-        // FIX: Use Map methods (has, get)
-        if (adjList.has(id)) {
-            for (const neighbor of adjList.get(id)) {
-                if (!visitedNodes.has(neighbor)) {
-                    visitedNodes.add(neighbor);
-                    if (depth + 1 > 1) { // Indirect node if depth > 1
-                        indirectNodes++;
-                    }
-                    queue.push({ id: neighbor, depth: depth + 1 });
+        for (const edge of dependencies.get(id) || []) {
+            if (!depths.has(edge.to)) {
+                depths.set(edge.to, depth + 1);
+                if (depth + 1 > 1) { // Indirect node if depth > 1
+                    indirectNodes++;
                 }
+                queue.push(edge.to);
             }
         }
     }
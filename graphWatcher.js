@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+import { parseToGraph, EXTENSIONS, IGNORED_DIRECTORIES } from './graphParser.js';
+import { CONFIG_FILES, loadProjectConfig } from './projectConfig.js';
+
+// Files besides sources whose changes affect the graph: alias and workspace configs, and the ImpactRadar config
+const CONFIG_FILE_REGEX = /^(package\.json|(tsconfig|jsconfig)[\w.-]*\.json|pnpm-workspace\.yaml)$/;
+// Changes arriving within this delay are folded into one rebuild (editors write files in several steps)
+const REBUILD_DELAY_MS = 200;
+
+/**
+ * Keeps the dependency graph of a project in memory and rebuilds it when its files change.
+ * Rebuilds only parse the changed files again (see the `parseResults` option of parseToGraph). Each build produces
+ * a new graph object, and a graph is never changed once built, so callers can keep using the graph they got
+ * (and its cached index) while a rebuild runs.
+ * Directories are watched one by one rather than recursively, so node_modules and the other ignored directories
+ * never take watchers.
+ * @param {string} projectPath Absolute path to the project directory.
+ * @param {{cache?: boolean, cacheDir?: string, workers?: number}} [buildOptions] The parseToGraph options.
+ * @param {{onBuild?: function(object, Array<string>): void}} [callbacks] `onBuild` gets each new graph, with the
+ *   relative paths of the files that changed since the previous build.
+ * @returns {{ready: Promise<object>, getGraph: function(): object, getConfig: function(): object, getStatus: function(): object, close: function(): void}}
+ *   `ready` resolves with the first graph. `getConfig` returns the project config (see loadProjectConfig) the current
+ *   graph was built with.
+ */
+export function watchProjectGraph(projectPath, buildOptions = {}, callbacks = {}) {
+    const parseResults = new Map();
+    const watchers = new Map(); // absolute directory path -> fs.FSWatcher
+    const changedFiles = new Set();
+    const status = { version: 0, built_at: null, build_time_ms: null, building: false, last_error: null };
+    let graph = null;
+    let config = null;
+    let rebuildTimer = null;
+    let rebuildRequested = false;
+    let closed = false;
+
+    async function build() {
+        if (status.building) {
+            rebuildRequested = true;
+            return;
+        }
+        status.building = true;
+        try {
+            do {
+                rebuildRequested = false;
+                const changed = [...changedFiles];
+                changedFiles.clear();
+                const startTime = Date.now();
+                try {
+                    // The project config is read again on every build; the graph and its config are replaced together
+                    const buildConfig = await loadProjectConfig(projectPath);
+                    graph = await parseToGraph(projectPath, 'FAST', { ...buildOptions, parseResults, config: buildConfig });
+                    config = buildConfig;
+                    status.version++;
+                    status.built_at = new Date().toISOString();
+                    status.build_time_ms = Date.now() - startTime;
+                    status.last_error = null;
+                    callbacks.onBuild?.(graph, changed);
+                } catch (error) {
+                    // Keep serving the previous graph; the next change triggers another attempt
+                    status.last_error = error.message;
+                    console.warn(`Warning: Rebuilding the graph of ${projectPath} failed: ${error.message}`);
+                }
+            } while (rebuildRequested && !closed);
+        } finally {
+            status.building = false;
+        }
+    }
+
+    function scheduleBuild() {
+        if (closed) return;
+        clearTimeout(rebuildTimer);
+        rebuildTimer = setTimeout(build, REBUILD_DELAY_MS);
+    }
+
+    function unwatchDirectory(dir) {
+        for (const [watchedDir, watcher] of watchers) {
+            if (watchedDir === dir || watchedDir.startsWith(dir + path.sep)) {
+                watcher.close();
+                watchers.delete(watchedDir);
+            }
+        }
+    }
+
+    function onChange(dir, fileName) {
+        if (!fileName) {
+            scheduleBuild(); // Some platforms do not say which file changed
+            return;
+        }
+        const name = fileName.toString();
+        if (IGNORED_DIRECTORIES.includes(name)) return;
+        const fullPath = path.join(dir, name);
+        const stats = fs.statSync(fullPath, { throwIfNoEntry: false });
+
+        if (stats?.isDirectory()) {
+            // A new (or moved) directory: watch it; its files are picked up by the rebuild
+            watchDirectory(fullPath);
+            scheduleBuild();
+        } else if (!stats && watchers.has(fullPath)) {
+            unwatchDirectory(fullPath);
+            scheduleBuild();
+        } else if (EXTENSIONS.includes(path.extname(name)) || CONFIG_FILE_REGEX.test(name) || CONFIG_FILES.includes(name)) {
+            changedFiles.add(path.relative(projectPath, fullPath));
+            scheduleBuild();
+        }
+    }
+
+    function watchDirectory(dir) {
+        if (watchers.has(dir) || closed) return;
+        try {
+            const watcher = fs.watch(dir, (eventType, fileName) => onChange(dir, fileName));
+            watcher.on('error', () => unwatchDirectory(dir));
+            watchers.set(dir, watcher);
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                if (entry.isDirectory() && !IGNORED_DIRECTORIES.includes(entry.name)) watchDirectory(path.join(dir, entry.name));
+            }
+        } catch (error) {
+            console.warn(`Warning: Could not watch ${dir} for changes: ${error.message}`);
+        }
+    }
+
+    watchDirectory(projectPath);
+    const ready = build().then(() => {
+        if (!graph) throw new Error(status.last_error || `Could not build the graph of ${projectPath}.`);
+        return graph;
+    });
+
+    return {
+        ready,
+        getGraph: () => graph,
+        getConfig: () => config,
+        getStatus: () => ({ ...status, watched_directories: watchers.size, pending_changes: changedFiles.size }),
+        close() {
+            closed = true;
+            clearTimeout(rebuildTimer);
+            watchers.forEach(watcher => watcher.close());
+            watchers.clear();
+        }
+    };
+}
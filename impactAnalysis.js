@@ -1,74 +1,194 @@
-export function calculateBlastRadius(graph, targetId) {
-    const impacts = [];
-    const visited = new Set();
-    const queue = [{ id: targetId, depth: 0, chain: [targetId] }];
+import { performance } from 'perf_hooks';
+import { getGraphIndex, getDependents } from './graphIndex.js';
 
-    // Build Adjacency List for Reverse Functional Traversal (Dependents)
-    // FIX: Changed from plain object to Map to prevent prototype pollution issues
-    const adj = new Map();
+/**
+ * Turns a time budget into the `performance.now()` timestamp it runs out at.
+ * @param {number} [timeBudgetMs] The time budget in milliseconds; unlimited if not set.
+ * @returns {number}
+ */
+function getDeadline(timeBudgetMs) {
+    return timeBudgetMs > 0 ? performance.now() + timeBudgetMs : Infinity;
+}
 
-    graph.edges.forEach(edge => {
-        // Only consider 'dependency' edges for blast radius, not 'structural' (file-to-function)
-        if (edge.type === 'structural') return;
+/**
+ * Walks the dependency graph backwards from a changed node and collects everything that depends on it.
+ * Edges resolved through import/export bindings are followed exactly. Call edges that graphParser could
+ * only match by the callee's bare name are followed as a fallback, and every impact reached through
+ * one of them is labelled `resolution: "name_only"`.
+ * Dependents reading the changed node's value (a hook's result, or the value of a context it provides) get
+ * `fields_read`: the fields they read, or null if they use the value as a whole.
+ * The walk stops early when it hits one of the limits; the reasons it stopped for are returned in `truncated`:
+ * `max_depth` (dependents beyond `maxDepth` hops were left out), `max_nodes` (more than `maxNodes` dependents)
+ * or `time_budget` (the walk took longer than `timeBudgetMs`).
+ * @param {object} graph The dependency graph produced by parseToGraph.
+ * @param {string} targetId The changed node ID.
+ * @param {{maxDepth?: number, maxNodes?: number, timeBudgetMs?: number}} [limits] Traversal limits; unlimited if not set.
+ * @returns {{impacts: Array<object>, truncated: Array<string>}} The impacted dependents in breadth-first order, and the
+ *   limits that cut the walk short.
+ */
+export function calculateBlastRadius(graph, targetId, limits = {}) {
+    const { maxDepth = Infinity, maxNodes = Infinity } = limits;
+    const deadline = getDeadline(limits.timeBudgetMs);
+    const index = getGraphIndex(graph);
+    const impacts = [];
+    const truncated = new Set();
+    // How each reached node was reached. Chains are rebuilt from the parent links instead of copied at every hop.
+    // `carriesValue`: the node's value is the changed node's value (the target, a context it provides, a hook returning it)
+    const reached = new Map([[targetId, { parent: null, depth: 0, resolution: 'binding', carriesValue: true }]]);
+    const queue = [targetId];
 
-        const calleeId = edge.to;
-        const callerId = edge.from;
+    const getChain = id => {
+        const chain = [];
+        for (let current = id; current !== null; current = reached.get(current).parent) chain.push(current);
+        return chain.reverse().join(' ➔ ');
+    };
 
-        // Defensive check, though graphParser should ideally ensure calleeId is a valid string
-        if (calleeId === null || calleeId === undefined) {
-             console.warn(`Skipping edge with null/undefined calleeId in blast radius calculation: ${JSON.stringify(edge)}`);
-             return;
+    // A moving head instead of queue.shift(), which copies the rest of the queue on every step
+    traversal: for (let head = 0; head < queue.length; head++) {
+        if (performance.now() > deadline) {
+            truncated.add('time_budget');
+            break;
+        }
+        const id = queue[head];
+        const { depth, resolution, carriesValue } = reached.get(id);
+        const dependents = getDependents(index, id).filter(dependent => !reached.has(dependent.id));
+        if (dependents.length === 0) continue;
+        if (depth >= maxDepth) {
+            truncated.add('max_depth');
+            continue;
         }
 
-        // FIX: Use Map methods (has, set, get)
-        if (!adj.has(calleeId)) adj.set(calleeId, new Set());
-        adj.get(calleeId).add(callerId);
+        for (const { id: depId, resolution: hopResolution, via } of dependents) {
+            if (impacts.length >= maxNodes) {
+                truncated.add('max_nodes');
+                break traversal;
+            }
+            const node = graph.nodes[depId];
+            // A chain is only as reliable as its weakest hop
+            const depResolution = resolution === 'name_only' || hopResolution === 'name_only' ? 'name_only' : 'binding';
+            // Workspace package of the dependent (module nodes carry it, other nodes inherit it from their file)
+            const packageName = node?.package || graph.nodes[node?.file]?.package;
 
-        // Also add short name for resolution, as graphParser might not always resolve to full nodeId
-        const shortName = calleeId.includes('::') ? calleeId.split('::')[1] : calleeId;
-        if (shortName !== calleeId) {
-            // FIX: Use Map methods (has, set, get)
-            if (!adj.has(shortName)) adj.set(shortName, new Set());
-            adj.get(shortName).add(callerId);
-        }
-    });
+            const valueUse = carriesValue ? index.valueUses.get(`${depId}\n${via}`) : null;
+            const readsValue = valueUse && (valueUse.wholeValue || valueUse.fields.size > 0);
+            reached.set(depId, { parent: id, depth: depth + 1, resolution: depResolution, carriesValue: Boolean(valueUse?.carriesValue) });
 
-    visited.add(targetId);
+            const impact = {
+                id: depId,
+                type: node?.type || "unresolved",
+                zone: node?.zone || "External/Unresolved",
+                depth: depth + 1,
+                chain: getChain(depId),
+                file: node?.file || 'N/A',
+                name: node?.name || depId,
+                resolution: depResolution,
+                ...(packageName ? { package: packageName } : {}),
+                ...(readsValue ? { fields_read: valueUse.wholeValue ? null : [...valueUse.fields] } : {})
+            };
 
-    while (queue.length > 0) {
-        const { id, depth, chain } = queue.shift();
+            impacts.push(impact);
+            queue.push(depId);
+        }
+    }
+    return { impacts, truncated: [...truncated] };
+}
 
-        const dependents = new Set();
-        // FIX: Use Map methods (has, get)
-        if (adj.has(id)) {
-            adj.get(id).forEach(dep => dependents.add(dep));
+/**
+ * Runs the blast radius analysis for several changed nodes and merges the results.
+ * A dependent reached by more than one target is reported once, at its shortest depth,
+ * and lists every target that reaches it in `reached_by`.
+ * The limits apply to the merged result: the time budget is shared by all targets, and at most `maxNodes`
+ * impacts are kept.
+ * @param {object} graph The dependency graph produced by parseToGraph.
+ * @param {Array<string>} targetIds The changed node IDs.
+ * @param {{maxDepth?: number, maxNodes?: number, timeBudgetMs?: number}} [limits] Traversal limits; unlimited if not set.
+ * @returns {{impacts: Array<object>, truncated: Array<string>}} The merged impacts, and the limits that cut the analysis short.
+ */
+export function calculateMergedBlastRadius(graph, targetIds, limits = {}) {
+    const { maxNodes = Infinity } = limits;
+    const deadline = getDeadline(limits.timeBudgetMs);
+    const mergedImpacts = new Map();
+    const truncated = new Set();
+
+    for (const targetId of targetIds) {
+        const timeLeft = deadline - performance.now();
+        if (timeLeft <= 0) {
+            truncated.add('time_budget');
+            break;
         }
-        const shortId = id.includes('::') ? id.split('::')[1] : id;
-        // FIX: Use Map methods (has, get)
-        if (shortId !== id && adj.has(shortId)) {
-            adj.get(shortId).forEach(dep => dependents.add(dep));
+        const result = calculateBlastRadius(graph, targetId, { ...limits, timeBudgetMs: timeLeft });
+        result.truncated.forEach(reason => truncated.add(reason));
+
+        for (const impact of result.impacts) {
+            const existing = mergedImpacts.get(impact.id);
+            if (!existing) {
+                mergedImpacts.set(impact.id, { ...impact, reached_by: [targetId] });
+                continue;
+            }
+            if (!existing.reached_by.includes(targetId)) existing.reached_by.push(targetId);
+            if (impact.depth < existing.depth) {
+                existing.depth = impact.depth;
+                existing.chain = impact.chain;
+            }
+            if (impact.resolution === 'binding') existing.resolution = 'binding';
+            if (impact.fields_read !== undefined && existing.fields_read === undefined) existing.fields_read = impact.fields_read;
         }
+    }
+
+    let impacts = [...mergedImpacts.values()];
+    if (impacts.length > maxNodes) {
+        impacts = impacts.slice(0, maxNodes);
+        truncated.add('max_nodes');
+    }
+    return { impacts, truncated: [...truncated] };
+}
 
-        for (const depId of dependents) {
-            if (!visited.has(depId)) {
-                visited.add(depId);
-                const node = graph.nodes[depId];
-                const newChain = [...chain, depId];
-                
-                const impact = {
-                    id: depId,
-                    type: node?.type || "unresolved",
-                    zone: node?.zone || "External/Unresolved",
-                    depth: depth + 1,
-                    chain: newChain.join(' ➔ '),
-                    file: node?.file || 'N/A',
-                    name: node?.name || depId
-                };
+/**
+ * Finds the shortest dependency paths from one node to another: how `fromId` comes to depend on `toId`, that is,
+ * how a change to `toId` reaches `fromId`. Hops matched by name only are followed like in calculateBlastRadius.
+ * @param {object} graph The dependency graph produced by parseToGraph.
+ * @param {string} fromId The dependent node ID.
+ * @param {string} toId The dependency node ID.
+ * @param {{maxPaths?: number}} [options] The number of paths to return at most (default: 10).
+ * @returns {Array<{nodes: Array<string>, resolution: 'binding'|'name_only'}>} The paths, each listing its nodes from
+ *   `fromId` to `toId`; empty if `fromId` does not depend on `toId`.
+ */
+export function findDependencyPaths(graph, fromId, toId, options = {}) {
+    const { maxPaths = 10 } = options;
+    const index = getGraphIndex(graph);
+    // Breadth-first from `toId` along reverse edges, keeping every parent at the shortest depth
+    const depths = new Map([[toId, 0]]);
+    const parents = new Map(); // node ID -> [{ id, resolution }] of its dependencies one hop closer to `toId`
+    const queue = [toId];
 
-                impacts.push(impact);
-                queue.push({ id: depId, depth: depth + 1, chain: newChain });
+    for (let head = 0; head < queue.length; head++) {
+        const id = queue[head];
+        const depth = depths.get(id);
+        if (depth >= (depths.get(fromId) ?? Infinity)) break; // Every shortest path to `fromId` is known
+        for (const { id: depId, resolution } of getDependents(index, id)) {
+            if (!depths.has(depId)) {
+                depths.set(depId, depth + 1);
+                queue.push(depId);
+            }
+            if (depths.get(depId) === depth + 1) {
+                if (!parents.has(depId)) parents.set(depId, []);
+                parents.get(depId).push({ id, resolution });
             }
         }
     }
-    return impacts;
-}
\ No newline at end of file
+    if (!depths.has(fromId) || fromId === toId) return [];
+
+    const paths = [];
+    const walk = (id, nodes, resolution) => {
+        if (paths.length >= maxPaths) return;
+        if (id === toId) {
+            paths.push({ nodes, resolution });
+            return;
+        }
+        for (const parent of parents.get(id)) {
+            walk(parent.id, [...nodes, parent.id], resolution === 'name_only' || parent.resolution === 'name_only' ? 'name_only' : 'binding');
+        }
+    };
+    walk(fromId, [fromId], 'binding');
+    return paths;
+}
@@ -0,0 +1,357 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { calculateBlastRadius } from './impactAnalysis.js';
+import { scanCallerSafety } from './callerSafetyScanner.js';
+import { resolveTargetChanges, buildImpactReport } from './impactReport.js';
+import { watchProjectGraph } from './graphWatcher.js';
+import { getChangeProfile } from './changeProfiles.js';
+
+// JSON-RPC error codes of the Language Server Protocol
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+const SERVER_NOT_INITIALIZED = -32002;
+// LSP DiagnosticSeverity.Warning
+const WARNING_SEVERITY = 2;
+
+const ANALYZE_COMMAND = 'impactradar.analyzeChange';
+const CLEAR_COMMAND = 'impactradar.clearDiagnostics';
+
+// Graph -> its call edges by calling file, built on the first hover over each graph version
+const fileCallEdges = new WeakMap();
+
+/**
+ * Lists the call edges made from a file, at module level or in its functions, in graph order.
+ * @param {object} graph The dependency graph.
+ * @param {string} relPath The file path relative to the project root.
+ * @returns {Array<object>} The edges.
+ */
+function getFileCallEdges(graph, relPath) {
+    if (!fileCallEdges.has(graph)) {
+        const edgesByFile = new Map();
+        for (const edge of graph.edges) {
+            if (edge.type === 'structural' || !graph.nodes[edge.to]) continue;
+            const file = graph.nodes[edge.from]?.file || edge.from;
+            if (!edgesByFile.has(file)) edgesByFile.set(file, []);
+            edgesByFile.get(file).push(edge);
+        }
+        fileCallEdges.set(graph, edgesByFile);
+    }
+    return fileCallEdges.get(graph).get(relPath) || [];
+}
+
+/**
+ * Tells whether a call site scanned by scanCallerSafety lacks the guard a change needs: a try/catch when the
+ * callee may now throw or reject, a null check when it may now return nothing. Changes without a required guard
+ * flag call sites with no guard at all.
+ * @param {object} finding The call site analysis.
+ * @param {object} profile The change profile.
+ * @returns {string|null} What is missing, or null if the call site is guarded.
+ */
+function getMissingGuard(finding, profile) {
+    const guard = profile.required_guard;
+    if (guard === 'error') return finding.hasTryCatch ? null : 'try/catch';
+    if (guard === 'null') return finding.hasNullCheck || finding.isOptionalChaining ? null : 'null check';
+    return finding.assumedExists ? 'try/catch or null check' : null;
+}
+
+/**
+ * Formats a probability as a percentage.
+ * @param {number} probability
+ * @returns {string}
+ */
+function toPercent(probability) {
+    return `${Math.round((probability || 0) * 100)}%`;
+}
+
+/**
+ * Formats a count with its noun, pluralized when needed.
+ * @param {number} count
+ * @param {string} noun
+ * @returns {string}
+ */
+function pluralize(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Starts a Language Server Protocol server on stdin/stdout. It keeps the project's graph in memory (see
+ * watchProjectGraph) and offers:
+ * - code lenses over functions and APIs with their blast radius and risk for the configured change type;
+ * - hovers with the caller safety of a call site, or the blast radius of a declaration;
+ * - the `impactradar.analyzeChange` command (run by the code lenses), which publishes diagnostics on the call sites
+ *   of a function that lack the guard its change needs, and `impactradar.clearDiagnostics`.
+ * Analyses read the files as saved on disk. The change type comes from `--change_type`, the `changeType`
+ * initialization option, or the `impactRadar.changeType` setting.
+ * @param {object} options
+ * @param {string} [options.projectPath] Absolute project path; defaults to the workspace root the client opens.
+ * @param {object} [options.buildOptions] The parseToGraph options (cache, cacheDir, workers).
+ * @param {object} [options.traversalLimits] The blast radius limits.
+ * @param {string} [options.changeType] The change type code lenses and diagnostics assume (default: added_throw_statement).
+ */
+export function startLanguageServer(options = {}) {
+    // stdout carries the protocol: route the analysis modules' progress logs to stderr, which editors show as the server log
+    console.log = console.error;
+
+    let projectPath = options.projectPath || null;
+    let changeType = options.changeType || 'added_throw_statement';
+    let graphWatcher = null;
+    let clientCapabilities = {};
+    let shutdownRequested = false;
+    let nextRequestId = 1;
+    // The last analyzeChange command, re-run when the graph changes, and the files it published diagnostics for
+    let activeAnalysis = null;
+    let diagnosedUris = new Set();
+    // Code lens results of the current graph, by `nodeId\nchangeType`
+    let lensCache = new Map();
+
+    function send(message) {
+        const body = JSON.stringify({ jsonrpc: '2.0', ...message });
+        process.stdout.write(`Content-Length: ${Buffer.byteLength(body, 'utf-8')}\r\n\r\n${body}`);
+    }
+
+    const toRelPath = uri => path.relative(projectPath, fileURLToPath(uri)).replace(/\\/g, '/');
+
+    async function getGraph() {
+        if (!graphWatcher) throw Object.assign(new Error('The server is not initialized.'), { code: SERVER_NOT_INITIALIZED });
+        await graphWatcher.ready;
+        return graphWatcher.getGraph();
+    }
+
+    /**
+     * Builds the impact report of one node, without the AI narrative.
+     */
+    async function getNodeReport(graph, nodeId, nodeChangeType) {
+        const config = graphWatcher.getConfig();
+        const targets = resolveTargetChanges(graph, projectPath, [{ id: nodeId, requested_change_type: nodeChangeType }], { config });
+        return buildImpactReport(graph, projectPath, targets, { traversalLimits: options.traversalLimits, aiAnalysis: false, config });
+    }
+
+    /**
+     * Scans the call sites of a node in every dependent file, as the impact report does.
+     */
+    function scanCallSites(graph, nodeId) {
+        const node = graph.nodes[nodeId];
+        const { impacts } = calculateBlastRadius(graph, nodeId, options.traversalLimits);
+        const files = new Set(impacts.filter(i => (i.type === 'function' || i.type === 'api') && i.file !== 'N/A').map(i => i.file));
+        const calleeName = node.methodName || node.name || nodeId;
+        return [...files].flatMap(file => scanCallerSafety(path.join(projectPath, file), calleeName))
+            .filter(finding => finding.line && !finding.type); // Component and markup usages cannot be guarded
+    }
+
+    /**
+     * Publishes diagnostics on the call sites of a node that lack the guard a change needs, replacing earlier ones.
+     */
+    async function publishAnalysis(analysis) {
+        const graph = await getGraph();
+        const diagnosticsByUri = new Map();
+        if (analysis && graph.nodes[analysis.nodeId]) {
+            const rawChangeType = analysis.changeType.split('::')[0];
+            const profile = getChangeProfile(graphWatcher.getConfig().change_profiles, rawChangeType);
+            for (const finding of scanCallSites(graph, analysis.nodeId)) {
+                const missingGuard = getMissingGuard(finding, profile);
+                if (!missingGuard) continue;
+                const uri = pathToFileURL(finding.file).href;
+                const lineText = fs.readFileSync(finding.file, 'utf-8').split(/\r?\n/)[finding.line - 1] || '';
+                const nameColumn = lineText.indexOf(finding.callee, finding.column);
+                const start = nameColumn >= 0 ? nameColumn : finding.column;
+                const probability = profile.required_guard === 'null' ? finding.unsafeDereferenceLikelihood : finding.unhandledErrorProbability;
+                if (!diagnosticsByUri.has(uri)) diagnosticsByUri.set(uri, []);
+                diagnosticsByUri.get(uri).push({
+                    range: { start: { line: finding.line - 1, character: start }, end: { line: finding.line - 1, character: start + finding.callee.length } },
+                    severity: WARNING_SEVERITY,
+                    source: 'impactradar',
+                    code: rawChangeType,
+                    message: `${finding.callee}() is called without a ${missingGuard}; with this change (${analysis.changeType}) it can fail here (estimated probability ${toPercent(probability)}).`
+                });
+            }
+        }
+        // Clear the files that no longer have findings
+        for (const uri of diagnosedUris) {
+            if (!diagnosticsByUri.has(uri)) send({ method: 'textDocument/publishDiagnostics', params: { uri, diagnostics: [] } });
+        }
+        diagnosticsByUri.forEach((diagnostics, uri) => send({ method: 'textDocument/publishDiagnostics', params: { uri, diagnostics } }));
+        diagnosedUris = new Set(diagnosticsByUri.keys());
+        return [...diagnosticsByUri.values()].reduce((count, diagnostics) => count + diagnostics.length, 0);
+    }
+
+    function onGraphBuilt() {
+        lensCache = new Map();
+        if (clientCapabilities.workspace?.codeLens?.refreshSupport) {
+            send({ id: `refresh-${nextRequestId++}`, method: 'workspace/codeLens/refresh', params: null });
+        }
+        if (activeAnalysis) {
+            publishAnalysis(activeAnalysis).catch(error => console.error(`Could not refresh the diagnostics: ${error.message}`));
+        }
+    }
+
+    const handlers = {
+        initialize(params) {
+            clientCapabilities = params.capabilities || {};
+            const rootUri = params.workspaceFolders?.[0]?.uri || params.rootUri;
+            projectPath = projectPath || (rootUri ? fileURLToPath(rootUri) : params.rootPath);
+            if (!projectPath) throw new Error('No project: pass --project or open a workspace folder.');
+            changeType = params.initializationOptions?.changeType || changeType;
+
+            graphWatcher = watchProjectGraph(projectPath, options.buildOptions, { onBuild: onGraphBuilt });
+            graphWatcher.ready.catch(error => console.error(`Could not build the graph of ${projectPath}: ${error.message}`));
+            return {
+                capabilities: {
+                    textDocumentSync: { openClose: true, change: 0, save: false },
+                    codeLensProvider: { resolveProvider: true },
+                    hoverProvider: true,
+                    executeCommandProvider: { commands: [ANALYZE_COMMAND, CLEAR_COMMAND] }
+                },
+                serverInfo: { name: 'impactradar' }
+            };
+        },
+
+        async 'textDocument/codeLens'(params) {
+            const graph = await getGraph();
+            const relPath = toRelPath(params.textDocument.uri);
+            return Object.entries(graph.nodes)
+                .filter(([, node]) => (node.type === 'function' || node.type === 'api') && node.file === relPath && node.startLine)
+                .map(([nodeId, node]) => ({
+                    range: { start: { line: node.startLine - 1, character: 0 }, end: { line: node.startLine - 1, character: 0 } },
+                    data: { nodeId, changeType }
+                }));
+        },
+
+        // Lenses are computed when the editor shows them: each one runs the blast radius and risk model of its node
+        async 'codeLens/resolve'(lens) {
+            const graph = await getGraph();
+            const { nodeId, changeType: lensChangeType } = lens.data;
+            const cacheKey = `${nodeId}\n${lensChangeType}`;
+            if (!lensCache.has(cacheKey)) {
+                const report = graph.nodes[nodeId] ? await getNodeReport(graph, nodeId, lensChangeType) : null;
+                const label = getChangeProfile(graphWatcher.getConfig().change_profiles, lensChangeType.split('::')[0]).label;
+                lensCache.set(cacheKey, report
+                    ? `${pluralize(report.impact_summary.total_impacted_nodes, 'dependent')}${report.impact_summary.truncated ? '+' : ''}, ${pluralize(report.impact_summary.api_surface_impact, 'API')}, ${report.risk_model.risk_level} risk on ${label}`
+                    : 'No longer in the graph');
+            }
+            return { ...lens, command: { title: lensCache.get(cacheKey), command: ANALYZE_COMMAND, arguments: [nodeId, lensChangeType] } };
+        },
+
+        async 'textDocument/hover'(params) {
+            const graph = await getGraph();
+            const relPath = toRelPath(params.textDocument.uri);
+            const line = params.position.line + 1;
+            const column = params.position.character;
+            const contains = loc => loc && (line > loc.start.line || (line === loc.start.line && column >= loc.start.column)) &&
+                (line < loc.end.line || (line === loc.end.line && column <= loc.end.column));
+
+            // A call site: how safely it calls its callee
+            const callEdge = getFileCallEdges(graph, relPath).find(edge => contains(edge.callPath));
+            if (callEdge) {
+                const callee = graph.nodes[callEdge.to];
+                const calleeName = callee.methodName || callee.name || callEdge.to;
+                const findings = scanCallerSafety(path.join(projectPath, relPath), calleeName).filter(finding => finding.line === callEdge.callPath.start.line);
+                const finding = findings.find(f => f.column === callEdge.callPath.start.column) || findings[0];
+                const lines = [`**${calleeName}** — \`${callEdge.to}\` (${callEdge.kind}, ${callEdge.resolution || 'binding'})`];
+                if (finding && !finding.analysis) {
+                    const mark = value => value ? '✓' : '✗';
+                    lines.push(`Call site: try/catch ${mark(finding.hasTryCatch)} · null check ${mark(finding.hasNullCheck)} · optional chaining ${mark(finding.isOptionalChaining)} · destructured immediately ${mark(finding.isDestructuredImmediately)}`);
+                    lines.push(`Unhandled error probability ${toPercent(finding.unhandledErrorProbability)} · unsafe dereference likelihood ${toPercent(finding.unsafeDereferenceLikelihood)}`);
+                    const reasons = [...(finding.unhandledErrorBreakdown || []), ...(finding.unsafeDereferenceBreakdown || [])];
+                    if (reasons.length > 0) lines.push(reasons.map(reason => `- ${reason}`).join('\n'));
+                }
+                return { contents: { kind: 'markdown', value: lines.join('\n\n') } };
+            }
+
+            // A declaration: what depends on it
+            const declaration = Object.entries(graph.nodes).find(([, node]) => node.file === relPath && node.startLine === line &&
+                (node.type === 'function' || node.type === 'api'));
+            if (!declaration) return null;
+            const [nodeId, node] = declaration;
+            const { impacts, truncated } = calculateBlastRadius(graph, nodeId, options.traversalLimits);
+            const apis = impacts.filter(impact => impact.type === 'api').map(impact => impact.id);
+            const lines = [
+                `**${node.name || nodeId}** — ${pluralize(impacts.length, 'dependent')}${truncated.length > 0 ? '+' : ''} (${impacts.filter(i => i.depth === 1).length} direct), ${pluralize(apis.length, 'API')}`,
+                ...apis.slice(0, 5).map(api => `- \`${api}\``)
+            ];
+            if (apis.length > 5) lines.push(`- …and ${apis.length - 5} more`);
+            return { contents: { kind: 'markdown', value: lines.join('\n') } };
+        },
+
+        async 'workspace/executeCommand'(params) {
+            if (params.command === CLEAR_COMMAND) {
+                activeAnalysis = null;
+                await publishAnalysis(null);
+                return null;
+            }
+            if (params.command !== ANALYZE_COMMAND) throw Object.assign(new Error(`Unknown command ${params.command}.`), { code: METHOD_NOT_FOUND });
+            const [nodeId, commandChangeType = changeType] = params.arguments || [];
+            activeAnalysis = { nodeId, changeType: commandChangeType };
+            const count = await publishAnalysis(activeAnalysis);
+            const message = `${nodeId}: ${count} call site(s) unguarded for ${commandChangeType}.`;
+            send({ method: 'window/showMessage', params: { type: 3, message } });
+            return { nodeId, changeType: commandChangeType, unguarded_call_sites: count };
+        },
+
+        'workspace/didChangeConfiguration'(params) {
+            const configuredChangeType = params.settings?.impactRadar?.changeType;
+            if (configuredChangeType && configuredChangeType !== changeType) {
+                changeType = configuredChangeType;
+                onGraphBuilt(); // Lenses show the new change type
+            }
+        },
+
+        shutdown() {
+            shutdownRequested = true;
+            graphWatcher?.close();
+            return null;
+        },
+
+        exit() {
+            process.exit(shutdownRequested ? 0 : 1);
+        }
+    };
+
+    async function handleMessage(message) {
+        // Responses to our own requests (workspace/codeLens/refresh) need no handling
+        if (!message.method) return;
+        const handler = handlers[message.method];
+        const isRequest = message.id !== undefined;
+        if (!handler) {
+            if (isRequest) send({ id: message.id, error: { code: METHOD_NOT_FOUND, message: `Unsupported method ${message.method}.` } });
+            return;
+        }
+        try {
+            const result = await handler(message.params || {});
+            if (isRequest) send({ id: message.id, result: result ?? null });
+        } catch (error) {
+            console.error(`Error handling ${message.method}:`, error);
+            if (isRequest) send({ id: message.id, error: { code: Number.isInteger(error.code) ? error.code : INTERNAL_ERROR, message: error.message } });
+        }
+    }
+
+    // Messages are framed by a `Content-Length` header, as in the base protocol
+    let buffer = Buffer.alloc(0);
+    process.stdin.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (true) {
+            const headerEnd = buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) return;
+            const contentLength = Number(/Content-Length: *(\d+)/i.exec(buffer.subarray(0, headerEnd).toString('ascii'))?.[1]);
+            const bodyStart = headerEnd + 4;
+            if (!Number.isFinite(contentLength)) {
+                // Without a length the body cannot be found: drop the header so later messages still get through
+                console.error(`Ignoring a header without Content-Length: ${buffer.subarray(0, headerEnd).toString('ascii')}`);
+                buffer = buffer.subarray(bodyStart);
+                continue;
+            }
+            if (buffer.length < bodyStart + contentLength) return;
+            const body = buffer.subarray(bodyStart, bodyStart + contentLength).toString('utf-8');
+            buffer = buffer.subarray(bodyStart + contentLength);
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                console.error(`Ignoring a malformed message: ${error.message}`);
+                continue;
+            }
+            handleMessage(message);
+        }
+    });
+    process.stdin.on('end', () => process.exit(shutdownRequested ? 0 : 1));
+}
@@ -0,0 +1,778 @@
+import { performance } from 'perf_hooks';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+import { calculateMergedBlastRadius } from './impactAnalysis.js';
+import { scanCallerSafety } from './callerSafetyScanner.js';
+import { readFileAtRevision, verifyRevision } from './gitDiff.js';
+import { inferChangeType } from './changeClassifier.js';
+import { getDefaultProjectConfig, describeProjectConfig } from './projectConfig.js';
+import { getChangeProfile, getCallerSafetySignals, getChangeProbabilities } from './changeProfiles.js';
+import { createLlmProvider } from './llmProviders.js';
+import { parseAiAnalysis, getRepairPrompt, generateRuleBasedNarrative } from './aiNarrative.js';
+
+// Define __filename and __dirname for ES Modules compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Times the model is asked to fix an answer that does not match the AI analysis schema
+const AI_REPAIR_ATTEMPTS = 1;
+
+// Multipliers of the business criticality flags of the targets (--criticality_flags)
+const CRITICALITY_FLAG_MULTIPLIERS = {
+    public_endpoint: 1.5,
+    auth_related: 1.8,
+    payment_related: 2.0,
+    critical_data_access: 1.7,
+    internal_tool: 0.8
+};
+
+const ARCHITECTURAL_ZONE_WEIGHTS = {
+    "Database Access Layer": 1.8,
+    "Database Access Layer / Models": 1.8,
+    "Authentication Layer": 1.5,
+    "API Layer / Route Handlers": 1.2,
+    "Middleware": 1.0,
+    "Service / Business Logic Layer": 1.0,
+    "UI Component Layer": 0.5,
+    "React Hooks / Shared Logic": 0.8,
+    "React Context / State": 1.1,
+    "State Management Layer": 1.2,
+    "Utility / Shared Logic": 0.7,
+    "Configuration / Constants": 0.6,
+    "Application Core": 1.0,
+    "Worker Layer": 0.9,
+    "External/Unresolved": 0.0,
+    "Unknown Zone": 0.5
+};
+
+// 🎯 Upgrade 5 — Endpoint Criticality Ranking (enhanced for Fix 3)
+const ENDPOINT_CRITICALITY_HEURISTICS = [
+    { pattern: /\/auth|\/login|\/register|\/logout|\/token/i, level_modifier: 1.5, description: "Authentication/Authorization related endpoint, highly sensitive." },
+    { pattern: /\/payment|\/billing|\/checkout|\/transaction/i, level_modifier: 1.8, description: "Payment processing related endpoint, direct revenue impact." },
+    { pattern: /\/admin|\/internal/i, level_modifier: 1.2, description: "Admin or internal tool endpoint, potential for privilege escalation or data exposure." },
+    { pattern: /\/api\/(?!health)/i, level_modifier: 0.8, description: "General public API endpoint." },
+    { pattern: /\/health|\/status/i, level_modifier: 0.1, description: "Health check or status endpoint, low business impact." },
+    { pattern: /GET/i, level_modifier: -0.2, description: "Typically read-only operations are less risky than writes." },
+    { pattern: /POST|PUT|DELETE|PATCH|^ACTION$/i, level_modifier: 0.3, description: "Write operations carry higher risk." } // `ACTION` is a Next.js server action
+];
+
+/**
+ * Calculates a detailed criticality score for an API endpoint,
+ * incorporating business heuristics and caller safety analysis.
+ * @param {object} apiNode Details of the API node from the graph.
+ * @param {Array<object>} apiCallSafetySummaries Caller safety analysis results for calls made by this API to the target.
+ * @param {Array<object>} heuristics The endpoint criticality heuristics: the project's, then ENDPOINT_CRITICALITY_HEURISTICS.
+ * @returns {{level: string, score: number, reasons: Array<string>}}
+ */
+function getEndpointCriticality(apiNode, apiCallSafetySummaries, heuristics) {
+    let score = 0;
+    let reasons = [];
+
+    // Base score from heuristics (Fix 3: Existing heuristics)
+    for (const heuristic of heuristics) {
+        // Check against both route and name (HTTP method)
+        if (heuristic.pattern.test(apiNode.route || '') || heuristic.pattern.test(apiNode.name || '')) {
+            score += heuristic.level_modifier;
+            reasons.push(heuristic.description);
+        }
+    }
+
+    // Fix 3: Incorporate Caller Safety Analysis
+    if (apiCallSafetySummaries && apiCallSafetySummaries.length > 0) {
+        const hasUnsafeCall = apiCallSafetySummaries.some(s => s.unhandledErrorProbability > 0.1 || s.unsafeDereferenceLikelihood > 0.1);
+        if (hasUnsafeCall) {
+            score += 1.0; // Significant risk if any call is unsafe
+            reasons.push("Contains calls to target function with potential unhandled errors or null dereferences.");
+        }
+
+        const noTryCatchCalls = apiCallSafetySummaries.filter(s => !s.hasTryCatch && s.unhandledErrorProbability > 0.01);
+        if (noTryCatchCalls.length > 0) {
+            score += noTryCatchCalls.length * 0.5;
+            reasons.push(`${noTryCatchCalls.length} calls to target lack try/catch blocks, increasing unhandled exception risk.`);
+        }
+
+        const noNullCheckCalls = apiCallSafetySummaries.filter(s => !s.hasNullCheck && !s.isOptionalChaining && s.unsafeDereferenceLikelihood > 0.01);
+        if (noNullCheckCalls.length > 0) {
+            score += noNullCheckCalls.length * 0.7; // Higher penalty for null checks
+            reasons.push(`${noNullCheckCalls.length} calls to target lack null checks, increasing null dereference risk.`);
+        }
+
+        const destructuredWithoutGuardCalls = apiCallSafetySummaries.filter(s => s.isDestructuredImmediately && !s.hasNullCheck && !s.isOptionalChaining && s.unsafeDereferenceLikelihood > 0.01);
+        if (destructuredWithoutGuardCalls.length > 0) {
+            score += destructuredWithoutGuardCalls.length * 0.8; // Even higher penalty
+            reasons.push(`${destructuredWithoutGuardCalls.length} calls immediately destructure target's result without null guards.`);
+        }
+    }
+
+    // Fix 3: Async API endpoint (implies more complex error handling)
+    if (apiNode.isAsync) {
+        score += 0.2;
+        reasons.push("API endpoint is asynchronous, increasing complexity of error propagation.");
+    }
+
+    // Map score to level
+    let level = "LOW";
+    if (score >= 3.0) level = "CRITICAL";
+    else if (score >= 1.5) level = "HIGH";
+    else if (score >= 0.5) level = "MEDIUM";
+
+    return { level, score: parseFloat(Math.max(0, score).toFixed(2)), reasons };
+}
+
+
+/**
+ * Adds up the token usage of several LLM requests.
+ * @param {object|null} total The usage so far.
+ * @param {object|null} usage The usage of another request, if the provider reported it.
+ * @returns {object|null}
+ */
+function addTokenUsage(total, usage) {
+    if (!usage) return total;
+    if (!total) return { ...usage };
+    return {
+        prompt_tokens: total.prompt_tokens + usage.prompt_tokens,
+        completion_tokens: total.completion_tokens + usage.completion_tokens,
+        total_tokens: total.total_tokens + usage.total_tokens
+    };
+}
+
+/**
+ * Infers the change type of a target by AST-diffing its previous and current version.
+ * The previous version comes from --old_file, --base_ref, or the base of the --diff/--staged range.
+ * @param {string} projectPath Absolute path to the project directory.
+ * @param {object} target The target node, including its `id`.
+ * @param {{base: string, head: string|null}} revisions The revisions holding the previous and current version.
+ * @param {string} [oldFile] A file holding the previous version, used instead of the base revision.
+ * @returns {{change_type: string, signals: Array<string>}}
+ */
+function inferTargetChangeType(projectPath, target, revisions, oldFile) {
+    // Module-level targets have no function body to compare
+    if (target.type === 'module' || !target.file) {
+        return { change_type: "generic_behavioral_change::from:module,to:module changed", signals: [] };
+    }
+    const oldCode = oldFile
+        ? fs.readFileSync(path.resolve(oldFile), 'utf-8')
+        : readFileAtRevision(projectPath, revisions.base, target.file);
+    const newCode = readFileAtRevision(projectPath, revisions.head, target.file);
+
+    try {
+        return inferChangeType(oldCode, newCode, target.name, target.file);
+    } catch (error) {
+        console.warn(`Warning: Could not infer the change type of ${target.id}: ${error.message}`);
+        return { change_type: "generic_behavioral_change", signals: [] };
+    }
+}
+
+/**
+ * Groups impacts by the workspace package they belong to, so a change in a shared package shows which apps it reaches.
+ * Packages other than the changed ones come first, most impacted first.
+ * @param {object} graph The dependency graph.
+ * @param {Array<object>} targetNodes The changed nodes.
+ * @param {Array<object>} impacts The merged blast radius.
+ * @returns {Array<object>} One entry per impacted package (empty outside of workspaces).
+ */
+function groupImpactsByPackage(graph, targetNodes, impacts) {
+    if (graph.metadata.workspace_packages.length === 0) return [];
+
+    const targetPackages = new Set(targetNodes.map(target => target.package || graph.nodes[target.file]?.package).filter(Boolean));
+    const groups = new Map();
+    for (const impact of impacts) {
+        const packageName = impact.package || '(workspace root)';
+        if (!groups.has(packageName)) {
+            groups.set(packageName, {
+                package: packageName,
+                is_target_package: targetPackages.has(packageName),
+                total_impacted_nodes: 0,
+                max_propagation_depth: 0,
+                api_impacts: [],
+                impacted_nodes: []
+            });
+        }
+        const group = groups.get(packageName);
+        group.total_impacted_nodes++;
+        group.max_propagation_depth = Math.max(group.max_propagation_depth, impact.depth);
+        group.impacted_nodes.push(impact.id);
+        if (impact.type === 'api') group.api_impacts.push(impact.id);
+    }
+    return [...groups.values()].sort((a, b) => a.is_target_package - b.is_target_package || b.total_impacted_nodes - a.total_impacted_nodes);
+}
+
+/**
+ * Lists, for each target whose return type changed, the dependents reading its value and the fields they read:
+ * components destructuring a hook's result, and `useContext` consumers of a context the target provides.
+ * @param {Array<object>} targets The resolved targets.
+ * @param {Array<object>} impacts The merged blast radius.
+ * @returns {Array<{target: string, consumers: Array<{id: string, file: string, fields: Array<string>|null}>}>}
+ *   `fields` is null for consumers using the value as a whole.
+ */
+function getFieldUsage(targets, impacts) {
+    return targets.filter(target => target.raw_change_type === 'changed_return_type').map(target => ({
+        target: target.id,
+        consumers: impacts
+            .filter(impact => impact.fields_read !== undefined && impact.reached_by.includes(target.id))
+            .map(impact => ({ id: impact.id, file: impact.file, fields: impact.fields_read }))
+    })).filter(usage => usage.consumers.length > 0);
+}
+
+/**
+ * Finds the node a `--target` names: its full ID, its name (`getUserById`), a method name without its class, or
+ * the start of an API ID (`GET /users`).
+ * @param {object} graph The dependency graph.
+ * @param {string} target The target as given on the command line.
+ * @returns {string|undefined} The node ID.
+ */
+export function findTargetNodeId(graph, target) {
+    return Object.keys(graph.nodes).find(k =>
+        k === target || k.endsWith(`::${target}`) || k.startsWith(`${target} `) ||
+        graph.nodes[k].methodName === target // Class methods may be named without their class
+    );
+}
+
+/**
+ * Resolves the change type and risk profile of each target, inferring the change type from the previous
+ * version of the target when it is `auto`.
+ * @param {object} graph The dependency graph.
+ * @param {string} projectPath Absolute path to the project directory.
+ * @param {Array<{id: string, requested_change_type: string}>} targets The changed node IDs and their requested change types.
+ * @param {object} [options]
+ * @param {{base: string, head: string|null}} [options.revisions] The revisions holding the previous version of
+ *   `auto` targets.
+ * @param {string} [options.oldFile] A file holding the previous version, used instead of the base revision.
+ * @param {object} [options.config] The project config of loadProjectConfig, whose change profiles apply.
+ * @returns {Array<object>} The resolved targets.
+ * @throws {Error} If a revision of an `auto` target does not exist, or its files cannot be read.
+ */
+export function resolveTargetChanges(graph, projectPath, targets, options = {}) {
+    const { revisions, oldFile, config = getDefaultProjectConfig() } = options;
+    // A revision that does not exist must fail the analysis, not pass as "the target did not exist"
+    if (!oldFile && revisions && targets.some(target => target.requested_change_type === 'auto')) {
+        for (const revision of [revisions.base, revisions.head]) {
+            if (revision) verifyRevision(projectPath, revision);
+        }
+    }
+    return targets.map(({ id, requested_change_type }) => {
+        const node = graph.nodes[id];
+        let changeType = requested_change_type;
+        let inferenceSignals = null;
+        if (changeType === 'auto') {
+            const inferred = inferTargetChangeType(projectPath, { id, ...node }, revisions, oldFile);
+            changeType = inferred.change_type;
+            inferenceSignals = inferred.signals;
+            console.error(`Inferred change type for ${id}: ${changeType}`);
+        }
+
+        // Parse detailed change_type (Fix 2: Behavioral Delta Detection)
+        const [rawChangeType, ...behavioralDetailsParts] = changeType.split('::');
+        return {
+            id,
+            node,
+            change_type: changeType,
+            raw_change_type: rawChangeType,
+            behavioral_delta: behavioralDetailsParts.join('::') || '',
+            profile: getChangeProfile(config.change_profiles, rawChangeType),
+            inference_signals: inferenceSignals
+        };
+    });
+}
+
+/**
+ * Analyzes the impact of a set of changes: blast radius, caller safety, risk score, failure probabilities and the
+ * AI narrative. The result is the JSON report the CLI prints and the server returns.
+ * @param {object} graph The dependency graph produced by parseToGraph.
+ * @param {string} projectPath Absolute path to the project directory.
+ * @param {Array<object>} targets The targets resolved by resolveTargetChanges.
+ * @param {object} [options]
+ * @param {string} [options.project] The project path as the user gave it, echoed in the report.
+ * @param {string} [options.criticalityFlags] Comma-separated business criticality flags of the targets.
+ * @param {boolean} [options.includeCallerSafetyScan] Whether to scan the callers of the targets (default: true).
+ * @param {{maxDepth?: number, maxNodes?: number, timeBudgetMs?: number}} [options.traversalLimits] Blast radius limits.
+ * @param {{range: string|null, staged: boolean}|null} [options.diff] The git diff the targets were derived from.
+ * @param {boolean} [options.aiAnalysis] Whether to ask the AI layer for its analysis, if an API key is set (default: true).
+ * @param {object} [options.llmProvider] The LLM provider of the AI layer (see createLlmProvider; default: OpenAI's
+ *   gpt-4o, if OPENAI_API_KEY is set).
+ * @param {number} [options.startTime] `performance.now()` at the start of the analysis, for `time_ms`.
+ * @param {object} [options.config] The project config of loadProjectConfig, whose zone weights, endpoint
+ *   criticality patterns and criticality flags apply (the graph was built with its zone rules and ignores).
+ * @returns {Promise<object>} The impact report.
+ */
+export async function buildImpactReport(graph, projectPath, targets, options = {}) {
+    const {
+        project = projectPath,
+        criticalityFlags = '',
+        includeCallerSafetyScan = true,
+        traversalLimits = {},
+        diff = null,
+        aiAnalysis = true,
+        startTime = performance.now(),
+        config = getDefaultProjectConfig(),
+        llmProvider = createLlmProvider()
+    } = options;
+    const zoneWeights = { ...ARCHITECTURAL_ZONE_WEIGHTS, ...config.zone_weights };
+    const endpointHeuristics = [...config.endpoint_criticality, ...ENDPOINT_CRITICALITY_HEURISTICS];
+    const criticalityFlagMultipliers = { ...CRITICALITY_FLAG_MULTIPLIERS, ...config.criticality_flags };
+
+    const targetNodeIds = targets.map(target => target.id);
+    const targetNodes = targets.map(target => ({ id: target.id, ...target.node }));
+    const targetNodeDetails = targets[0].node;
+    if (!targetNodeDetails) {
+        throw new Error(`Details for target node '${targetNodeIds[0]}' could not be retrieved.`);
+    }
+
+    // The most severe change drives the base of the combined risk score
+    const primaryTarget = targets.reduce((worst, target) => target.profile.base > worst.profile.base ? target : worst, targets[0]);
+    const semanticChangeProfile = primaryTarget.profile;
+
+    const blastRadius = calculateMergedBlastRadius(graph, targetNodeIds, traversalLimits);
+    const truncationReasons = blastRadius.truncated;
+    if (truncationReasons.length > 0) {
+        console.warn(`Warning: Blast radius analysis stopped early (${truncationReasons.join(', ')}); the impacts and the risk score are a lower bound.`);
+    }
+    let allImpacts = blastRadius.impacts;
+    // reduce rather than Math.max(...), which overflows the call stack on very large impact lists
+    const maxDepth = allImpacts.reduce((max, i) => Math.max(max, i.depth), 0);
+    let apiImpacts = allImpacts.filter(i => i.type === 'api');
+
+    // 🧪 Upgrade 2 — Caller Safety Scan (GAME CHANGER)
+    let callerSafetyAnalysisResults = [];
+    if (includeCallerSafetyScan) {
+        // Scan each target's dependents for call sites of that target. Targets sharing a name
+        // scan the same call sites, so findings are de-duplicated and list every target they belong to.
+        const findingsByCallSite = new Map();
+        for (const target of targetNodes) {
+            // Filter for actual impact nodes that are functions/APIs and have a file path
+            const relevantImpacts = allImpacts.filter(i => (i.type === 'function' || i.type === 'api') && i.file !== 'N/A' && i.reached_by.includes(target.id));
+            const uniqueImpactedFiles = [...new Set(relevantImpacts.map(i => path.join(projectPath, i.file)))]; // Get absolute paths of unique files
+            const targetFunctionName = target.methodName || target.name || target.id;
+
+            for (const fileAbsPath of uniqueImpactedFiles) {
+                for (const finding of scanCallerSafety(fileAbsPath, targetFunctionName)) {
+                    const callSiteKey = `${finding.file}:${finding.line}:${finding.column}:${finding.callee}`;
+                    if (findingsByCallSite.has(callSiteKey)) {
+                        findingsByCallSite.get(callSiteKey).targets.push(target.id);
+                    } else {
+                        findingsByCallSite.set(callSiteKey, { ...finding, targets: [target.id] });
+                    }
+                }
+            }
+        }
+        callerSafetyAnalysisResults = [...findingsByCallSite.values()];
+
+        // Augment impacts with safety info
+        const withSafetyDetails = impact => {
+            const safetyForThisImpact = callerSafetyAnalysisResults.filter(s =>
+                s.file === path.join(projectPath, impact.file) && // Compare absolute paths
+                s.targets.some(targetId => impact.reached_by.includes(targetId)) // Ensure it's for a target reaching this impact
+            );
+            return { ...impact, caller_safety_details: safetyForThisImpact };
+        };
+        allImpacts = allImpacts.map(withSafetyDetails);
+        apiImpacts = apiImpacts.map(withSafetyDetails);
+    }
+
+    // 🎯 Upgrade 5 — Endpoint Criticality Ranking (Fix 3: Meaningful Ranking)
+    const rankedApiImpacts = apiImpacts.map(api => {
+        // Pass relevant caller safety details for this specific API endpoint
+        // Filter safety results to only those originating from this API's file
+        const apiCallSafetySummaries = callerSafetyAnalysisResults.filter(s => s.file === path.join(projectPath, api.file));
+        return {
+            ...api,
+            // Impacts do not carry the route the heuristics match, the API node does
+            criticality: getEndpointCriticality({ ...api, route: graph.nodes[api.id]?.route }, apiCallSafetySummaries, endpointHeuristics)
+        };
+    }).sort((a, b) => b.criticality.score - a.criticality.score);
+
+    // 🏗 Upgrade 4 — Architectural Awareness Expansion (Zone Weighting)
+    const getImpactedZones = impacts => [...new Set(impacts.map(i => i.zone).filter(z => z !== "External/Unresolved"))];
+    const getZoneWeightSum = zones => zones.reduce((sum, zone) => sum + (zoneWeights[zone] || 0), 0);
+    const impactedZones = getImpactedZones(allImpacts);
+    const zoneWeightSum = getZoneWeightSum(impactedZones);
+
+    // Criticality Multiplier (for the target node itself)
+    let targetCriticalityMultiplier = 1.0;
+    if (criticalityFlags) {
+        const flags = criticalityFlags.split(',').map(f => f.trim());
+        for (const flag of flags) {
+            if (Object.hasOwn(criticalityFlagMultipliers, flag)) targetCriticalityMultiplier *= criticalityFlagMultipliers[flag];
+        }
+    }
+
+    const DEPTH_IMPACT_FACTOR = 0.2;
+    const ZONE_IMPACT_FACTOR = 0.1;
+    const OVERLAP_IMPACT_FACTOR = 0.15;
+
+    // Each API counts once per change reaching it, weighted by that change's profile
+    const apiImpactWeight = apiImpacts.reduce((sum, api) =>
+        sum + targets.filter(target => api.reached_by.includes(target.id)).reduce((weight, target) => weight + target.profile.impact_weight, 0), 0);
+    // Dependents hit by several changes at once are where failures compound
+    const overlappingImpacts = allImpacts.filter(i => i.reached_by.length > 1);
+    const overlapCount = overlappingImpacts.reduce((sum, i) => sum + i.reached_by.length - 1, 0);
+
+    let score = semanticChangeProfile.base +
+        apiImpactWeight +
+        (maxDepth * DEPTH_IMPACT_FACTOR) +
+        (zoneWeightSum * ZONE_IMPACT_FACTOR) +
+        (overlapCount * OVERLAP_IMPACT_FACTOR);
+
+    score *= targetCriticalityMultiplier;
+
+    const clampedScore = parseFloat(Math.min(10, score).toFixed(1));
+
+    // 📊 Upgrade 3 — Real Confidence Model
+    const parseCoverage = graph.metadata.total_files > 0 ? (1 - (graph.metadata.unresolved_files / graph.metadata.total_files)) : 1;
+    const importResolutionCoverage = graph.metadata.total_imports > 0 ? (graph.metadata.resolved_imports / graph.metadata.total_imports) : 1;
+    const combinedConfidence = ((parseCoverage + importResolutionCoverage) / 2) * 100;
+
+    // 4️⃣ Improve Import Resolution - Mode: Partial Graph (Fast Analysis)
+    let analysisMode = "Full Graph (Comprehensive Analysis)";
+    if (graph.metadata.analysis_limit_reached || combinedConfidence < 80) { // If less than 80% confidence
+        analysisMode = "Partial Graph (Fast Analysis)";
+    }
+
+    // 🔥 Upgrade 6 — Probability Instead of Static Score (Heuristic calculations) (Fix 1 & 2)
+    let errorSpikeProbability = 0;
+    let nullDereferenceProbability = 0;
+    let unhandledExceptionProbability = 0;
+    let dataInconsistencyProbability = 0;
+
+    // Aggregate probabilities and their breakdowns from caller safety analysis (Fix 1 & 2)
+    const { unsafe_dereference_likelihood: aggregatedUnsafeDereferenceLikelihood, unhandled_error_probability: aggregatedUnhandledErrorProb } = getCallerSafetySignals(callerSafetyAnalysisResults);
+    const aggregatedUnsafeDereferenceBreakdowns = callerSafetyAnalysisResults.flatMap(s => s.unsafeDereferenceBreakdown || []);
+    const aggregatedUnhandledErrorBreakdowns = callerSafetyAnalysisResults.flatMap(s => s.unhandledErrorBreakdown || []);
+
+    // Per-change probabilities, each amplified by the safety of that change's own callers, are combined
+    // as independent failure sources: P(any) = 1 - Π(1 - P(change))
+    const perTargetScores = targets.map(target => {
+        const targetImpacts = allImpacts.filter(i => i.reached_by.includes(target.id));
+        const targetApiCount = targetImpacts.filter(i => i.type === 'api').length;
+        const targetMaxDepth = targetImpacts.reduce((max, i) => Math.max(max, i.depth), 0);
+        const targetScore = (target.profile.base +
+            (targetApiCount * target.profile.impact_weight) +
+            (targetMaxDepth * DEPTH_IMPACT_FACTOR) +
+            (getZoneWeightSum(getImpactedZones(targetImpacts)) * ZONE_IMPACT_FACTOR)) * targetCriticalityMultiplier;
+
+        const probabilities = getChangeProbabilities(target.profile, target.behavioral_delta,
+            getCallerSafetySignals(callerSafetyAnalysisResults.filter(s => s.targets.includes(target.id))));
+        errorSpikeProbability = 1 - (1 - errorSpikeProbability) * (1 - Math.min(1, probabilities.errorSpike));
+        nullDereferenceProbability = 1 - (1 - nullDereferenceProbability) * (1 - Math.min(1, probabilities.nullDereference));
+        unhandledExceptionProbability = 1 - (1 - unhandledExceptionProbability) * (1 - Math.min(1, probabilities.unhandledException));
+        dataInconsistencyProbability = 1 - (1 - dataInconsistencyProbability) * (1 - Math.min(1, probabilities.dataInconsistency));
+
+        return {
+            target: target.id,
+            change_type: target.change_type,
+            base_risk: target.profile.base,
+            impact_weight: target.profile.impact_weight,
+            impacted_nodes: targetImpacts.length,
+            api_surface_impact: targetApiCount,
+            max_propagation_depth: targetMaxDepth,
+            score: parseFloat(Math.min(10, targetScore).toFixed(1))
+        };
+    });
+
+    // Further adjust based on aggregated caller safety (Fix 1)
+    unhandledExceptionProbability = Math.max(unhandledExceptionProbability, aggregatedUnhandledErrorProb);
+    nullDereferenceProbability = Math.max(nullDereferenceProbability, aggregatedUnsafeDereferenceLikelihood); // Using renamed likelihood
+
+    // Adjust based on criticality of impacted APIs
+    const criticalImpactedApis = rankedApiImpacts.filter(api => api.criticality.level === "CRITICAL" || api.criticality.level === "HIGH");
+    if (criticalImpactedApis.length > 0) {
+        const criticalityFactor = criticalImpactedApis.length / rankedApiImpacts.length;
+        errorSpikeProbability += 0.1 * criticalityFactor;
+        unhandledExceptionProbability += 0.1 * criticalityFactor;
+        nullDereferenceProbability += 0.1 * criticalityFactor;
+    }
+
+    // Cap probabilities at 100% and ensure non-zero if risk exists (Fix 1)
+    errorSpikeProbability = Math.min(1, errorSpikeProbability);
+    nullDereferenceProbability = Math.min(1, nullDereferenceProbability);
+    unhandledExceptionProbability = Math.min(1, unhandledExceptionProbability); // Use the combined value
+    dataInconsistencyProbability = Math.min(1, dataInconsistencyProbability);
+
+    // Ensure a minimum non-zero probability if there's any perceived risk, to avoid "breaking trust"
+    if (errorSpikeProbability < 0.01 && (aggregatedUnhandledErrorProb > 0 || aggregatedUnsafeDereferenceLikelihood > 0 || apiImpacts.length > 0)) errorSpikeProbability = 0.01;
+    if (nullDereferenceProbability < 0.01 && (aggregatedUnsafeDereferenceLikelihood > 0)) nullDereferenceProbability = 0.01;
+    if (unhandledExceptionProbability < 0.01 && (aggregatedUnhandledErrorProb > 0)) unhandledExceptionProbability = 0.01;
+
+
+    // Risk Level (More nuanced definition)
+    let riskLevel;
+    if (clampedScore >= 9.0 || unhandledExceptionProbability > 0.6 || nullDereferenceProbability > 0.6) {
+        riskLevel = "CRITICAL";
+    } else if (clampedScore > 7.0 || errorSpikeProbability > 0.4 || unhandledExceptionProbability > 0.3 || nullDereferenceProbability > 0.3) {
+        riskLevel = "HIGH";
+    } else if (clampedScore > 4.0 || errorSpikeProbability > 0.1) {
+        riskLevel = "MEDIUM";
+    } else {
+        riskLevel = "LOW";
+    }
+
+    // 1️⃣ Confidence-Aware Risk - Capping risk if confidence is low
+    let finalRiskLevel = riskLevel;
+    let confidenceReason = null;
+    if (combinedConfidence < 50) {
+        // Cap risk at "Moderate – Needs Verification"
+        if (finalRiskLevel === "CRITICAL" || finalRiskLevel === "HIGH") {
+            finalRiskLevel = "MEDIUM - Needs Verification";
+        } else {
+            // If it was already MEDIUM or LOW, just add the verification note
+            finalRiskLevel += " - Needs Verification";
+        }
+        confidenceReason = `Low confidence (${combinedConfidence.toFixed(0)}%) due to partial graph analysis. Verification is recommended.`;
+    }
+
+    const packageImpacts = groupImpactsByPackage(graph, targetNodes, allImpacts);
+    const fieldUsage = getFieldUsage(targets, allImpacts);
+    const impactedPackages = packageImpacts.filter(group => !group.is_target_package).map(group => group.package);
+
+    // Prepare context for the AI prompt
+    const aiContext = {
+        target_nodes: targetNodes.map(target => ({
+            id: target.id,
+            type: target.type,
+            name: target.name,
+            file: target.file,
+            zone: target.zone,
+            parameters: target.parameters,
+            returnType: target.returnType,
+            isAsync: target.isAsync,
+            criticality_flags: criticalityFlags ? criticalityFlags.split(',') : []
+        })),
+        change_details: targets.map(target => ({
+            target: target.id,
+            raw_type: target.raw_change_type,
+            behavioral_delta: target.behavioral_delta,
+            description: target.profile.description
+        })),
+        impact_metrics: {
+            total_impacted_nodes: allImpacts.length,
+            max_propagation_depth: maxDepth,
+            truncated: truncationReasons.length > 0, // Impacts beyond the traversal limits are missing
+            api_surface_impact: apiImpacts.length,
+            impacted_architectural_zones: impactedZones,
+            calculated_raw_score: parseFloat(score.toFixed(2)),
+            final_clamped_score: clampedScore,
+            risk_level: finalRiskLevel, // Use the confidence-aware final risk level
+            confidence: {
+                parse_coverage: `${(parseCoverage * 100).toFixed(0)}%`,
+                import_resolution_coverage: `${(importResolutionCoverage * 100).toFixed(0)}%`,
+                overall: `${(combinedConfidence).toFixed(0)}%`,
+                analysis_mode: analysisMode, // Add the analysis mode here
+                reason: confidenceReason // Add reason if confidence is low
+            },
+            estimated_failure_probabilities: {
+                error_spike_probability: `${(errorSpikeProbability * 100).toFixed(0)}%`,
+                null_dereference_probability: `${(nullDereferenceProbability * 100).toFixed(0)}%`,
+                unhandled_exception_probability: `${(unhandledExceptionProbability * 100).toFixed(0)}%`,
+                dataInconsistency_probability: `${(dataInconsistencyProbability * 100).toFixed(0)}%`,
+                // Sample breakdown for AI to summarize
+                null_dereference_breakdown_sample: aggregatedUnsafeDereferenceBreakdowns.slice(0, 5), // Renamed
+                unhandled_exception_breakdown_sample: aggregatedUnhandledErrorBreakdowns.slice(0, 5)
+            }
+        },
+        direct_dependents_sample: allImpacts.filter(i => i.depth === 1).slice(0, 5),
+        indirect_dependents_sample: allImpacts.filter(i => i.depth > 1).slice(0, 5),
+        ranked_api_impacts: rankedApiImpacts.slice(0, 5), // Top 5 risky APIs
+        // Other workspace packages (apps) reached by the change
+        impacted_packages: packageImpacts.filter(group => !group.is_target_package)
+            .map(({ package: packageName, total_impacted_nodes, api_impacts }) => ({ package: packageName, total_impacted_nodes, api_impacts })),
+        // Which consumers read which fields of a changed return value
+        field_usage: fieldUsage,
+        caller_safety_analysis_summary: callerSafetyAnalysisResults
+            .filter(s => s.unhandledErrorProbability > 0.05 || s.unsafeDereferenceLikelihood > 0.05) // Filter for higher risk calls (Renamed)
+            .slice(0, 5) // Sample unsafe calls for AI context
+    };
+
+    // 🔊 Upgrade 7 — “If Deployed Now” Simulation & 🧬 Upgrade 8 — Null Propagation Trace & 🔟 No “Scary Insight”
+    const prompt = `You are CodeBuddy, a world-class senior software engineer and coding partner.
+You are performing a brutal audit of a code change. Your task is to provide a highly intelligent, predictive, and business-aware impact analysis.
+Based on the provided structured context, generate a comprehensive analysis in JSON format.
+
+Context:
+${JSON.stringify(aiContext, null, 2)}
+
+Your analysis must include:
+1.  "summary": A concise, factual statement summarizing the impact, referencing the change type, API count, depth, and risk level.
+2.  "behavioral_delta_interpretation": Based on the 'behavioral_delta' of each entry in 'change_details', explain what *exactly* changed in the function's behavior (e.g., "This function now explicitly throws an error when X, whereas previously it returned Y.").
+3.  "technical_reasoning": An array of bullet points detailing the structural and behavioral reasons for the score. Explain *why* certain zones or depths contribute to risk, and how the behavioral delta propagates.
+4.  "caller_safety_analysis_summary": Summarize the findings from the 'caller_safety_analysis_summary' field in the context. Highlight specific types of vulnerabilities found (e.g., "X out of Y callers lack null checks, Z callers have no try/catch."). Also, provide a brief summary of how the deterministic probabilities were derived (e.g., "Unsafe dereference likelihood was calculated from a base of 0.7 due to no explicit null checks, then reduced by 0.5 due to optional chaining, resulting in 0.2") using the provided breakdown samples.
+5.  "estimated_failure_probabilities": Reiterate and elaborate on the estimated probabilities provided in the context, explaining the contributing factors from both the change type and caller safety analysis.
+6.  "deployment_projection": Simulate what would happen if this change were deployed *now*. Include:
+    *   "immediate_effects": What would users or systems experience immediately? (e.g., "Increased 400 errors for invalid input", "Spike in 500 errors due to unhandled exceptions").
+    *   "long_term_effects": What are the sustained consequences? (e.g., "Data inconsistency in analytics pipelines", "Degraded user experience for critical workflows").
+7.  "scary_insight": Provide one sharp, surprising, and critical insight that highlights a major vulnerability or a hidden risk. This should be an "oh shit" moment.
+    *   Example: "4 of the 6 impacted endpoints do not handle null returns from this function. This change increases 500 error probability significantly for critical user-facing APIs."
+8.  "simulated_failure_trace": Based on caller safety analysis, describe a *concrete* potential null/error propagation path that could lead to a crash or silent failure. Focus on one high-risk path identified by the safety analysis.
+    *   Example: "Input: id = invalid UUID to 'getUserById'. 'getUserById' now returns null. 'POST /api/action-items' (criticality: HIGH) in 'src/routes/actionItems.js' at line 42 will attempt to destructure 'user.id' without a null check, causing a TypeError 'Cannot read properties of null (reading 'id')' which results in a 500 response to the client."
+9.  "recommendation": A concise, actionable suggestion based on the predicted risks.
+10. "visual_narrative_suggestion": Describe what an ideal visual presentation (e.g., a risk heatmap or layered graph in a demo) would highlight to emphasize the risk and impact, including the most vulnerable paths.
+
+Adhere strictly to the requested JSON format and provide a professional, expert tone.`;
+
+    // Ask the model for its analysis, and once more with the problems found when its answer does not match the
+    // schema. Without a usable answer, the narrative is written from the deterministic data of the report instead.
+    let aiExplanation = null;
+    const llmMetadata = {
+        provider: llmProvider.name,
+        model: llmProvider.model,
+        base_url: llmProvider.base_url,
+        status: aiAnalysis ? 'skipped' : 'disabled',
+        narrative_source: 'rule_based',
+        attempts: 0,
+        latency_ms: null,
+        usage: null
+    };
+
+    if (!llmProvider.unavailable_reason && aiAnalysis) {
+        const llmStartTime = performance.now();
+        try {
+            console.error("Generating AI analysis...");
+            let attemptPrompt = prompt;
+            for (let attempt = 1; attempt <= 1 + AI_REPAIR_ATTEMPTS && !aiExplanation; attempt++) {
+                llmMetadata.attempts = attempt;
+                const completion = await llmProvider.complete(attemptPrompt);
+                llmMetadata.usage = addTokenUsage(llmMetadata.usage, completion.usage);
+                const { analysis, errors } = parseAiAnalysis(completion.content);
+                if (errors.length === 0) {
+                    aiExplanation = analysis;
+                } else {
+                    llmMetadata.validation_errors = errors;
+                    console.error(`The AI analysis does not match its schema (${errors.length} problem(s), e.g. ${errors[0]})${attempt <= AI_REPAIR_ATTEMPTS ? '. Asking the model to repair it...' : ''}`);
+                    attemptPrompt = getRepairPrompt(prompt, completion.content, errors);
+                }
+            }
+            if (aiExplanation) {
+                llmMetadata.status = 'completed';
+                llmMetadata.narrative_source = 'model';
+            } else {
+                throw new Error('The response did not match the schema, even after asking the model to repair it.');
+            }
+        } catch (error) {
+            console.error("AI Analysis failed:", error.message, "Using the rule-based narrative.");
+            llmMetadata.status = 'failed';
+            llmMetadata.error = error.message;
+        }
+        llmMetadata.latency_ms = Math.round(performance.now() - llmStartTime);
+    } else if (aiAnalysis) {
+        // Only log simple warning to reduce noise
+        console.warn(`⚠️ AI analysis skipped (${llmProvider.unavailable_reason}): using the rule-based narrative. To enable it, set OPENAI_API_KEY or --llm_base_url.`);
+    }
+
+    // Store the full output in a variable
+    const finalOutput = {
+        analysis_metadata: {
+            project,
+            target: targetNodeIds.join(', '),
+            targets: targetNodeIds,
+            change_type: primaryTarget.change_type,
+            changes: targets.map(target => ({
+                target: target.id,
+                change_type: target.change_type,
+                inferred: target.inference_signals !== null,
+                ...(target.inference_signals ? { signals: target.inference_signals } : {})
+            })),
+            diff,
+            criticality_flags: criticalityFlags ? criticalityFlags.split(',') : [],
+            time_ms: Math.round(performance.now() - startTime),
+            graph_build: {
+                parse_time_ms: graph.metadata.parse_time_ms,
+                parse_workers: graph.metadata.parse_workers,
+                parse_cache: graph.metadata.parse_cache
+            },
+            traversal_limits: {
+                max_depth: traversalLimits.maxDepth ?? null,
+                max_nodes: traversalLimits.maxNodes ?? null,
+                time_budget_ms: traversalLimits.timeBudgetMs || null
+            },
+            llm: llmMetadata,
+            analysis_mode: analysisMode
+        },
+        impact_summary: {
+            total_impacted_nodes: allImpacts.length,
+            max_propagation_depth: maxDepth,
+            api_surface_impact: apiImpacts.length,
+            name_only_impacts: allImpacts.filter(i => i.resolution === 'name_only').length,
+            truncated: truncationReasons.length > 0,
+            truncation_reasons: truncationReasons,
+            call_resolution: graph.metadata.call_resolution,
+            impacted_packages: impactedPackages,
+            confidence: {
+                parse_coverage: `${(parseCoverage * 100).toFixed(0)}%`,
+                import_resolution_coverage: `${(importResolutionCoverage * 100).toFixed(0)}%`,
+                overall: `${(combinedConfidence).toFixed(0)}%`,
+                reason: confidenceReason
+            }
+        },
+        risk_model: {
+            formula_description: "Base + (API_Impacts * Profile_Weight) + (Max_Depth * Depth_Impact_Factor) + (Zone_Weight_Sum * Zone_Impact_Factor) + (Overlapping_Hits * Overlap_Impact_Factor) * Target_Criticality_Multiplier",
+            change_type_profile: {
+                raw_type: primaryTarget.raw_change_type,
+                behavioral_delta: primaryTarget.behavioral_delta,
+                description: semanticChangeProfile.description,
+                base_risk: semanticChangeProfile.base,
+                impact_weight: semanticChangeProfile.impact_weight,
+                probabilities: semanticChangeProfile.probabilities,
+                amplifiers: semanticChangeProfile.amplifiers,
+                source: semanticChangeProfile.source
+            },
+            architectural_zone_weights_applied: impactedZones.map(zone => ({
+                zone: zone,
+                weight: zoneWeights[zone] || 0
+            })),
+            target_criticality_multiplier_applied: targetCriticalityMultiplier,
+            project_config: describeProjectConfig(config),
+            per_target_scores: perTargetScores,
+            overlap: {
+                overlapping_dependents: overlappingImpacts.length,
+                overlapping_hits: overlapCount,
+                overlap_impact_factor: OVERLAP_IMPACT_FACTOR
+            },
+            calculated_raw_score: parseFloat(score.toFixed(2)),
+            final_clamped_score: clampedScore,
+            risk_level: finalRiskLevel,
+            impacted_zones: impactedZones,
+            estimated_failure_probabilities: {
+                error_spike_probability: `${(errorSpikeProbability * 100).toFixed(0)}%`,
+                null_dereference_probability: `${(nullDereferenceProbability * 100).toFixed(0)}%`,
+                unhandled_exception_probability: `${(unhandledExceptionProbability * 100).toFixed(0)}%`,
+                dataInconsistency_probability: `${(dataInconsistencyProbability * 100).toFixed(0)}%`,
+                null_dereference_breakdown_sample: aggregatedUnsafeDereferenceBreakdowns.slice(0, 5),
+                unhandled_exception_breakdown_sample: aggregatedUnhandledErrorBreakdowns.slice(0, 5)
+            }
+        },
+        impact_tree: {
+            target_node_details: targetNodeDetails,
+            target_nodes: targetNodes,
+            direct_dependents: allImpacts.filter(i => i.depth === 1),
+            indirect_dependents: allImpacts.filter(i => i.depth > 1)
+        },
+        ranked_api_impacts: rankedApiImpacts,
+        package_impacts: packageImpacts,
+        field_usage: fieldUsage,
+        caller_safety_analysis_results: callerSafetyAnalysisResults, // Full results
+        ai_analysis: aiExplanation
+    };
+    if (!aiExplanation) finalOutput.ai_analysis = generateRuleBasedNarrative(finalOutput, targets, graph, projectPath);
+
+    return finalOutput;
+}
+
+/**
+ * Renders an impact report as the interactive HTML page of templates/report.html.
+ * @param {object} report The impact report.
+ * @returns {string} The HTML page.
+ */
+export function renderHtmlReport(report) {
+    const templatePath = path.join(__dirname, 'templates', 'report.html'); // Use __dirname for template location
+    if (!fs.existsSync(templatePath)) {
+        throw new Error(`Visualization template not found at ${templatePath}. Please ensure 'templates/report.html' exists next to 'impactReport.js'.`);
+    }
+
+    const htmlTemplate = fs.readFileSync(templatePath, 'utf-8');
+    // Escape `<` so code from the project (names, call sites) cannot close the <script> element the report is embedded in.
+    // A replacer function, as a replacement string would expand `$&`-style patterns found in the report.
+    const reportJsonString = JSON.stringify(report).replace(/</g, '\\u003c');
+    return htmlTemplate.replace('__REPORT_JSON__', () => reportJsonString);
+}
@@ -0,0 +1,236 @@
+import http from 'http';
+import { performance } from 'perf_hooks';
+import { findDependencyPaths } from './impactAnalysis.js';
+import { findTargetNodeId, resolveTargetChanges, buildImpactReport, renderHtmlReport } from './impactReport.js';
+import { watchProjectGraph } from './graphWatcher.js';
+import { verifyRevision } from './gitDiff.js';
+import { createLlmProvider, getLlmSettings } from './llmProviders.js';
+
+const DEFAULT_NODE_LIMIT = 50;
+const DEFAULT_PATH_LIMIT = 10;
+
+/**
+ * Creates an error answered with a client error status instead of 500.
+ * @param {number} statusCode The HTTP status code.
+ * @param {string} message The error message.
+ * @returns {Error}
+ */
+function requestError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Resolves a node named in a query parameter, the way --target is resolved on the command line.
+ * @param {object} graph The dependency graph.
+ * @param {URLSearchParams} query The query parameters.
+ * @param {string} name The parameter name.
+ * @returns {string} The node ID.
+ */
+function getQueryNode(graph, query, name) {
+    const value = query.get(name);
+    if (!value) throw requestError(400, `Missing the '${name}' query parameter.`);
+    const nodeId = findTargetNodeId(graph, value);
+    if (!nodeId) throw requestError(404, `Node '${value}' not found in the graph.`);
+    return nodeId;
+}
+
+/**
+ * Reads a boolean query parameter (`true`/`false`, `1`/`0`).
+ * @param {URLSearchParams} query The query parameters.
+ * @param {string} name The parameter name.
+ * @param {boolean} defaultValue The value when the parameter is absent.
+ * @returns {boolean}
+ */
+function getQueryFlag(query, name, defaultValue) {
+    return query.has(name) ? !['false', '0', 'no'].includes(query.get(name)) : defaultValue;
+}
+
+/**
+ * Builds the impact report of the changes named by `target` and `change_type` query parameters, which pair like
+ * --target and --change_type: one change type for all targets, or one per target.
+ * @param {object} graph The dependency graph.
+ * @param {object} config The project config the graph was built with.
+ * @param {string} projectPath Absolute path to the project directory.
+ * @param {URLSearchParams} query The query parameters.
+ * @param {object} options The server options.
+ * @returns {Promise<object>} The impact report, as the CLI prints it.
+ */
+async function getImpactReport(graph, config, projectPath, query, options) {
+    const startTime = performance.now();
+    const targetNames = query.getAll('target');
+    const changeTypes = query.getAll('change_type');
+    if (targetNames.length === 0 || changeTypes.length === 0) {
+        throw requestError(400, "Pass at least one 'target' and one 'change_type' query parameter.");
+    }
+    if (changeTypes.length !== 1 && changeTypes.length !== targetNames.length) {
+        throw requestError(400, `Got ${targetNames.length} 'target' and ${changeTypes.length} 'change_type' values. Pass one change_type for all targets, or one per target.`);
+    }
+    if (changeTypes.includes('auto') && !query.get('base_ref')) {
+        throw requestError(400, "change_type 'auto' needs the previous version of the target: pass 'base_ref'.");
+    }
+    if (query.has('base_ref')) {
+        try {
+            verifyRevision(projectPath, query.get('base_ref'));
+        } catch (error) {
+            throw requestError(400, error.message);
+        }
+    }
+
+    const targets = [];
+    targetNames.forEach((targetName, index) => {
+        const targetNodeId = findTargetNodeId(graph, targetName);
+        if (!targetNodeId) throw requestError(404, `Target node '${targetName}' not found in the graph.`);
+        // The same node may be named twice (e.g. by name and by full ID); the first change type wins
+        if (!targets.some(target => target.id === targetNodeId)) {
+            targets.push({ id: targetNodeId, requested_change_type: changeTypes.length === 1 ? changeTypes[0] : changeTypes[index] });
+        }
+    });
+
+    const resolvedTargets = resolveTargetChanges(graph, projectPath, targets, { revisions: { base: query.get('base_ref'), head: null }, config });
+    return buildImpactReport(graph, projectPath, resolvedTargets, {
+        project: options.project,
+        criticalityFlags: query.get('criticality_flags') || '',
+        includeCallerSafetyScan: getQueryFlag(query, 'include_caller_safety_scan', true),
+        traversalLimits: options.traversalLimits,
+        // Queries come from editors and review tools on every refresh, so the LLM is only called on request
+        aiAnalysis: getQueryFlag(query, 'ai', false),
+        startTime,
+        config,
+        llmProvider: createLlmProvider(getLlmSettings(projectPath, config.llm, options.llmOverrides))
+    });
+}
+
+/**
+ * Lists the nodes whose ID or name contains `search` (case-insensitive), optionally of one `type`.
+ * Exact name matches come first.
+ * @param {object} graph The dependency graph.
+ * @param {URLSearchParams} query The query parameters.
+ * @returns {{total: number, nodes: Array<object>}}
+ */
+function searchNodes(graph, query) {
+    const search = (query.get('search') || '').toLowerCase();
+    const type = query.get('type');
+    const limit = Number(query.get('limit')) || DEFAULT_NODE_LIMIT;
+
+    const matches = Object.entries(graph.nodes)
+        .filter(([id, node]) => (!type || node.type === type) &&
+            (id.toLowerCase().includes(search) || (node.name || '').toLowerCase().includes(search)))
+        .map(([id, node]) => ({ id, name: node.name || id, type: node.type, zone: node.zone, file: node.type === 'module' ? id : node.file, route: node.route }));
+    matches.sort((a, b) => (b.name.toLowerCase() === search) - (a.name.toLowerCase() === search));
+    return { total: matches.length, nodes: matches.slice(0, limit) };
+}
+
+/**
+ * Answers one request against the current graph.
+ * @param {object} graphWatcher The project's graph watcher.
+ * @param {string} projectPath Absolute path to the project directory.
+ * @param {URL} url The request URL.
+ * @param {object} options The server options.
+ * @returns {Promise<{contentType: string, body: string}>}
+ */
+async function handleRequest(graphWatcher, projectPath, url, options) {
+    const query = url.searchParams;
+    if (url.pathname === '/status') {
+        const graph = graphWatcher.getGraph();
+        return toJsonResponse({
+            project: options.project,
+            ...graphWatcher.getStatus(),
+            nodes: Object.keys(graph.nodes).length,
+            edges: graph.edges.length,
+            files: graph.metadata.total_files
+        });
+    }
+
+    // Every query runs against the graph current when it arrives, even if a rebuild finishes meanwhile
+    const graph = graphWatcher.getGraph();
+    const config = graphWatcher.getConfig();
+    switch (url.pathname) {
+        case '/impact':
+            return toJsonResponse(await getImpactReport(graph, config, projectPath, query, options));
+        case '/report.html':
+            return { contentType: 'text/html; charset=utf-8', body: renderHtmlReport(await getImpactReport(graph, config, projectPath, query, options)) };
+        case '/nodes':
+            return toJsonResponse(searchNodes(graph, query));
+        case '/paths': {
+            const from = getQueryNode(graph, query, 'from');
+            const to = getQueryNode(graph, query, 'to');
+            const paths = findDependencyPaths(graph, from, to, { maxPaths: Number(query.get('limit')) || DEFAULT_PATH_LIMIT });
+            return toJsonResponse({ from, to, paths });
+        }
+        default:
+            throw requestError(404, `Unknown endpoint ${url.pathname}. Use /impact, /report.html, /nodes, /paths or /status.`);
+    }
+}
+
+/**
+ * Serializes a JSON response body.
+ * @param {object} data The response data.
+ * @returns {{contentType: string, body: string}}
+ */
+function toJsonResponse(data) {
+    return { contentType: 'application/json; charset=utf-8', body: JSON.stringify(data, null, 2) };
+}
+
+/**
+ * Starts the local impact server: builds the project's graph once, keeps it up to date as files change, and
+ * answers impact queries over HTTP without parsing the project again.
+ * @param {string} projectPath Absolute path to the project directory.
+ * @param {object} options
+ * @param {string} [options.project] The project path as the user gave it, echoed in reports.
+ * @param {string} [options.host] The interface to listen on (default: 127.0.0.1, local requests only).
+ * @param {number} options.port The port to listen on.
+ * @param {object} [options.buildOptions] The parseToGraph options (cache, cacheDir, workers).
+ * @param {object} [options.traversalLimits] The blast radius limits of every report.
+ * @param {object} [options.llmOverrides] LLM settings overriding those of the project config (see getLlmSettings).
+ * @returns {Promise<{server: http.Server, graphWatcher: object, close: function(): void}>} Resolves once the first
+ *   graph is built and the server listens.
+ */
+export async function startImpactServer(projectPath, options) {
+    const { host = '127.0.0.1', port } = options;
+    const graphWatcher = watchProjectGraph(projectPath, options.buildOptions, {
+        onBuild: (graph, changedFiles) => {
+            if (changedFiles.length > 0) console.log(`Graph updated (${changedFiles.join(', ')}): ${Object.keys(graph.nodes).length} nodes, ${graph.edges.length} edges.`);
+        }
+    });
+    await graphWatcher.ready;
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method !== 'GET') {
+            res.writeHead(405, { 'Content-Type': 'application/json; charset=utf-8', Allow: 'GET' });
+            res.end(JSON.stringify({ error: 'Only GET requests are supported.' }));
+            return;
+        }
+        try {
+            let url;
+            try {
+                url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+            } catch {
+                // A malformed Host header or request target must not take the server down
+                throw requestError(400, `Invalid request URL ${req.url}.`);
+            }
+            const { contentType, body } = await handleRequest(graphWatcher, projectPath, url, options);
+            res.writeHead(200, { 'Content-Type': contentType });
+            res.end(body);
+        } catch (error) {
+            if (!error.statusCode) console.error(`Error answering ${req.url}:`, error);
+            res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ error: error.message }));
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    return {
+        server,
+        graphWatcher,
+        close() {
+            graphWatcher.close();
+            server.close();
+        }
+    };
+}
@@ -0,0 +1,190 @@
+import OpenAI from 'openai';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const LLM_PROVIDERS = ['openai', 'mock'];
+const LLM_SETTING_KEYS = ['provider', 'base_url', 'model', 'timeout_ms', 'temperature', 'fixtures', 'record'];
+const DEFAULT_LLM_SETTINGS = { provider: 'openai', model: 'gpt-4o', timeout_ms: 60000 };
+
+/**
+ * Hashes a prompt, to match recorded responses to the prompts they answered.
+ * @param {string} prompt
+ * @returns {string} The hex SHA-256 of the prompt.
+ */
+export function getPromptHash(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex');
+}
+
+/**
+ * Normalizes the token usage an OpenAI-compatible server reports.
+ * @param {object} [usage] The `usage` of a chat completion.
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number}|null}
+ */
+function toUsage(usage) {
+    if (!usage) return null;
+    return {
+        prompt_tokens: usage.prompt_tokens ?? 0,
+        completion_tokens: usage.completion_tokens ?? 0,
+        total_tokens: usage.total_tokens ?? (usage.prompt_tokens ?? 0) + (usage.completion_tokens ?? 0)
+    };
+}
+
+/**
+ * Creates a provider for the OpenAI API or any server speaking its chat completions protocol (vLLM, Ollama,
+ * llama.cpp, LM Studio...). The key comes from OPENAI_API_KEY; a server at a custom base URL may need none.
+ * @param {object} settings The LLM settings (see getLlmSettings).
+ * @returns {object} The provider.
+ */
+function createOpenAiProvider(settings) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    const client = apiKey || settings.base_url
+        ? new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: settings.base_url, timeout: settings.timeout_ms })
+        : null;
+    return {
+        name: 'openai',
+        model: settings.model,
+        base_url: settings.base_url || null,
+        unavailable_reason: client ? null : 'OPENAI_API_KEY not set',
+        async complete(prompt) {
+            const response = await client.chat.completions.create({
+                model: settings.model,
+                messages: [{ role: "user", content: prompt }],
+                response_format: { type: "json_object" },
+                ...(settings.temperature !== undefined ? { temperature: settings.temperature } : {})
+            });
+            return { content: response.choices[0].message.content, usage: toUsage(response.usage) };
+        }
+    };
+}
+
+/**
+ * Reads a fixture file of recorded responses: `{ "responses": [{ "prompt_sha256", "content", "usage" }] }`.
+ * @param {string} fixturesPath The absolute path of the fixture file.
+ * @returns {Array<object>} The responses.
+ * @throws {Error} If the file cannot be read or has no `responses` array.
+ */
+function readFixtures(fixturesPath) {
+    let fixtures;
+    try {
+        fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Could not read the LLM fixtures ${fixturesPath}: ${error.message}`);
+    }
+    if (!Array.isArray(fixtures?.responses)) throw new Error(`The LLM fixtures ${fixturesPath} must be { "responses": [...] }.`);
+    return fixtures.responses;
+}
+
+/**
+ * Creates a provider replaying recorded responses, to run the AI layer offline and in tests. A prompt gets the
+ * response recorded for it (by `prompt_sha256`), or else the first response without a hash.
+ * @param {object} settings The LLM settings (see getLlmSettings); `fixtures` is required.
+ * @returns {object} The provider.
+ * @throws {Error} If the fixtures are missing or invalid.
+ */
+function createMockProvider(settings) {
+    if (!settings.fixtures) throw new Error('The mock LLM provider needs a fixture file (--llm_fixtures or "llm.fixtures").');
+    const responses = readFixtures(settings.fixtures);
+    return {
+        name: 'mock',
+        model: 'fixture',
+        base_url: null,
+        unavailable_reason: null,
+        async complete(prompt) {
+            const hash = getPromptHash(prompt);
+            const response = responses.find(r => r.prompt_sha256 === hash) || responses.find(r => !r.prompt_sha256);
+            if (!response) throw new Error(`No recorded response for prompt ${hash} in ${settings.fixtures}.`);
+            return {
+                // Hand-written fixtures may hold the JSON answer itself rather than its text
+                content: typeof response.content === 'string' ? response.content : JSON.stringify(response.content),
+                usage: toUsage(response.usage)
+            };
+        }
+    };
+}
+
+/**
+ * Wraps a provider so every response is saved to a fixture file the mock provider can replay. A response to a
+ * prompt recorded before replaces the earlier one.
+ * @param {object} provider The provider to record.
+ * @param {string} recordPath The absolute path of the fixture file.
+ * @returns {object} The recording provider.
+ */
+function withRecording(provider, recordPath) {
+    return {
+        ...provider,
+        async complete(prompt) {
+            const result = await provider.complete(prompt);
+            const hash = getPromptHash(prompt);
+            const responses = fs.existsSync(recordPath) ? readFixtures(recordPath).filter(r => r.prompt_sha256 !== hash) : [];
+            responses.push({ prompt_sha256: hash, provider: provider.name, model: provider.model, content: result.content, usage: result.usage });
+            fs.writeFileSync(recordPath, JSON.stringify({ responses }, null, 2));
+            return result;
+        }
+    };
+}
+
+/**
+ * Creates the LLM provider of the AI layer. A provider has a `name`, `model` and `base_url`, an
+ * `unavailable_reason` when it cannot be used (e.g. no API key), and `complete(prompt)` resolving to the
+ * response text and its token usage: `{content: string, usage: object|null}`.
+ * @param {object} [settings] The LLM settings (see getLlmSettings); the defaults use OpenAI's gpt-4o.
+ * @returns {object} The provider.
+ * @throws {Error} If the provider is unknown or its settings are unusable.
+ */
+export function createLlmProvider(settings = {}) {
+    const resolved = { ...DEFAULT_LLM_SETTINGS, ...settings };
+    let provider;
+    if (resolved.provider === 'openai') provider = createOpenAiProvider(resolved);
+    else if (resolved.provider === 'mock') provider = createMockProvider(resolved);
+    else throw new Error(`Unknown LLM provider '${resolved.provider}'. Known providers: ${LLM_PROVIDERS.join(', ')}.`);
+    return resolved.record ? withRecording(provider, resolved.record) : provider;
+}
+
+/**
+ * Combines the LLM settings of the project config and of the command line, which win.
+ * @param {string} projectPath Absolute path to the project directory, which config file paths are relative to.
+ * @param {object} configSettings The `llm` settings of the project config.
+ * @param {object} [overrides] Settings given on the command line, with absolute paths; undefined ones are ignored.
+ * @returns {object} The settings for createLlmProvider.
+ */
+export function getLlmSettings(projectPath, configSettings, overrides = {}) {
+    const settings = { ...configSettings };
+    for (const key of ['fixtures', 'record']) {
+        if (settings[key]) settings[key] = path.resolve(projectPath, settings[key]);
+    }
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value !== undefined) settings[key] = value;
+    }
+    return settings;
+}
+
+/**
+ * Checks the `llm` settings of a project config.
+ * @param {*} rawSettings The `llm` object.
+ * @param {Array<string>} errors Receives the problems found.
+ * @returns {object} The settings.
+ */
+export function validateLlmSettings(rawSettings, errors) {
+    if (typeof rawSettings !== 'object' || rawSettings === null || Array.isArray(rawSettings)) {
+        errors.push(`"llm" must be an object.`);
+        return {};
+    }
+    const unknownKeys = Object.keys(rawSettings).filter(key => !LLM_SETTING_KEYS.includes(key));
+    if (unknownKeys.length > 0) errors.push(`"llm": unknown key(s) ${unknownKeys.join(', ')}. Known keys: ${LLM_SETTING_KEYS.join(', ')}.`);
+    if (rawSettings.provider !== undefined && !LLM_PROVIDERS.includes(rawSettings.provider)) {
+        errors.push(`"llm.provider" must be one of ${LLM_PROVIDERS.join(', ')}.`);
+    }
+    for (const key of ['base_url', 'model', 'fixtures', 'record']) {
+        if (rawSettings[key] !== undefined && (typeof rawSettings[key] !== 'string' || rawSettings[key].trim() === '')) {
+            errors.push(`"llm.${key}" must be a non-empty string.`);
+        }
+    }
+    if (rawSettings.timeout_ms !== undefined && !(Number.isFinite(rawSettings.timeout_ms) && rawSettings.timeout_ms > 0)) {
+        errors.push(`"llm.timeout_ms" must be a positive number.`);
+    }
+    if (rawSettings.temperature !== undefined && !(Number.isFinite(rawSettings.temperature) && rawSettings.temperature >= 0 && rawSettings.temperature <= 2)) {
+        errors.push(`"llm.temperature" must be a number from 0 to 2.`);
+    }
+    return { ...rawSettings };
+}
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Bump when the shape of cached parse results changes
+const CACHE_FORMAT_VERSION = 1;
+const CACHE_FILE_NAME = 'parse-cache.json';
+// Modules whose code decides what a file parses into, and the compilers they use: any change invalidates the cache
+const PARSER_MODULES = ['graphParser.js', 'svelteParser.js', 'vueParser.js'];
+const PARSER_PACKAGES = ['@babel/parser', '@babel/traverse', 'svelte', '@vue/compiler-sfc'];
+
+/**
+ * Returns the default parse cache directory of a project.
+ * @param {string} projectRoot The absolute root path of the project.
+ * @returns {string}
+ */
+export function getDefaultCacheDir(projectRoot) {
+    return path.join(projectRoot, 'node_modules', '.cache', 'impactradar');
+}
+
+/**
+ * Fingerprints everything other than a file's own content that its parse result depends on: the parser options,
+ * the parser's code and the versions of the compilers it uses. Cache entries made with another fingerprint are discarded.
+ * @param {object} parserOptions The Babel parser options.
+ * @returns {string}
+ */
+export function getParserFingerprint(parserOptions) {
+    const hash = crypto.createHash('sha256');
+    hash.update(JSON.stringify({ version: CACHE_FORMAT_VERSION, parserOptions }));
+    for (const moduleName of PARSER_MODULES) {
+        hash.update(fs.readFileSync(new URL(`./${moduleName}`, import.meta.url)));
+    }
+    for (const packageName of PARSER_PACKAGES) {
+        try {
+            hash.update(`${packageName}@${require(`${packageName}/package.json`).version}`);
+        } catch {
+            hash.update(`${packageName}@unknown`);
+        }
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Hashes the input of a file's parse: its content, and its path, zone, route and workspace package.
+ * The absolute path is left out, so a cache stays valid when the project is checked out elsewhere.
+ * @param {object} fileInfo The file description passed to parseFile.
+ * @param {string} source The file's content.
+ * @returns {string}
+ */
+export function hashParseInput(fileInfo, source) {
+    const { fullPath, ...pathInfo } = fileInfo;
+    return crypto.createHash('sha256').update(JSON.stringify(pathInfo)).update('\0').update(source).digest('hex');
+}
+
+/**
+ * Loads the cached parse results of a project.
+ * @param {string} cacheDir The cache directory.
+ * @param {string} fingerprint The current parser fingerprint.
+ * @returns {Map<string, {hash: string, result: object}>} Cached results by relative file path; empty if there is no
+ *   usable cache.
+ */
+export function loadParseCache(cacheDir, fingerprint) {
+    const cachePath = path.join(cacheDir, CACHE_FILE_NAME);
+    if (!fs.existsSync(cachePath)) return new Map();
+    try {
+        const cache = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+        return cache.fingerprint === fingerprint ? new Map(Object.entries(cache.files)) : new Map();
+    } catch (error) {
+        console.warn(`Warning: Ignoring unreadable parse cache ${cachePath}: ${error.message}`);
+        return new Map();
+    }
+}
+
+/**
+ * Saves the parse results of a project, replacing the previous cache (so deleted files drop out of it).
+ * @param {string} cacheDir The cache directory.
+ * @param {string} fingerprint The current parser fingerprint.
+ * @param {Map<string, {hash: string, result: object}>} entries Parse results by relative file path.
+ */
+export function saveParseCache(cacheDir, fingerprint, entries) {
+    const cachePath = path.join(cacheDir, CACHE_FILE_NAME);
+    try {
+        fs.mkdirSync(cacheDir, { recursive: true });
+        // Write to a temporary file first, so an interrupted run never leaves a truncated cache behind
+        const tempPath = `${cachePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ fingerprint, files: Object.fromEntries(entries) }));
+        fs.renameSync(tempPath, cachePath);
+    } catch (error) {
+        console.warn(`Warning: Could not write the parse cache to ${cachePath}: ${error.message}`);
+    }
+}
@@ -0,0 +1,7 @@
+import { parentPort } from 'worker_threads';
+import { parseFile } from './graphParser.js';
+
+// Worker thread entry: parses the batches of files parseToGraph hands out (see parseFilesInWorkers in graphParser.js)
+parentPort.on('message', batch => {
+    parentPort.postMessage(batch.map(({ fileInfo, source }) => parseFile(fileInfo, source)));
+});
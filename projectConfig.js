@@ -0,0 +1,285 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createRequire } from 'module';
+import { validateChangeProfiles } from './changeProfiles.js';
+import { validateLlmSettings } from './llmProviders.js';
+
+// Config files looked up in the project root, in order; the first one found is used
+export const CONFIG_FILES = ['.impactradarrc.json', 'impactradar.config.js', 'impactradar.config.mjs', 'impactradar.config.cjs'];
+const CONFIG_KEYS = ['zones', 'zone_weights', 'endpoint_criticality', 'criticality_flags', 'ignore', 'change_profiles', 'plugins', 'llm'];
+
+/**
+ * Converts a glob, relative to the project root, to a regular expression over relative paths. `**` spans
+ * directories, `*` and `?` stay within one, and `{a,b}` matches either alternative. A pattern without a slash
+ * matches at any depth (like `.gitignore`), and a pattern matching a directory matches everything in it.
+ * @param {string} glob The glob pattern.
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+    let pattern = glob.replace(/^\.\//, '').replace(/\/+$/, '');
+    if (!pattern.includes('/')) pattern = `**/${pattern}`;
+    return new RegExp(`^${convertGlob(pattern)}(?:/.*)?$`);
+}
+
+/**
+ * Converts the wildcards of a glob, or of one `{a,b}` alternative of it, to regular expression source.
+ * @param {string} pattern The glob pattern.
+ * @returns {string}
+ */
+function convertGlob(pattern) {
+    const escape = text => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+    let regex = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            if (pattern[i + 2] === '/') {
+                regex += '(?:.*/)?'; // Any number of directories, including none
+                i += 2;
+            } else {
+                regex += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            regex += '[^/]*';
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else if (char === '{' && pattern.indexOf('}', i) !== -1) {
+            // Alternatives may hold wildcards too, e.g. `{*.test,*.spec}.js`
+            const end = pattern.indexOf('}', i);
+            regex += `(?:${pattern.slice(i + 1, end).split(',').map(convertGlob).join('|')})`;
+            i = end;
+        } else {
+            regex += escape(char);
+        }
+    }
+    return regex;
+}
+
+/**
+ * Returns the configuration of a project without a config file.
+ * @returns {object}
+ */
+export function getDefaultProjectConfig() {
+    return { source: null, zones: [], zone_weights: {}, endpoint_criticality: [], criticality_flags: {}, ignore: [], change_profiles: {}, plugins: [], llm: {} };
+}
+
+/**
+ * Checks a raw config object and converts it to the form the analysis uses (compiled globs and patterns).
+ * @param {object} rawConfig The config as read from the file.
+ * @param {string} source The config file name, for error messages.
+ * @param {Array<{specifier: string, exports: *}>} plugins The plugin modules the config lists, as loaded by loadPlugins.
+ * @returns {object} The project config.
+ * @throws {Error} Listing every problem found, if the config is invalid.
+ */
+function validateProjectConfig(rawConfig, source, plugins) {
+    const errors = [];
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+    const checkArray = (key, checkEntry) => {
+        if (rawConfig[key] === undefined) return [];
+        if (!Array.isArray(rawConfig[key])) {
+            errors.push(`"${key}" must be an array.`);
+            return [];
+        }
+        return rawConfig[key].map((entry, index) => checkEntry(entry, `${key}[${index}]`)).filter(Boolean);
+    };
+    const compileGlob = (glob, at) => {
+        try {
+            return globToRegExp(glob);
+        } catch (error) {
+            errors.push(`"${at}" is not a valid glob: ${error.message}`);
+            return null;
+        }
+    };
+    const checkNumberMap = key => {
+        if (rawConfig[key] === undefined) return {};
+        if (typeof rawConfig[key] !== 'object' || rawConfig[key] === null || Array.isArray(rawConfig[key])) {
+            errors.push(`"${key}" must be an object mapping names to numbers.`);
+            return {};
+        }
+        for (const [name, value] of Object.entries(rawConfig[key])) {
+            if (!isNumber(value) || value < 0) errors.push(`"${key}.${name}" must be a non-negative number, got ${JSON.stringify(value)}.`);
+        }
+        return { ...rawConfig[key] };
+    };
+
+    if (typeof rawConfig !== 'object' || rawConfig === null || Array.isArray(rawConfig)) {
+        throw new Error(`Invalid ImpactRadar config ${source}: it must be an object.`);
+    }
+    const unknownKeys = Object.keys(rawConfig).filter(key => !CONFIG_KEYS.includes(key));
+    if (unknownKeys.length > 0) errors.push(`Unknown key(s) ${unknownKeys.map(key => `"${key}"`).join(', ')}. Known keys: ${CONFIG_KEYS.join(', ')}.`);
+
+    const zones = checkArray('zones', (entry, at) => {
+        if (!isNonEmptyString(entry?.pattern) || !isNonEmptyString(entry?.zone)) {
+            errors.push(`"${at}" must be { "pattern": "<glob>", "zone": "<zone name>" }.`);
+            return null;
+        }
+        const regex = compileGlob(entry.pattern, `${at}.pattern`);
+        return regex && { pattern: entry.pattern, zone: entry.zone, regex };
+    });
+    const zoneWeights = checkNumberMap('zone_weights');
+
+    const endpointCriticality = checkArray('endpoint_criticality', (entry, at) => {
+        if (!(isNonEmptyString(entry?.pattern) || entry?.pattern instanceof RegExp) || !isNumber(entry?.level_modifier)) {
+            errors.push(`"${at}" must be { "pattern": "<regular expression>", "level_modifier": <number>, "description": "..." }.`);
+            return null;
+        }
+        let pattern = entry.pattern;
+        if (typeof pattern === 'string') {
+            try {
+                pattern = new RegExp(pattern, 'i'); // Case-insensitive, like the built-in heuristics
+            } catch (error) {
+                errors.push(`"${at}.pattern" is not a valid regular expression: ${error.message}`);
+                return null;
+            }
+        }
+        return { pattern, level_modifier: entry.level_modifier, description: entry.description || `Matches the project's endpoint pattern ${pattern}.` };
+    });
+    const criticalityFlags = checkNumberMap('criticality_flags');
+
+    const ignore = checkArray('ignore', (entry, at) => {
+        if (!isNonEmptyString(entry)) {
+            errors.push(`"${at}" must be a glob string.`);
+            return null;
+        }
+        const regex = compileGlob(entry, at);
+        return regex && { pattern: entry, regex };
+    });
+
+    // Plugins contribute change profiles in order, and the config's own profiles override theirs
+    let changeProfiles = {};
+    checkArray('plugins', (entry, at) => {
+        if (!isNonEmptyString(entry)) errors.push(`"${at}" must be a module path or package name.`);
+        return null;
+    });
+    plugins.forEach(({ specifier, exports }, index) => {
+        if (exports?.change_profiles === undefined) {
+            errors.push(`"plugins[${index}]" (${specifier}) must export "change_profiles".`);
+            return;
+        }
+        Object.assign(changeProfiles, validateChangeProfiles(exports.change_profiles, `plugins[${index}].change_profiles`, specifier, errors));
+    });
+    if (rawConfig.change_profiles !== undefined) {
+        Object.assign(changeProfiles, validateChangeProfiles(rawConfig.change_profiles, 'change_profiles', source, errors));
+    }
+
+    const config = {
+        source,
+        zones,
+        zone_weights: zoneWeights,
+        endpoint_criticality: endpointCriticality,
+        criticality_flags: criticalityFlags,
+        ignore,
+        change_profiles: changeProfiles,
+        plugins: plugins.map(plugin => plugin.specifier),
+        llm: rawConfig.llm === undefined ? {} : validateLlmSettings(rawConfig.llm, errors)
+    };
+    if (errors.length > 0) {
+        throw new Error(`Invalid ImpactRadar config ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    return config;
+}
+
+/**
+ * Imports the plugin modules a config lists: paths relative to the project root, or packages installed in it.
+ * Entries that are not strings are left to validateProjectConfig.
+ * @param {*} specifiers The `plugins` entry of the config.
+ * @param {string} projectRoot The absolute root path of the project.
+ * @returns {Promise<Array<{specifier: string, exports: *}>>}
+ * @throws {Error} If a plugin cannot be found or fails to load.
+ */
+async function loadPlugins(specifiers, projectRoot) {
+    if (!Array.isArray(specifiers)) return [];
+    const requireFromProject = createRequire(path.join(projectRoot, 'package.json'));
+    const plugins = [];
+    for (const specifier of specifiers.filter(entry => typeof entry === 'string' && entry.trim() !== '')) {
+        try {
+            const pluginPath = specifier.startsWith('.') || path.isAbsolute(specifier)
+                ? path.resolve(projectRoot, specifier)
+                : requireFromProject.resolve(specifier);
+            const module = await import(`${pathToFileURL(pluginPath).href}?mtime=${fs.statSync(pluginPath).mtimeMs}`);
+            plugins.push({ specifier, exports: module.default ?? module });
+        } catch (error) {
+            throw new Error(`Could not load the ImpactRadar plugin ${specifier}: ${error.message}`);
+        }
+    }
+    return plugins;
+}
+
+/**
+ * Loads the project's ImpactRadar config: `.impactradarrc.json`, or `impactradar.config.js` exporting the same
+ * object (as its default export or `module.exports`). It can:
+ * - map path globs to architectural zones (`zones`, checked before the built-in zone rules);
+ * - add or override zone weights (`zone_weights`) and criticality flag multipliers (`criticality_flags`);
+ * - add endpoint criticality patterns (`endpoint_criticality`);
+ * - exclude files from the graph (`ignore` globs);
+ * - add or override change types (`change_profiles`, see validateChangeProfiles), also from plugin modules
+ *   exporting `change_profiles` (`plugins`);
+ * - choose the LLM provider of the AI layer (`llm`, see getLlmSettings).
+ * @param {string} projectRoot The absolute root path of the project.
+ * @returns {Promise<object>} The validated config; the defaults if the project has no config file.
+ * @throws {Error} If the config file cannot be read or is invalid.
+ */
+export async function loadProjectConfig(projectRoot) {
+    const configFile = CONFIG_FILES.find(file => fs.existsSync(path.join(projectRoot, file)));
+    if (!configFile) return getDefaultProjectConfig();
+    const configPath = path.join(projectRoot, configFile);
+
+    let rawConfig;
+    try {
+        if (configFile.endsWith('.json')) {
+            rawConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+        } else {
+            // The modification time busts the module cache, so long-running servers pick up edits
+            const module = await import(`${pathToFileURL(configPath).href}?mtime=${fs.statSync(configPath).mtimeMs}`);
+            rawConfig = module.default ?? module;
+        }
+    } catch (error) {
+        throw new Error(`Could not read the ImpactRadar config ${configFile}: ${error.message}`);
+    }
+    const plugins = await loadPlugins(rawConfig?.plugins, projectRoot);
+    return validateProjectConfig(rawConfig, configFile, plugins);
+}
+
+/**
+ * Tells whether the project config excludes a file or directory from the graph.
+ * @param {object} config The project config.
+ * @param {string} relPath The path relative to the project root.
+ * @returns {boolean}
+ */
+export function isIgnoredByConfig(config, relPath) {
+    const normalized = relPath.replace(/\\/g, '/');
+    return config.ignore.some(rule => rule.regex.test(normalized));
+}
+
+/**
+ * Returns the zone the project config assigns to a file, if one of its zone rules matches.
+ * @param {object} config The project config.
+ * @param {string} relPath The file path relative to the project root.
+ * @returns {string|undefined}
+ */
+export function getConfiguredZone(config, relPath) {
+    const normalized = relPath.replace(/\\/g, '/');
+    return config.zones.find(rule => rule.regex.test(normalized))?.zone;
+}
+
+/**
+ * Returns the project config as echoed in reports: the file it came from and its settings, patterns as text.
+ * @param {object} config The project config.
+ * @returns {object}
+ */
+export function describeProjectConfig(config) {
+    return {
+        source: config.source,
+        zones: config.zones.map(({ pattern, zone }) => ({ pattern, zone })),
+        zone_weights: config.zone_weights,
+        endpoint_criticality: config.endpoint_criticality.map(({ pattern, level_modifier, description }) => ({ pattern: pattern.source, level_modifier, description })),
+        criticality_flags: config.criticality_flags,
+        ignore: config.ignore.map(rule => rule.pattern),
+        change_profiles: config.change_profiles,
+        plugins: config.plugins,
+        llm: config.llm
+    };
+}
@@ -0,0 +1,330 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { escapeXml } from './graphExport.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const REPORT_FORMATS = ['json', 'sarif', 'markdown', 'junit'];
+
+// Risk badges of the Markdown report
+const RISK_BADGES = { LOW: '🟢', MEDIUM: '🟡', HIGH: '🟠', CRITICAL: '🔴' };
+// Ranked APIs listed in the Markdown report
+const MARKDOWN_API_LIMIT = 5;
+
+// The caller safety rules: a call site breaking one of them is unsafe. SARIF reports it once per rule it breaks,
+// with the probability the scanner computed for that kind of failure.
+const CALLER_SAFETY_RULES = [
+    {
+        id: 'missing-null-check',
+        name: 'MissingNullCheck',
+        shortDescription: 'Result used without a null check',
+        fullDescription: 'The call site uses the result without a null check or optional chaining, so a change that can return nothing crashes it.',
+        appliesTo: finding => !finding.hasNullCheck && !finding.isOptionalChaining && !finding.isDestructuredImmediately,
+        probability: finding => finding.unsafeDereferenceLikelihood,
+        describe: finding => `The result of ${finding.callee}() is used without a null check or optional chaining`
+    },
+    {
+        id: 'unguarded-destructuring',
+        name: 'UnguardedDestructuring',
+        shortDescription: 'Result destructured without a null guard',
+        fullDescription: 'The call site destructures the result right away, which throws a TypeError if a change makes it return nothing.',
+        appliesTo: finding => finding.isDestructuredImmediately && !finding.hasNullCheck && !finding.isOptionalChaining,
+        probability: finding => finding.unsafeDereferenceLikelihood,
+        describe: finding => `The result of ${finding.callee}() is destructured without a null guard`
+    },
+    {
+        id: 'missing-try-catch',
+        name: 'MissingTryCatch',
+        shortDescription: 'Call outside a try/catch',
+        fullDescription: 'The call site does not handle errors, so a change that makes the callee throw propagates to its callers.',
+        appliesTo: finding => !finding.hasTryCatch && !finding.isAsyncCall,
+        probability: finding => finding.unhandledErrorProbability,
+        describe: finding => `${finding.callee}() is called outside a try/catch`
+    },
+    {
+        id: 'async-without-catch',
+        name: 'AsyncWithoutCatch',
+        shortDescription: 'Async call without a try/catch or .catch()',
+        fullDescription: 'The call site awaits the callee without handling rejections, so a change that makes it reject becomes an unhandled rejection.',
+        appliesTo: finding => !finding.hasTryCatch && finding.isAsyncCall,
+        probability: finding => finding.unhandledErrorProbability,
+        describe: finding => `${finding.callee}() is called from async code without a try/catch or .catch()`
+    }
+];
+
+/**
+ * Lists the unsafe call sites of an impact report: the caller safety findings breaking at least one rule.
+ * Scan errors have no call site and component usages cannot be guarded, so neither is ever unsafe.
+ * @param {object} report The impact report of buildImpactReport.
+ * @returns {Array<object>} The findings of caller_safety_analysis_results.
+ */
+export function getUnsafeCallSites(report) {
+    return report.caller_safety_analysis_results.filter(finding => finding.line && !finding.type?.endsWith('_component') &&
+        CALLER_SAFETY_RULES.some(rule => rule.appliesTo(finding)));
+}
+
+/**
+ * Maps a failure probability to a SARIF result level.
+ * @param {number} probability The probability the scanner computed, from 0 to 1.
+ * @returns {string} `error`, `warning` or `note`.
+ */
+function getSarifLevel(probability) {
+    if (probability >= 0.7) return 'error';
+    if (probability >= 0.4) return 'warning';
+    return 'note';
+}
+
+/**
+ * Returns a SARIF location of a file, relative to the project root.
+ * @param {string} relPath The file path relative to the project.
+ * @param {number} [line] The 1-based line.
+ * @param {number} [column] The 0-based column (SARIF columns are 1-based).
+ * @returns {object}
+ */
+function toSarifLocation(relPath, line, column) {
+    const region = line ? { startLine: line, ...(column !== undefined ? { startColumn: column + 1 } : {}) } : undefined;
+    return { physicalLocation: { artifactLocation: { uri: relPath, uriBaseId: 'PROJECTROOT' }, ...(region ? { region } : {}) } };
+}
+
+/**
+ * Finds the impacted node a call site belongs to: the innermost function or API of the graph around it that the
+ * blast radius reached, or its module.
+ * @param {object} graph The dependency graph the report was built from.
+ * @param {Map<string, object>} impactsById The report's impacts by node ID.
+ * @param {string} relPath The call site's file, relative to the project.
+ * @param {number} line The call site's line.
+ * @returns {object|undefined} The impact.
+ */
+export function findEnclosingImpact(graph, impactsById, relPath, line) {
+    let enclosing;
+    for (const [id, node] of Object.entries(graph.nodes)) {
+        if (node.file !== relPath || !impactsById.has(id) || !(node.startLine <= line && line <= node.endLine)) continue;
+        if (!enclosing || node.startLine > graph.nodes[enclosing].startLine) enclosing = id;
+    }
+    return impactsById.get(enclosing || relPath);
+}
+
+/**
+ * Builds the code flow of a call site: the blast radius chain from the changed node to the node calling it,
+ * ending at the call site itself.
+ * @param {object} graph The dependency graph.
+ * @param {object|undefined} impact The impact the call site belongs to.
+ * @param {string} targetId The changed node the call site calls.
+ * @param {object} callSiteLocation The SARIF location of the call site.
+ * @returns {Array<object>} The SARIF code flows.
+ */
+function getCodeFlows(graph, impact, targetId, callSiteLocation) {
+    const chain = impact ? impact.chain.split(' ➔ ') : [targetId];
+    const steps = chain.map(id => {
+        const node = graph.nodes[id];
+        const file = node?.type === 'module' ? id : node?.file;
+        const location = file ? toSarifLocation(file, node.startLine) : {};
+        return { location: { ...location, message: { text: id } } };
+    });
+    steps.push({ location: { ...callSiteLocation, message: { text: 'Unguarded call site' } } });
+    return [{ message: { text: `How a change to ${targetId} reaches this call site` }, threadFlows: [{ locations: steps }] }];
+}
+
+/**
+ * Converts the caller safety findings of an impact report to a SARIF 2.1.0 log, for code scanning tools.
+ * File paths are relative to the project directory (the `PROJECTROOT` base URI).
+ * @param {object} report The impact report of buildImpactReport.
+ * @param {object} graph The dependency graph the report was built from.
+ * @param {string} projectPath Absolute path to the project directory.
+ * @returns {object} The SARIF log.
+ */
+function toSarif(report, graph, projectPath) {
+    const { version } = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf-8'));
+    const impactsById = new Map([...report.impact_tree.direct_dependents, ...report.impact_tree.indirect_dependents].map(impact => [impact.id, impact]));
+    const changeTypes = new Map(report.analysis_metadata.changes.map(change => [change.target, change.change_type]));
+
+    const results = [];
+    for (const finding of getUnsafeCallSites(report)) {
+        const relPath = path.relative(projectPath, finding.file).replace(/\\/g, '/');
+        const callSiteLocation = toSarifLocation(relPath, finding.line, finding.column);
+        const impact = findEnclosingImpact(graph, impactsById, relPath, finding.line);
+        const changes = finding.targets.map(targetId => `${targetId} (${changeTypes.get(targetId)})`).join(', ');
+
+        CALLER_SAFETY_RULES.forEach((rule, ruleIndex) => {
+            if (!rule.appliesTo(finding)) return;
+            const probability = rule.probability(finding);
+            const breakdown = rule.id.endsWith('catch') ? finding.unhandledErrorBreakdown : finding.unsafeDereferenceBreakdown;
+            results.push({
+                ruleId: rule.id,
+                ruleIndex,
+                level: getSarifLevel(probability),
+                rank: Math.round(probability * 100),
+                message: { text: `${rule.describe(finding)} (estimated probability ${Math.round(probability * 100)}%). Changed: ${changes}.` },
+                locations: [callSiteLocation],
+                codeFlows: getCodeFlows(graph, impact, finding.targets[0], callSiteLocation),
+                properties: { probability, breakdown, targets: finding.targets, caller: impact?.id ?? null }
+            });
+        });
+    }
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'ImpactRadar',
+                    version,
+                    rules: CALLER_SAFETY_RULES.map(rule => ({
+                        id: rule.id,
+                        name: rule.name,
+                        shortDescription: { text: rule.shortDescription },
+                        fullDescription: { text: rule.fullDescription },
+                        defaultConfiguration: { level: 'warning' }
+                    }))
+                }
+            },
+            originalUriBaseIds: { PROJECTROOT: { uri: `${pathToFileURL(projectPath).href}/` } },
+            results,
+            properties: {
+                changes: report.analysis_metadata.changes,
+                risk_level: report.risk_model.risk_level,
+                risk_score: report.risk_model.final_clamped_score,
+                impacted_nodes: report.impact_summary.total_impacted_nodes
+            }
+        }]
+    };
+}
+
+/**
+ * Describes the caller safety rules a call site breaks, with the probability of each failure.
+ * @param {object} finding The call site analysis.
+ * @returns {Array<{id: string, message: string, probability: number}>}
+ */
+export function getBrokenRules(finding) {
+    return CALLER_SAFETY_RULES.filter(rule => rule.appliesTo(finding))
+        .map(rule => ({ id: rule.id, message: rule.describe(finding), probability: rule.probability(finding) }));
+}
+
+/**
+ * Escapes text for a Markdown table cell.
+ * @param {*} value The value.
+ * @returns {string}
+ */
+function toMarkdownCell(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Renders an impact report as a compact Markdown pull-request comment: the risk badge, the score breakdown, the
+ * top ranked APIs, the unsafe call sites (collapsed) and the AI recommendation.
+ * @param {object} report The impact report of buildImpactReport.
+ * @param {string} projectPath Absolute path to the project directory.
+ * @param {string} [linkBase] URL the call site links start with (e.g. a blob URL of the repository at the
+ *   analyzed commit); links are relative to the project without it.
+ * @returns {string} The Markdown text.
+ */
+function toMarkdown(report, projectPath, linkBase = '') {
+    const { impact_summary: summary, risk_model: riskModel } = report;
+    const riskLevel = riskModel.risk_level.split(' ')[0];
+    const lines = [
+        `## ${RISK_BADGES[riskLevel] || '⚪'} ImpactRadar: ${riskModel.risk_level} risk (${riskModel.final_clamped_score}/10)`,
+        '',
+        ...report.analysis_metadata.changes.map(change => `* \`${change.target}\`: ${change.change_type}${change.inferred ? ' (inferred)' : ''}`),
+        '',
+        `**Blast radius:** ${summary.total_impacted_nodes} impacted nodes · ${summary.api_surface_impact} APIs · depth ${summary.max_propagation_depth} · confidence ${summary.confidence.overall}`
+    ];
+    if (summary.truncated) lines.push('', `> ⚠️ The analysis stopped early (${summary.truncation_reasons.join(', ')}); the impacts and the score are a lower bound.`);
+    if (summary.confidence.reason) lines.push('', `> ⚠️ ${summary.confidence.reason}`);
+    if (report.ci_gate) {
+        lines.push('', report.ci_gate.passed
+            ? '**CI gate:** ✅ passed'
+            : `**CI gate:** ❌ failed (exit code ${report.ci_gate.exit_code}): ${report.ci_gate.violations.map(violation => violation.message).join('; ')}`);
+    }
+
+    lines.push('', '### Score breakdown', '', '| Target | Change type | Base | API weight | Impacted | APIs | Depth | Score |', '| --- | --- | --- | --- | --- | --- | --- | --- |');
+    for (const target of riskModel.per_target_scores) {
+        lines.push(`| \`${toMarkdownCell(target.target)}\` | ${toMarkdownCell(target.change_type)} | ${target.base_risk} | ${target.impact_weight} | ${target.impacted_nodes} | ${target.api_surface_impact} | ${target.max_propagation_depth} | ${target.score} |`);
+    }
+    const zones = riskModel.architectural_zone_weights_applied.map(zone => `${zone.zone} (${zone.weight})`).join(', ') || 'none';
+    lines.push('', `Zones: ${zones} · criticality ×${riskModel.target_criticality_multiplier_applied} · overlapping hits ${riskModel.overlap.overlapping_hits} · raw score ${riskModel.calculated_raw_score} → **${riskModel.final_clamped_score}**`);
+
+    if (report.ranked_api_impacts.length > 0) {
+        lines.push('', '### Top impacted APIs', '', '| API | Criticality | Depth | Reached through |', '| --- | --- | --- | --- |');
+        for (const api of report.ranked_api_impacts.slice(0, MARKDOWN_API_LIMIT)) {
+            lines.push(`| \`${toMarkdownCell(api.id)}\` | ${api.criticality.level} (${api.criticality.score}) | ${api.depth} | ${toMarkdownCell(api.chain)} |`);
+        }
+        if (report.ranked_api_impacts.length > MARKDOWN_API_LIMIT) lines.push('', `…and ${report.ranked_api_impacts.length - MARKDOWN_API_LIMIT} more.`);
+    }
+
+    const unsafeCallSites = getUnsafeCallSites(report);
+    if (unsafeCallSites.length > 0) {
+        lines.push('', '<details>', `<summary>⚠️ ${unsafeCallSites.length} unsafe call site${unsafeCallSites.length === 1 ? '' : 's'}</summary>`, '');
+        for (const finding of unsafeCallSites) {
+            const relPath = path.relative(projectPath, finding.file).replace(/\\/g, '/');
+            const rules = getBrokenRules(finding).map(rule => `${rule.id} (${Math.round(rule.probability * 100)}%)`).join(', ');
+            lines.push(`* [\`${relPath}:${finding.line}:${finding.column + 1}\`](${linkBase}${relPath}#L${finding.line}) \`${finding.callee}()\`: ${rules}`);
+        }
+        lines.push('', '</details>');
+    }
+
+    const aiAnalysis = report.ai_analysis;
+    lines.push('', '### Recommendation', '');
+    lines.push(`${aiAnalysis.summary}\n\n> ${aiAnalysis.recommendation}`);
+    if (report.analysis_metadata.llm?.narrative_source === 'rule_based') lines.push('', '_Written from the risk model, without an LLM._');
+    return lines.join('\n');
+}
+
+/**
+ * Renders the caller safety findings of an impact report as a JUnit XML report: one test suite per changed node,
+ * with each call site of it as a test case that fails when the call site is unsafe. A CI gate outcome becomes a
+ * test case of its own.
+ * @param {object} report The impact report of buildImpactReport.
+ * @param {string} projectPath Absolute path to the project directory.
+ * @returns {string} The XML document.
+ */
+function toJUnit(report, projectPath) {
+    const callSites = report.caller_safety_analysis_results.filter(finding => finding.line && !finding.type?.endsWith('_component'));
+    const suites = report.analysis_metadata.changes.map(change => {
+        const cases = callSites.filter(finding => finding.targets.includes(change.target)).map(finding => {
+            const relPath = path.relative(projectPath, finding.file).replace(/\\/g, '/');
+            const brokenRules = getBrokenRules(finding);
+            const attributes = `classname="${escapeXml(relPath)}" name="${escapeXml(`${finding.callee}() at ${relPath}:${finding.line}:${finding.column + 1}`)}" file="${escapeXml(relPath)}" line="${finding.line}"`;
+            if (brokenRules.length === 0) return `    <testcase ${attributes}/>`;
+            const message = brokenRules.map(rule => `${rule.message} (${Math.round(rule.probability * 100)}%)`).join('; ');
+            const details = [...finding.unhandledErrorBreakdown, ...finding.unsafeDereferenceBreakdown].join('\n');
+            return `    <testcase ${attributes}>\n      <failure type="${escapeXml(brokenRules.map(rule => rule.id).join(','))}" message="${escapeXml(message)}">${escapeXml(details)}</failure>\n    </testcase>`;
+        });
+        const failures = cases.filter(testCase => testCase.includes('<failure')).length;
+        return { name: `Caller safety: ${change.target} (${change.change_type})`, tests: cases.length, failures, cases };
+    });
+
+    if (report.ci_gate) {
+        const { ci_gate: gate } = report;
+        const failure = gate.passed ? '' : `\n      <failure type="ci_gate" message="${escapeXml(`Exit code ${gate.exit_code}`)}">${escapeXml(gate.violations.map(violation => violation.message).join('\n'))}</failure>\n    `;
+        suites.push({ name: 'CI gate', tests: 1, failures: gate.passed ? 0 : 1, cases: [`    <testcase classname="ImpactRadar" name="CI gate">${failure}</testcase>`] });
+    }
+
+    const tests = suites.reduce((sum, suite) => sum + suite.tests, 0);
+    const failures = suites.reduce((sum, suite) => sum + suite.failures, 0);
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', `<testsuites name="ImpactRadar" tests="${tests}" failures="${failures}">`];
+    for (const suite of suites) {
+        lines.push(`  <testsuite name="${escapeXml(suite.name)}" tests="${suite.tests}" failures="${suite.failures}">`, ...suite.cases, '  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return lines.join('\n');
+}
+
+/**
+ * Serializes an impact report in one of the report formats.
+ * @param {object} report The impact report of buildImpactReport.
+ * @param {string} format One of REPORT_FORMATS.
+ * @param {{graph: object, projectPath: string, linkBase?: string}} context The graph the report was built from, the
+ *   absolute project path, which file paths are relative to, and the URL prefix of Markdown links.
+ * @returns {string} The serialized report.
+ */
+export function formatReport(report, format, context) {
+    switch (format) {
+        case 'json': return JSON.stringify(report, null, 2);
+        case 'sarif': return JSON.stringify(toSarif(report, context.graph, context.projectPath), null, 2);
+        case 'markdown': return toMarkdown(report, context.projectPath, context.linkBase);
+        case 'junit': return toJUnit(report, context.projectPath);
+        default: throw new Error(`Unknown report format '${format}'. Use one of: ${REPORT_FORMATS.join(', ')}.`);
+    }
+}
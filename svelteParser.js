@@ -0,0 +1,103 @@
+import { parse } from 'svelte/compiler';
+
+/**
+ * Parses a .svelte file with the Svelte compiler.
+ * @param {string} svelteCode The full content of a .svelte file.
+ * @returns {object|null} The modern Svelte AST, or null if the compiler rejects the file.
+ */
+function parseSvelte(svelteCode) {
+    try {
+        return parse(svelteCode, { modern: true });
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Extracts content from <script> tags within a Svelte file (`<script lang="ts">`, `<script module>`,
+ * `<script context="module">`, `<script lang="ts" generics="T">`...), so Babel can parse the JavaScript/TypeScript logic.
+ * Everything outside the script blocks is blanked out rather than removed, so line and column numbers
+ * still match the .svelte file.
+ * @param {string} svelteCode The full content of a .svelte file.
+ * @returns {string} The script content at its original position, or only whitespace if there is none.
+ */
+export function extractScriptContent(svelteCode) {
+    const ast = parseSvelte(svelteCode);
+    // The compiler knows where each script's content starts and ends; fall back to a regex if it cannot parse the markup
+    const ranges = ast
+        ? [ast.module, ast.instance].filter(Boolean).map(script => [script.content.start, script.content.end])
+        : [...svelteCode.matchAll(/(<script\b[^>]*>)(.*?)<\/script>/gs)].map(match => [match.index + match[1].length, match.index + match[0].length - '</script>'.length]);
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const blank = text => text.replace(/[^\r\n]/g, ' ');
+    let scriptContent = '';
+    let offset = 0;
+    for (const [start, end] of ranges) {
+        scriptContent += blank(svelteCode.substring(offset, start)) + svelteCode.substring(start, end);
+        offset = end;
+    }
+    return scriptContent + blank(svelteCode.substring(offset));
+}
+
+/**
+ * Splits a component tag name such as `ui.Button` into the referenced object and component names.
+ * @param {string} tagName The tag name.
+ * @returns {{name: string, object: string|null}}
+ */
+function splitComponentName(tagName) {
+    const parts = tagName.split('.');
+    return parts.length > 1 ? { name: parts[parts.length - 1], object: parts[0] } : { name: tagName, object: null };
+}
+
+/**
+ * Collects what a component's markup uses: component tags (`<UserCard>`, `<ui.Button>`, `<svelte:component this={X}>`)
+ * and calls in template expressions, including `{#await getUser(id)}` blocks.
+ * @param {string} svelteCode The full content of a .svelte file.
+ * @returns {{components: Array<{name: string, object: string|null, loc: object}>,
+ *   calls: Array<{calleeName: string, object: string|null, loc: object, isAwaited: boolean, hasCatch: boolean, isDestructured: boolean, isOptionalChaining: boolean}>}}
+ *   Locations are `{ line, column }` in the .svelte file.
+ */
+export function getMarkupUsages(svelteCode) {
+    const usages = { components: [], calls: [] };
+    const ast = parseSvelte(svelteCode);
+    if (!ast) return usages;
+
+    const visited = new WeakSet();
+    const walk = (node, parent, awaitBlock) => {
+        if (!node || typeof node !== 'object' || visited.has(node)) return;
+        visited.add(node);
+        if (Array.isArray(node)) {
+            node.forEach(child => walk(child, parent, awaitBlock));
+            return;
+        }
+
+        if (node.type === 'Component') {
+            usages.components.push({ ...splitComponentName(node.name), loc: { line: node.name_loc.start.line, column: node.name_loc.start.column } });
+        } else if (node.type === 'SvelteComponent' && node.expression?.type === 'Identifier') {
+            usages.components.push({ name: node.expression.name, object: null, loc: node.expression.loc.start });
+        } else if (node.type === 'CallExpression') {
+            const callee = node.callee;
+            const isMemberCall = callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier';
+            if (callee.type === 'Identifier' || isMemberCall) {
+                // `{#await getUser(id)}` awaits the call; a `{:catch}` branch handles its errors
+                const isAwaited = awaitBlock?.expression === node;
+                usages.calls.push({
+                    calleeName: isMemberCall ? callee.property.name : callee.name,
+                    object: isMemberCall && callee.object.type === 'Identifier' ? callee.object.name : null,
+                    loc: node.loc.start,
+                    isAwaited,
+                    hasCatch: isAwaited && Boolean(awaitBlock.catch),
+                    isDestructured: isAwaited && ['ObjectPattern', 'ArrayPattern'].includes(awaitBlock.value?.type),
+                    isOptionalChaining: parent?.type === 'MemberExpression' && parent.object === node && parent.optional
+                });
+            }
+        }
+
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'metadata' || key === 'loc' || key === 'name_loc') continue;
+            walk(value, node, node.type === 'AwaitBlock' ? node : awaitBlock);
+        }
+    };
+    walk(ast.fragment, null, null);
+    return usages;
+}
@@ -0,0 +1,66 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseToGraph } from '../graphParser.js';
+
+const projects = [];
+
+after(() => projects.forEach(project => fs.rmSync(project, { recursive: true, force: true })));
+
+/**
+ * Creates a project from a map of files.
+ * @param {object} files Relative path -> content; objects are written as JSON.
+ * @returns {string} The project path.
+ */
+function createProject(files) {
+    const project = fs.mkdtempSync(path.join(os.tmpdir(), 'impactradar-alias-'));
+    projects.push(project);
+    for (const [relPath, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(project, relPath)), { recursive: true });
+        fs.writeFileSync(path.join(project, relPath), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    return project;
+}
+
+test('workspace packages resolve imports with their own tsconfig paths and package.json imports', async () => {
+    const project = createProject({
+        'package.json': { name: 'mono', private: true, imports: { '#lib/*': './shared/*.ts' } },
+        'pnpm-workspace.yaml': 'packages:\n  - "apps/*"\n  - "packages/*"\n',
+        'apps/web/package.json': { name: '@acme/web', imports: { '#lib/*': './src/lib/*.ts' } },
+        'apps/web/tsconfig.json': { compilerOptions: { paths: { '@/*': ['./src/*'] } } },
+        'apps/web/src/lib/data.ts': 'import { query } from "@acme/db";\nexport function load(id) { return query(id); }\n',
+        'apps/web/src/lib/format.ts': 'export function format(value) { return String(value); }\n',
+        'apps/web/src/page.tsx': 'import { load } from "@/lib/data";\nimport { format } from "#lib/format";\nexport default function Page() { return format(load(1)); }\n',
+        'packages/db/package.json': { name: '@acme/db', main: 'src/index.ts' },
+        'packages/db/src/index.ts': 'export function query(id) { return { id }; }\n',
+        'shared/format.ts': 'export function format(value) { return `${value}`; }\n'
+    });
+    const graph = await parseToGraph(project, 'FAST', { cache: false, workers: 0 });
+
+    const calls = graph.edges.filter(edge => edge.from === 'apps/web/src/page.tsx::Page');
+    assert.deepEqual(calls.map(edge => [edge.to, edge.resolution]).sort(), [
+        ['apps/web/src/lib/data.ts::load', 'binding'],
+        ['apps/web/src/lib/format.ts::format', 'binding']
+    ]);
+    assert.equal(graph.metadata.resolved_imports, graph.metadata.total_imports);
+    assert.deepEqual(graph.metadata.alias_resolution['@/*'], { source: 'apps/web/tsconfig.json', attempted: 1, resolved: 1 });
+    assert.deepEqual(graph.metadata.alias_resolution['#lib/*'], { source: 'apps/web/package.json#imports', attempted: 1, resolved: 1 });
+});
+
+test('workspace packages without their own tsconfig use the project root one', async () => {
+    const project = createProject({
+        'package.json': { name: 'mono', private: true, workspaces: ['packages/*'] },
+        'tsconfig.json': { compilerOptions: { baseUrl: '.', paths: { '@shared/*': ['packages/shared/src/*'] } } },
+        'packages/shared/package.json': { name: '@acme/shared' },
+        'packages/shared/src/ids.ts': 'export function newId() { return 1; }\n',
+        'packages/api/package.json': { name: '@acme/api' },
+        'packages/api/src/handler.ts': 'import { newId } from "@shared/ids";\nexport function handle() { return newId(); }\n'
+    });
+    const graph = await parseToGraph(project, 'FAST', { cache: false, workers: 0 });
+
+    const call = graph.edges.find(edge => edge.from === 'packages/api/src/handler.ts::handle');
+    assert.equal(call.to, 'packages/shared/src/ids.ts::newId');
+    assert.equal(call.resolution, 'binding');
+});
@@ -0,0 +1,73 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync, spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { getChangedLineRanges, readFileAtRevision, verifyRevision } from '../gitDiff.js';
+import { parseToGraph } from '../graphParser.js';
+import { resolveTargetChanges } from '../impactReport.js';
+
+const CLI_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'impactRadar.js');
+const repos = [];
+
+after(() => repos.forEach(repo => fs.rmSync(repo, { recursive: true, force: true })));
+
+/**
+ * Creates a git repository with one commit holding the given files.
+ * @param {object} files Relative path -> content.
+ * @returns {string} The repository path.
+ */
+function createRepo(files) {
+    const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'impactradar-git-'));
+    repos.push(repo);
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: repo, stdio: 'ignore' });
+    git('init', '-q');
+    for (const [relPath, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(repo, relPath)), { recursive: true });
+        fs.writeFileSync(path.join(repo, relPath), content);
+    }
+    git('add', '-A');
+    git('commit', '-q', '-m', 'init');
+    return repo;
+}
+
+test('verifyRevision rejects unknown and option-like revisions', () => {
+    const repo = createRepo({ 'a.js': 'export function a() {}\n' });
+    assert.match(verifyRevision(repo, 'HEAD'), /^[0-9a-f]{40}$/);
+    assert.throws(() => verifyRevision(repo, 'no-such-ref'), /Unknown git revision 'no-such-ref'/);
+    assert.throws(() => verifyRevision(repo, '--output=x'), /Invalid git revision/);
+    assert.throws(() => verifyRevision(repo, 'HEAD\n'), /Invalid git revision/);
+});
+
+test('readFileAtRevision returns null only for files missing at a revision', () => {
+    const repo = createRepo({ 'a.js': 'export function a() {}\n' });
+    assert.equal(readFileAtRevision(repo, 'HEAD', 'a.js'), 'export function a() {}\n');
+    assert.equal(readFileAtRevision(repo, 'HEAD', 'missing.js'), null);
+    assert.equal(readFileAtRevision(repo, '', 'missing.js'), null);
+    assert.throws(() => readFileAtRevision(repo, 'no-such-ref', 'a.js'), /Could not read a\.js at revision 'no-such-ref'/);
+});
+
+test('an auto change type with an unknown base ref fails instead of reading as a new function', async () => {
+    const repo = createRepo({ 'a.js': 'export function a() {\n    return 1;\n}\n' });
+    const graph = await parseToGraph(repo, 'FAST', { cache: false, workers: 0 });
+    const targets = [{ id: 'a.js::a', requested_change_type: 'auto' }];
+    assert.throws(() => resolveTargetChanges(graph, repo, targets, { revisions: { base: 'no-such-ref', head: null } }), /Unknown git revision 'no-such-ref'/);
+
+    const cli = spawnSync('node', [CLI_PATH, '--project', repo, '--target', 'a', '--change_type', 'auto', '--base_ref', 'no-such-ref', '--no-cache'], {
+        encoding: 'utf-8',
+        env: { ...process.env, OPENAI_API_KEY: '' }
+    });
+    assert.equal(cli.status, 1);
+    assert.match(cli.stderr, /Unknown git revision 'no-such-ref'/);
+});
+
+test('getChangedLineRanges keeps added lines starting with "++ " in their file', () => {
+    const repo = createRepo({ 'a.js': 'a\nb\nc\n', 'b.js': 'q\n' });
+    fs.writeFileSync(path.join(repo, 'a.js'), 'a\n++ x\nc\nd\n');
+    fs.writeFileSync(path.join(repo, 'b.js'), 'Q\n');
+    const ranges = getChangedLineRanges(repo);
+    assert.deepEqual([...ranges.keys()], [path.join(repo, 'a.js'), path.join(repo, 'b.js')]);
+    assert.equal(ranges.get(path.join(repo, 'a.js')).length, 2);
+});
@@ -0,0 +1,58 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { globToRegExp, loadProjectConfig, isIgnoredByConfig, getConfiguredZone } from '../projectConfig.js';
+
+const projects = [];
+
+after(() => projects.forEach(project => fs.rmSync(project, { recursive: true, force: true })));
+
+/**
+ * Creates a project holding only an ImpactRadar config.
+ * @param {object} config The `.impactradarrc.json` content.
+ * @returns {string} The project path.
+ */
+function createProject(config) {
+    const project = fs.mkdtempSync(path.join(os.tmpdir(), 'impactradar-config-'));
+    projects.push(project);
+    fs.writeFileSync(path.join(project, '.impactradarrc.json'), JSON.stringify(config));
+    return project;
+}
+
+test('globToRegExp converts wildcards inside brace alternatives', () => {
+    const regex = globToRegExp('{*.test,*.spec}.js');
+    assert.ok(regex.test('src/users.test.js'));
+    assert.ok(regex.test('users.spec.js'));
+    assert.ok(!regex.test('src/users.js'));
+    assert.ok(!regex.test('src/a/b.test.ts'));
+
+    const nested = globToRegExp('src/{lib/**,util?}/index.js');
+    assert.ok(nested.test('src/lib/a/b/index.js'));
+    assert.ok(nested.test('src/utils/index.js'));
+    assert.ok(!nested.test('src/util/x/index.js'));
+});
+
+test('zones and ignore accept brace alternatives with wildcards', async () => {
+    const project = createProject({
+        zones: [{ pattern: 'src/{api,routes}/**/*.{js,ts}', zone: 'API Layer / Route Handlers' }],
+        ignore: ['{*.test,*.spec}.{js,ts}']
+    });
+    const config = await loadProjectConfig(project);
+
+    assert.ok(isIgnoredByConfig(config, 'src/users.test.ts'));
+    assert.ok(isIgnoredByConfig(config, 'lib/users.spec.js'));
+    assert.ok(!isIgnoredByConfig(config, 'src/users.ts'));
+    assert.equal(getConfiguredZone(config, 'src/routes/v1/users.ts'), 'API Layer / Route Handlers');
+    assert.equal(getConfiguredZone(config, 'src/services/users.ts'), undefined);
+});
+
+test('invalid zones and ignore entries are reported with their location', async () => {
+    const project = createProject({ zones: [{ pattern: '', zone: 'x' }], ignore: [42] });
+    await assert.rejects(loadProjectConfig(project), error => {
+        assert.match(error.message, /"zones\[0\]" must be/);
+        assert.match(error.message, /"ignore\[0\]" must be a glob string/);
+        return true;
+    });
+});
@@ -0,0 +1,120 @@
+import { parse } from '@vue/compiler-sfc';
+import * as t from '@babel/types';
+
+// Template node types of @vue/compiler-core
+const ELEMENT_NODE = 1;
+const INTERPOLATION_NODE = 5;
+const DIRECTIVE_PROP = 7;
+const COMPONENT_TAG_TYPE = 1;
+// Components provided by Vue itself, which are not project components
+const BUILT_IN_COMPONENTS = ['component', 'transition', 'transition-group', 'keep-alive', 'teleport', 'suspense', 'slot'];
+
+/**
+ * Parses a .vue single-file component with the Vue SFC compiler.
+ * @param {string} vueCode The full content of a .vue file.
+ * @returns {object|null} The SFC descriptor, or null if the compiler rejects the file.
+ */
+function parseVue(vueCode) {
+    try {
+        // Recoverable template errors still leave a usable descriptor
+        return parse(vueCode, { sourceMap: false }).descriptor;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Extracts the `<script>` and `<script setup>` blocks (JS or TS) of a Vue single-file component, so Babel can parse
+ * them. Everything outside the script blocks is blanked out rather than removed, so line and column numbers
+ * still match the .vue file.
+ * @param {string} vueCode The full content of a .vue file.
+ * @returns {string} The script content at its original position, or only whitespace if there is none.
+ */
+export function extractVueScriptContent(vueCode) {
+    const descriptor = parseVue(vueCode);
+    const ranges = [descriptor?.script, descriptor?.scriptSetup]
+        .filter(block => block && !block.src)
+        .map(block => [block.loc.start.offset, block.loc.end.offset])
+        .sort((a, b) => a[0] - b[0]);
+
+    const blank = text => text.replace(/[^\r\n]/g, ' ');
+    let scriptContent = '';
+    let offset = 0;
+    for (const [start, end] of ranges) {
+        scriptContent += blank(vueCode.substring(offset, start)) + vueCode.substring(start, end);
+        offset = end;
+    }
+    return scriptContent + blank(vueCode.substring(offset));
+}
+
+/**
+ * Converts a kebab-case tag (`user-card`) to the PascalCase name it is registered or imported as (`UserCard`).
+ * @param {string} tag The tag name.
+ * @returns {string}
+ */
+function toPascalCase(tag) {
+    return tag.includes('-') ? tag.split('-').map(part => part.charAt(0).toUpperCase() + part.substring(1)).join('') : tag;
+}
+
+/**
+ * Collects what a component's template uses: component tags (`<UserCard>`, `<user-card>`, `<ui.Button>`,
+ * `<component :is="X">`) and calls in directive and `{{ }}` expressions (`@click="save(user)"`, `{{ formatDate(d) }}`).
+ * The result has the shape of svelteParser's getMarkupUsages, so both feed the same graph edges and safety scan.
+ * @param {string} vueCode The full content of a .vue file.
+ * @returns {{components: Array<{name: string, object: string|null, loc: object}>,
+ *   calls: Array<{calleeName: string, object: string|null, loc: object, isAwaited: boolean, hasCatch: boolean, isDestructured: boolean, isOptionalChaining: boolean}>}}
+ *   Locations are `{ line, column }` in the .vue file.
+ */
+export function getTemplateUsages(vueCode) {
+    const usages = { components: [], calls: [] };
+    const descriptor = parseVue(vueCode);
+    if (!descriptor?.template?.ast) return usages;
+
+    // Vue parses template expressions with Babel; locations inside them are reported at the start of the expression
+    const collectCalls = expression => {
+        if (!expression?.ast || typeof expression.ast !== 'object') return;
+        const loc = { line: expression.loc.start.line, column: expression.loc.start.column - 1 };
+        t.traverse(expression.ast, {
+            enter(node, ancestors) {
+                if (!t.isCallExpression(node) && !t.isOptionalCallExpression(node)) return;
+                const callee = node.callee;
+                const isMemberCall = (t.isMemberExpression(callee) || t.isOptionalMemberExpression(callee)) && !callee.computed && t.isIdentifier(callee.property);
+                if (!t.isIdentifier(callee) && !isMemberCall) return;
+                const parent = ancestors[ancestors.length - 1]?.node;
+                usages.calls.push({
+                    calleeName: isMemberCall ? callee.property.name : callee.name,
+                    object: isMemberCall && t.isIdentifier(callee.object) ? callee.object.name : null,
+                    loc,
+                    isAwaited: false,
+                    hasCatch: false,
+                    isDestructured: false,
+                    isOptionalChaining: t.isOptionalMemberExpression(parent) && parent.object === node
+                });
+            }
+        });
+    };
+
+    const walk = node => {
+        if (node.type === INTERPOLATION_NODE) collectCalls(node.content);
+        if (node.type !== ELEMENT_NODE && !node.children) return;
+
+        if (node.type === ELEMENT_NODE) {
+            const loc = { line: node.loc.start.line, column: node.loc.start.column }; // column of the tag name, after `<`
+            if (node.tagType === COMPONENT_TAG_TYPE && !BUILT_IN_COMPONENTS.includes(node.tag)) {
+                const [object, name] = node.tag.includes('.') ? node.tag.split('.') : [null, node.tag];
+                usages.components.push({ name: toPascalCase(name), object, loc });
+            }
+            for (const prop of node.props || []) {
+                if (prop.type !== DIRECTIVE_PROP) continue;
+                // `<component :is="UserCard">` renders the component held by the binding
+                if (node.tag === 'component' && prop.name === 'bind' && prop.arg?.content === 'is' && /^[A-Za-z_$][\w$]*$/.test(prop.exp?.content || '')) {
+                    usages.components.push({ name: prop.exp.content, object: null, loc });
+                }
+                collectCalls(prop.exp);
+            }
+        }
+        (node.children || []).forEach(walk);
+    };
+    walk(descriptor.template.ast);
+    return usages;
+}
@@ -0,0 +1,214 @@
+import fs from 'fs';
+import path from 'path';
+import { pickImportTarget } from './aliasConfig.js';
+
+// Build output directories that usually mirror a package's `src/` directory
+const BUILD_OUTPUT_DIRS = ['dist', 'build', 'lib', 'out'];
+const COMPILED_EXTENSION_REGEX = /\.(d\.ts|js|cjs|mjs)$/;
+
+/**
+ * Reads the `packages` list of a pnpm-workspace.yaml file.
+ * Only the block-sequence form used by pnpm is supported, so no YAML parser is needed.
+ * @param {string} filePath Absolute path to pnpm-workspace.yaml.
+ * @returns {Array<string>} The package glob patterns.
+ */
+function readPnpmWorkspacePatterns(filePath) {
+    const patterns = [];
+    let inPackages = false;
+    for (const rawLine of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+        const line = rawLine.replace(/\s+#.*$/, '');
+        if (/^packages\s*:/.test(line)) {
+            inPackages = true;
+            continue;
+        }
+        if (!inPackages || !line.trim()) continue;
+        // Any other top-level key ends the list
+        if (/^\S/.test(line)) break;
+
+        const item = line.match(/^\s*-\s*(['"]?)(.+?)\1\s*$/);
+        if (item) patterns.push(item[2]);
+    }
+    return patterns;
+}
+
+/**
+ * Expands a workspace glob (`packages/*`, `apps/**`, `tools/cli`) into the matching directories.
+ * @param {string} projectRoot The absolute root path of the project.
+ * @param {string} pattern The workspace pattern, relative to the project root.
+ * @returns {Array<string>} Absolute directory paths.
+ */
+function expandWorkspacePattern(projectRoot, pattern) {
+    const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+    const matches = [];
+
+    const listDirs = dir => {
+        try {
+            return fs.readdirSync(dir, { withFileTypes: true })
+                .filter(entry => entry.isDirectory() && !['node_modules', '.git'].includes(entry.name))
+                .map(entry => entry.name);
+        } catch {
+            return [];
+        }
+    };
+
+    const walk = (dir, index) => {
+        if (index === segments.length) {
+            matches.push(dir);
+            return;
+        }
+        const segment = segments[index];
+        if (segment === '**') {
+            walk(dir, index + 1);
+            listDirs(dir).forEach(name => walk(path.join(dir, name), index));
+        } else if (segment.includes('*')) {
+            const segmentRegex = new RegExp(`^${segment.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+            listDirs(dir).filter(name => segmentRegex.test(name)).forEach(name => walk(path.join(dir, name), index + 1));
+        } else if (fs.existsSync(path.join(dir, segment))) {
+            walk(path.join(dir, segment), index + 1);
+        }
+    };
+
+    walk(projectRoot, 0);
+    return matches;
+}
+
+/**
+ * Discovers the packages of an npm/yarn/pnpm workspace from the root package.json `workspaces`
+ * field and pnpm-workspace.yaml.
+ * @param {string} projectRoot The absolute root path of the project.
+ * @returns {{packages: Array<{name: string, dir: string, relDir: string, manifest: object}>, sources: Array<string>}}
+ */
+export function loadWorkspaces(projectRoot) {
+    const patterns = [];
+    const sources = [];
+
+    const packageJsonPath = path.join(projectRoot, 'package.json');
+    if (fs.existsSync(packageJsonPath)) {
+        try {
+            const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
+            // npm/yarn accept an array, yarn classic also `{ packages: [...] }`
+            const workspaces = Array.isArray(packageJson.workspaces) ? packageJson.workspaces : packageJson.workspaces?.packages;
+            if (Array.isArray(workspaces) && workspaces.length > 0) {
+                sources.push('package.json');
+                patterns.push(...workspaces);
+            }
+        } catch (e) {
+            console.warn(`Warning: Error reading ${packageJsonPath}: ${e.message}`);
+        }
+    }
+
+    const pnpmWorkspacePath = path.join(projectRoot, 'pnpm-workspace.yaml');
+    if (fs.existsSync(pnpmWorkspacePath)) {
+        try {
+            const pnpmPatterns = readPnpmWorkspacePatterns(pnpmWorkspacePath);
+            if (pnpmPatterns.length > 0) {
+                sources.push('pnpm-workspace.yaml');
+                patterns.push(...pnpmPatterns);
+            }
+        } catch (e) {
+            console.warn(`Warning: Error reading ${pnpmWorkspacePath}: ${e.message}`);
+        }
+    }
+
+    const excluded = new Set(patterns.filter(p => p.startsWith('!')).flatMap(p => expandWorkspacePattern(projectRoot, p.substring(1))));
+    const packageDirs = new Set(patterns.filter(p => !p.startsWith('!')).flatMap(p => expandWorkspacePattern(projectRoot, p)));
+
+    const packages = [];
+    for (const dir of packageDirs) {
+        const manifestPath = path.join(dir, 'package.json');
+        if (excluded.has(dir) || dir === projectRoot || !fs.existsSync(manifestPath)) continue;
+        try {
+            const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+            if (manifest.name) packages.push({ name: manifest.name, dir, relDir: path.relative(projectRoot, dir), manifest });
+        } catch (e) {
+            console.warn(`Warning: Error reading ${manifestPath}: ${e.message}`);
+        }
+    }
+
+    return { packages, sources };
+}
+
+/**
+ * Picks the `exports` target for a package subpath, including `./*` wildcard subpaths.
+ * @param {string|object|Array} exportsField The package.json `exports` field.
+ * @param {string} subpath The requested subpath ("." or "./feature").
+ * @returns {string|null}
+ */
+function pickExportTarget(exportsField, subpath) {
+    // `"exports": "./index.js"` and `"exports": { "import": ... }` are shorthands for the "." subpath
+    const isSubpathMap = exportsField && typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+        Object.keys(exportsField).some(key => key.startsWith('.'));
+    const subpathMap = isSubpathMap ? exportsField : { '.': exportsField };
+
+    if (subpath in subpathMap) return pickImportTarget(subpathMap[subpath]);
+    for (const [key, target] of Object.entries(subpathMap)) {
+        const starIndex = key.indexOf('*');
+        if (starIndex === -1) continue;
+        const prefix = key.substring(0, starIndex);
+        const suffix = key.substring(starIndex + 1);
+        if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= prefix.length + suffix.length) {
+            const picked = pickImportTarget(target);
+            if (picked) return picked.replace('*', subpath.substring(prefix.length, subpath.length - suffix.length));
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns source-first candidate paths for a package-relative target: `./dist/index.js` is tried as
+ * `./src/index` before the file itself, because build output is usually not part of the analyzed tree.
+ * @param {string} packageDir Absolute directory of the package.
+ * @param {string} target The target path, relative to the package.
+ * @returns {Array<string>} Absolute candidate paths, without duplicates.
+ */
+function getSourceCandidates(packageDir, target) {
+    const normalized = target.replace(/^\.\//, '');
+    const [firstSegment, ...rest] = normalized.split('/');
+    const candidates = [];
+    if (BUILD_OUTPUT_DIRS.includes(firstSegment) && rest.length > 0) {
+        candidates.push(path.join(packageDir, 'src', rest.join('/').replace(COMPILED_EXTENSION_REGEX, '')));
+    }
+    candidates.push(path.join(packageDir, normalized), path.join(packageDir, normalized.replace(COMPILED_EXTENSION_REGEX, '')));
+    return [...new Set(candidates)];
+}
+
+/**
+ * Resolves an import of a workspace package (`@acme/db`, `@acme/db/client`) to candidate source files,
+ * honoring the package's `exports`, `source`, `module` and `main` fields.
+ * @param {string} importedModule The module specifier from the import statement.
+ * @param {{packages: Array<object>}} workspaces Output of loadWorkspaces.
+ * @returns {{pkg: object, candidates: Array<string>}|null} The matched package and its candidate paths, or null if no package matches.
+ */
+export function getWorkspaceImportCandidates(importedModule, workspaces) {
+    const pkg = workspaces.packages.find(candidate => importedModule === candidate.name || importedModule.startsWith(`${candidate.name}/`));
+    if (!pkg) return null;
+
+    const subpath = importedModule === pkg.name ? '.' : `.${importedModule.substring(pkg.name.length)}`;
+    const targets = [];
+    if (pkg.manifest.exports !== undefined) {
+        const exportTarget = pickExportTarget(pkg.manifest.exports, subpath);
+        if (exportTarget) targets.push(exportTarget);
+    }
+    if (subpath === '.') {
+        targets.push(...['source', 'module', 'main'].map(field => pkg.manifest[field]).filter(field => typeof field === 'string'));
+        targets.push('src/index', 'index');
+    } else {
+        targets.push(subpath, `src/${subpath.substring(2)}`);
+    }
+
+    return { pkg, candidates: [...new Set(targets.flatMap(target => getSourceCandidates(pkg.dir, target)))] };
+}
+
+/**
+ * Finds the workspace package that contains a file.
+ * @param {string} filePath Absolute path of the file.
+ * @param {{packages: Array<object>}} workspaces Output of loadWorkspaces.
+ * @returns {object|null} The innermost package containing the file.
+ */
+export function getOwningPackage(filePath, workspaces) {
+    let owner = null;
+    for (const pkg of workspaces.packages) {
+        if (filePath.startsWith(pkg.dir + path.sep) && (!owner || pkg.dir.length > owner.dir.length)) owner = pkg;
+    }
+    return owner;
+}